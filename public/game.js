@@ -99,12 +99,53 @@ startFactRotation();
 // ============================================================================
 // CONSTANTS
 // ============================================================================
-const ARENA_SIZE = 2000;
-const PLAYER_SPEED = 5;
+const PLAYER_SPEED = 10;  // Units per movement tick - must match server.js
 const PLAYER_SIZE = 20;
 const SPRITE_SIZE = 50;
 const RECONCILIATION_THRESHOLD = 50; // Snap if server diff > this
 
+// ============================================================================
+// MAP - Bounds, floor theme and static cover sent by the server
+// Obstacles are { type, x, y, w, h } rects
+// ============================================================================
+let mapWidth = 2000;
+let mapHeight = 2000;
+let mapTheme = 'chatbox';
+let obstacles = [];
+
+function applyMap(map) {
+    if (!map) return;
+    mapWidth = map.w;
+    mapHeight = map.h;
+    mapTheme = FLOOR_THEMES[map.th] ? map.th : 'chatbox';
+    obstacles = map.ob || [];
+    gameState.zone = { x: mapWidth / 2, y: mapHeight / 2, size: Math.max(mapWidth, mapHeight) };
+    gameState.nextZone = null;
+}
+
+// Zone arrays from the server are [centerX, centerY, size]
+function applyZone(data) {
+    if (data.z) gameState.zone = { x: data.z[0], y: data.z[1], size: data.z[2] };
+    gameState.nextZone = data.nz ? { x: data.nz[0], y: data.nz[1], size: data.nz[2] } : null;
+    if (data.zs !== undefined) gameState.zoneState = data.zs;
+    if (data.zt !== undefined) gameState.zoneTime = data.zt;
+}
+
+function circleIntersectsRect(cx, cy, radius, o) {
+    const nearestX = Math.max(o.x, Math.min(cx, o.x + o.w));
+    const nearestY = Math.max(o.y, Math.min(cy, o.y + o.h));
+    const dx = cx - nearestX;
+    const dy = cy - nearestY;
+    return dx * dx + dy * dy < radius * radius;
+}
+
+function collidesWithObstacle(x, y, radius) {
+    for (let i = 0; i < obstacles.length; i++) {
+        if (circleIntersectsRect(x, y, radius, obstacles[i])) return true;
+    }
+    return false;
+}
+
 // ============================================================================
 // CLIENT-SIDE BULLET PREDICTION - Instant visual feedback
 // ============================================================================
@@ -150,8 +191,9 @@ function updatePredictedBullets(dt) {
         // or if out of bounds
         const age = now - b.spawnTime;
         if (age > PREDICTED_BULLET_LIFETIME ||
-            b.x < 0 || b.x > ARENA_SIZE ||
-            b.y < 0 || b.y > ARENA_SIZE) {
+            b.x < 0 || b.x > mapWidth ||
+            b.y < 0 || b.y > mapHeight ||
+            collidesWithObstacle(b.x, b.y, 1)) {
             predictedBullets.splice(i, 1);
         }
     }
@@ -379,6 +421,12 @@ const entityStates = {}; // { playerId: [{ timestamp, x, y, angle, health, ... }
 const INTERPOLATION_DELAY = 150; // Render 150ms behind (covers ~5 tick gaps)
 const EXTRAPOLATION_LIMIT = 200; // Max ms to extrapolate into future
 
+// Server tick other players are currently drawn at - sent with shots for lag compensation
+function getRenderTick() {
+    const sinceLatest = Date.now() - serverTickReceivedAt;
+    return Math.round(serverTick + (sinceLatest - INTERPOLATION_DELAY) / MOVE_STEP_MS);
+}
+
 function pushEntityState(id, state) {
     if (!entityStates[id]) {
         entityStates[id] = [];
@@ -456,6 +504,7 @@ function getInterpolatedState(id, renderTime) {
             color: before.color,
             kills: after.kills,
             character: before.character,
+            reloading: after.reloading,
             id: id
         };
     }
@@ -475,8 +524,8 @@ function getInterpolatedState(id, renderTime) {
     const extAngle = before.angle + (before.vAngle || 0) * extSeconds;
 
     return {
-        x: Math.max(20, Math.min(ARENA_SIZE - 20, extX)),
-        y: Math.max(20, Math.min(ARENA_SIZE - 20, extY)),
+        x: Math.max(20, Math.min(mapWidth - 20, extX)),
+        y: Math.max(20, Math.min(mapHeight - 20, extY)),
         angle: extAngle,
         health: before.health,
         shield: before.shield,
@@ -486,10 +535,17 @@ function getInterpolatedState(id, renderTime) {
         color: before.color,
         kills: before.kills,
         character: before.character,
+        reloading: before.reloading,
         id: id
     };
 }
 
+// '#rrggbb' -> 'rgba(r, g, b, alpha)' for gradients
+function hexToRgba(hex, alpha) {
+    const value = parseInt(hex.slice(1), 16);
+    return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+}
+
 function lerp(a, b, t) {
     return a + (b - a) * t;
 }
@@ -504,19 +560,37 @@ function lerpAngle(a, b, t) {
 
 // ============================================================================
 // CLIENT-SIDE PREDICTION + BUTTERY SMOOTH MOVEMENT
+// The server owns positions: we send input commands at its tick rate, predict
+// them locally with the same stepMovement(), and replay whatever it hasn't
+// acknowledged yet when an 'ack' arrives.
 // ============================================================================
 let inputSequence = 0;
 const pendingInputs = []; // Inputs sent but not yet acknowledged
 
+const MOVE_STEP_MS = 1000 / 30; // One input per server tick (TICK_RATE = 30)
+const MOVE_RESPONSE = 0.5;      // Must match server.js
+const INPUT_UP = 1;
+const INPUT_LEFT = 2;
+const INPUT_DOWN = 4;
+const INPUT_RIGHT = 8;
+
 // ============================================================================
 // SECRET SAUCE: MOMENTUM-BASED MOVEMENT - BALANCED FOR RESPONSIVENESS
 // ============================================================================
 const movement = {
-    vx: 0,              // Current velocity X
+    x: 0,               // Predicted simulation position (latest tick)
+    y: 0,
+    prevX: 0,           // Position one tick earlier - rendered in between
+    prevY: 0,
+    vx: 0,              // Current velocity X (units per tick)
     vy: 0,              // Current velocity Y
-    acceleration: 1.4,  // Slightly higher than original (was 1.2)
-    friction: 0.80,     // Slightly tighter than original (was 0.82)
-    maxSpeed: 5,        // Max movement speed
+    maxSpeed: PLAYER_SPEED,
+    stepAccumulator: 0, // Frame time not yet turned into a movement tick
+
+    // Reconciliation error still being smoothed out of the rendered position
+    correctionX: 0,
+    correctionY: 0,
+    correctionDecay: 0.85,
 
     // Visual recoil
     recoilX: 0,
@@ -529,6 +603,49 @@ const movement = {
     aimSmoothing: 0.15,
 };
 
+function getInputBits(keys) {
+    let bits = 0;
+    if (keys.w) bits |= INPUT_UP;
+    if (keys.a) bits |= INPUT_LEFT;
+    if (keys.s) bits |= INPUT_DOWN;
+    if (keys.d) bits |= INPUT_RIGHT;
+    return bits;
+}
+
+// One tick of movement - must stay identical to stepMovement() in server.js
+function stepMovement(state, bits) {
+    let inputX = 0;
+    let inputY = 0;
+    if (bits & INPUT_UP) inputY -= 1;
+    if (bits & INPUT_DOWN) inputY += 1;
+    if (bits & INPUT_LEFT) inputX -= 1;
+    if (bits & INPUT_RIGHT) inputX += 1;
+    if (inputX !== 0 && inputY !== 0) {
+        inputX *= Math.SQRT1_2;
+        inputY *= Math.SQRT1_2;
+    }
+
+    state.vx += (inputX * PLAYER_SPEED - state.vx) * MOVE_RESPONSE;
+    state.vy += (inputY * PLAYER_SPEED - state.vy) * MOVE_RESPONSE;
+    if (Math.abs(state.vx) < 0.01) state.vx = 0;
+    if (Math.abs(state.vy) < 0.01) state.vy = 0;
+
+    // Slide along cover axis by axis, clamped to the map
+    let newX = Math.max(PLAYER_SIZE, Math.min(mapWidth - PLAYER_SIZE, state.x + state.vx));
+    if (collidesWithObstacle(newX, state.y, PLAYER_SIZE)) {
+        newX = state.x;
+        state.vx = 0;
+    }
+    let newY = Math.max(PLAYER_SIZE, Math.min(mapHeight - PLAYER_SIZE, state.y + state.vy));
+    if (collidesWithObstacle(newX, newY, PLAYER_SIZE)) {
+        newY = state.y;
+        state.vy = 0;
+    }
+    state.x = newX;
+    state.y = newY;
+}
+
+// Turn frame time (ms) into fixed movement ticks - returns the inputs to send
 function processLocalInput(keys, dt) {
     // Initialize movement values if undefined
     if (!isFinite(movement.vx)) movement.vx = 0;
@@ -536,40 +653,27 @@ function processLocalInput(keys, dt) {
     if (!isFinite(movement.recoilX)) movement.recoilX = 0;
     if (!isFinite(movement.recoilY)) movement.recoilY = 0;
 
-    // Get input direction
-    let inputX = 0, inputY = 0;
-    if (keys.w) inputY -= 1;
-    if (keys.s) inputY += 1;
-    if (keys.a) inputX -= 1;
-    if (keys.d) inputX += 1;
+    const inputs = [];
+    const bits = getInputBits(keys);
+    movement.stepAccumulator = Math.min(movement.stepAccumulator + dt, MOVE_STEP_MS * 5);
 
-    // Normalize diagonal
-    if (inputX !== 0 && inputY !== 0) {
-        inputX *= 0.707;
-        inputY *= 0.707;
-    }
-
-    // Apply acceleration toward input direction
-    if (inputX !== 0 || inputY !== 0) {
-        movement.vx += inputX * movement.acceleration;
-        movement.vy += inputY * movement.acceleration;
-    }
+    while (movement.stepAccumulator >= MOVE_STEP_MS) {
+        movement.stepAccumulator -= MOVE_STEP_MS;
+        movement.prevX = movement.x;
+        movement.prevY = movement.y;
 
-    // Apply friction (always, creates nice deceleration)
-    movement.vx *= movement.friction;
-    movement.vy *= movement.friction;
+        // Fully idle ticks are skipped - nothing to simulate or send
+        const aimChanged = Math.abs(localPlayer.angle - lastSentAngle) > ANGLE_THRESHOLD;
+        if (bits === 0 && movement.vx === 0 && movement.vy === 0 && !aimChanged) continue;
 
-    // Clamp to max speed
-    const speed = Math.sqrt(movement.vx * movement.vx + movement.vy * movement.vy);
-    if (speed > movement.maxSpeed) {
-        movement.vx = (movement.vx / speed) * movement.maxSpeed;
-        movement.vy = (movement.vy / speed) * movement.maxSpeed;
+        inputSequence++;
+        const input = { seq: inputSequence, k: bits };
+        stepMovement(movement, bits);
+        pendingInputs.push(input);
+        inputs.push(input);
+        lastSentAngle = localPlayer.angle;
     }
 
-    // Kill tiny velocities (prevents drift)
-    if (Math.abs(movement.vx) < 0.01) movement.vx = 0;
-    if (Math.abs(movement.vy) < 0.01) movement.vy = 0;
-
     // Apply recoil decay
     movement.recoilX *= movement.recoilDecay;
     movement.recoilY *= movement.recoilDecay;
@@ -578,12 +682,27 @@ function processLocalInput(keys, dt) {
     if (Math.abs(movement.recoilX) < 0.01) movement.recoilX = 0;
     if (Math.abs(movement.recoilY) < 0.01) movement.recoilY = 0;
 
-    return { dx: movement.vx, dy: movement.vy };
+    // Ease out any reconciliation error
+    movement.correctionX *= movement.correctionDecay;
+    movement.correctionY *= movement.correctionDecay;
+    if (Math.abs(movement.correctionX) < 0.05) movement.correctionX = 0;
+    if (Math.abs(movement.correctionY) < 0.05) movement.correctionY = 0;
+
+    return inputs;
 }
 
-function applyInput(player, input) {
-    player.x = Math.max(PLAYER_SIZE, Math.min(ARENA_SIZE - PLAYER_SIZE, player.x + input.dx));
-    player.y = Math.max(PLAYER_SIZE, Math.min(ARENA_SIZE - PLAYER_SIZE, player.y + input.dy));
+// Hard reset of the prediction (join, spawn)
+function resetPrediction(x, y) {
+    pendingInputs.length = 0;
+    movement.x = movement.prevX = x;
+    movement.y = movement.prevY = y;
+    movement.vx = 0;
+    movement.vy = 0;
+    movement.stepAccumulator = 0;
+    movement.correctionX = 0;
+    movement.correctionY = 0;
+    localPlayer.x = x;
+    localPlayer.y = y;
 }
 
 // Add recoil when shooting
@@ -600,27 +719,42 @@ function applyRecoil(amount) {
     }
 }
 
-function reconcileWithServer(serverX, serverY, serverSeq) {
+function reconcileWithServer(ack) {
+    // Server moved us (spawn) - drop the prediction entirely
+    if (ack.tp) {
+        resetPrediction(ack.x, ack.y);
+        return;
+    }
+
     // Remove acknowledged inputs
-    while (pendingInputs.length > 0 && pendingInputs[0].seq <= serverSeq) {
+    while (pendingInputs.length > 0 && pendingInputs[0].seq <= ack.seq) {
         pendingInputs.shift();
     }
 
-    // Check distance between client prediction and server state
-    const dist = Math.sqrt((localPlayer.x - serverX) ** 2 + (localPlayer.y - serverY) ** 2);
+    // Rewind to the authoritative state and replay what the server hasn't seen yet
+    const predictedX = movement.x;
+    const predictedY = movement.y;
+    movement.x = ack.x;
+    movement.y = ack.y;
+    movement.vx = ack.vx || 0;
+    movement.vy = ack.vy || 0;
+    for (const input of pendingInputs) {
+        stepMovement(movement, input.k);
+    }
 
-    // ONLY reconcile if there's significant divergence
-    // Small differences = trust client prediction (smoother feel)
-    if (dist > RECONCILIATION_THRESHOLD) {
-        // Large divergence: snap to server and re-apply pending inputs
-        localPlayer.x = serverX;
-        localPlayer.y = serverY;
-        for (const input of pendingInputs) {
-            applyInput(localPlayer, input);
-        }
+    const errX = predictedX - movement.x;
+    const errY = predictedY - movement.y;
+    movement.prevX -= errX;
+    movement.prevY -= errY;
+
+    // Small errors are smoothed out over a few frames, big ones snap
+    if (errX * errX + errY * errY > RECONCILIATION_THRESHOLD * RECONCILIATION_THRESHOLD) {
+        movement.correctionX = 0;
+        movement.correctionY = 0;
+    } else {
+        movement.correctionX += errX;
+        movement.correctionY += errY;
     }
-    // If dist <= threshold, do NOTHING - trust client prediction
-    // This is the key to smooth movement!
 }
 
 // ============================================================================
@@ -629,14 +763,19 @@ function reconcileWithServer(serverX, serverY, serverSeq) {
 let ws;
 let playerId = null;
 let sessionId = null;
+let resumeToken = null; // Lets a reconnect rebind to our player instead of joining fresh
 let playerName = '';
+let arenaId = null; // Arena the server routed us into
 let isSpectator = false;
 let spectateTarget = null;
 let serverTick = 0;
+let serverTickReceivedAt = 0; // When the latest state (serverTick) arrived
 let lastShootTime = 0;
 const SHOOT_COOLDOWN = 200; // ms
 let currentClaim = null; // Current prize claim info
-let currentClaimToken = null; // Secure claim token (sent only to winner)
+let currentClaimTokens = []; // { token, roundId, kind, amount } per award - sent only to its owner
+let linkedWallet = null; // Payout wallet this session signed for - the server binds our claims to it
+let walletReply = null; // { resolve, reject } while a 'wc'/'wl' request is in flight
 let lastSentAngle = 0; // Throttle angle-only updates
 const ANGLE_THRESHOLD = 0.05; // ~3 degrees before sending angle update
 
@@ -644,7 +783,12 @@ let gameState = {
     players: [],
     bullets: [],
     loot: [],           // Loot items on map
-    arenaSize: 2000,
+    projectiles: [],    // Grenades in flight / on the ground
+    smoke: [],          // Smoke clouds { x, y, r, tl }
+    zone: { x: 1000, y: 1000, size: 2000 }, // Current safe square (x/y = center)
+    nextZone: null,     // Where the storm is heading next
+    zoneState: 2,       // 0 = waiting to shrink, 1 = shrinking, 2 = final
+    zoneTime: 0,        // Seconds until the zone state changes
     phase: 'waiting',
     winner: null,
     roundNumber: 0,
@@ -662,17 +806,50 @@ let localPlayer = {
     health: 150,
     shield: 0,
     weapon: 'pistol',
+    ammo: 0,
+    reserveAmmo: 0,
+    reloading: false,
+    activeSlot: 0,      // 0 primary, 1 secondary
+    otherWeapon: null,  // Weapon in the slot not in hand
+    weaponRarity: 0,    // RARITY_TIERS index of the weapon in hand
+    otherWeaponRarity: 0,
+    frags: 0,
+    smokes: 0,
     alive: true,
     kills: 0
 };
 
 // Weapon definitions (sent from server)
 let WEAPONS = {};
+let RARITY_TIERS = [];   // Index = rarity byte in snapshots, { id, name, color, damage, fireRate, spread }
+let PLAYER_STATS = { spawnHealth: 150, maxHealth: 150, maxShield: 100 }; // Health/shield caps (sent from server)
+
+// ms between shots for the weapon in hand, rarity applied like the server does
+function getFireCooldown() {
+    const weaponDef = WEAPONS[localPlayer.weapon || 'pistol'] || { fireRate: 300 };
+    const tier = RARITY_TIERS[localPlayer.weaponRarity];
+    return Math.round((weaponDef.fireRate || 300) * (tier ? tier.fireRate : 1));
+}
+
+// Weapon name with its tier in front ("EPIC SHOTGUN"), common weapons stay plain
+function getWeaponLabel(weapon, rarity) {
+    const tier = rarity ? RARITY_TIERS[rarity] : null;
+    return (tier ? `${tier.name} ${weapon}` : weapon).toUpperCase();
+}
+
+function getRarityColor(rarity) {
+    return rarity && RARITY_TIERS[rarity] ? RARITY_TIERS[rarity].color : null;
+}
+
+const INTERACT_RADIUS = 50; // Matches the server's pickup reach for weapons
 
 // Loot type colors/icons - Claude theme
 const LOOT_COLORS = {
     health: '#7bc47f',
     shield: '#6b9bd1',
+    ammo: '#e0c46c',
+    frag: '#e85c5c',
+    smoke: '#a8a29c',
     shotgun: '#da7756',
     smg: '#e8a87c',
     sniper: '#c4a07a'
@@ -767,31 +944,251 @@ let mouseX = 0, mouseY = 0;
 // ============================================================================
 // WEBSOCKET CONNECTION
 // ============================================================================
+const RECONNECT_BASE_MS = 500;
+const RECONNECT_MAX_MS = 5000;
+let reconnectAttempts = 0;
+
 function connect() {
     const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
     ws = new WebSocket(`${protocol}//${window.location.host}`);
+    ws.binaryType = 'arraybuffer'; // State snapshots arrive binary
 
     ws.onopen = () => {
         console.log('Connected to Drop Zone');
-        ws.send(JSON.stringify({ t: 'j', n: playerName, ch: selectedCharacter }));
+        reconnectAttempts = 0;
+        // Optional arena type from the URL, e.g. ?arena=test
+        const arenaType = new URLSearchParams(window.location.search).get('arena') || undefined;
+        // After a drop, sid + rk resume our player if the server is still holding it
+        ws.send(JSON.stringify({
+            t: 'j',
+            n: playerName,
+            ch: selectedCharacter,
+            ar: arenaType,
+            sid: resumeToken ? sessionId : undefined,
+            rk: resumeToken || undefined
+        }));
     };
 
     ws.onmessage = (event) => {
-        const data = JSON.parse(event.data);
+        // Binary frames are state snapshots - handleMessage decodes them
+        const data = typeof event.data === 'string' ? JSON.parse(event.data) : event.data;
         handleMessage(data);
     };
 
     ws.onclose = () => {
-        console.log('Disconnected');
-        setTimeout(connect, 3000);
+        if (walletReply) {
+            walletReply.reject(new Error('Disconnected - please try again'));
+            walletReply = null;
+        }
+        // Retry quickly at first - the server only holds our player for a short grace period
+        const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * Math.pow(2, reconnectAttempts));
+        reconnectAttempts++;
+        console.log(`Disconnected - reconnecting in ${delay}ms`);
+        setTimeout(connect, delay);
     };
 }
 
+// ============================================================================
+// BINARY STATE DECODER - Mirrors services/stateProtocol.js
+// ============================================================================
+const MSG_STATE = 1;
+const PHASE_NAMES = ['waiting', 'starting', 'active', 'ended'];
+const PLAYER_ALIVE = 1;
+const PLAYER_HIDDEN = 2;
+const PLAYER_RELOADING = 8;
+const FIELD_X = 1;
+const FIELD_Y = 2;
+const FIELD_ANGLE = 4;
+const FIELD_HEALTH = 8;
+const FIELD_SHIELD = 16;
+const FIELD_WEAPON = 32;
+const FIELD_KILLS = 64;
+const FIELD_INVENTORY = 128;
+
+const SNAPSHOT_HISTORY_TICKS = 64; // Server never deltas against anything older than ~1s
+const SNAPSHOT_ACK_IDLE_MS = 100;  // Ack on its own if no input carried it recently
+
+const roster = new Map(); // netId -> { i, n, c, ch, npc, bt } - static player info, sent once
+let weaponIds = [];       // Weapon index -> id for snapshots
+let lootTypeIds = [];     // Loot type index -> id for snapshots
+
+// Reconstructed snapshots the server may delta against: tick -> { players, loot }
+const snapshotHistory = new Map();
+let snapshotAckTick = 0;  // Latest decoded tick - piggybacked on 'm' as sk
+let lastInputSentAt = 0;
+
+function acknowledgeSnapshot(tick) {
+    snapshotAckTick = tick;
+    if (ws && ws.readyState === 1 && performance.now() - lastInputSentAt > SNAPSHOT_ACK_IDLE_MS) {
+        ws.send(JSON.stringify({ t: 'sa', k: tick }));
+    }
+}
+
+// Turn a reconstructed player record into the shape the JSON 's' message used to have
+function playerFromRecord(info, record) {
+    const p = { i: info.i, n: info.n, c: info.c, npc: info.npc, bt: info.bt, v: record.flags & PLAYER_ALIVE ? 1 : 0 };
+    if (record.flags & PLAYER_RELOADING) p.rl = 1;
+    if (record.flags & PLAYER_HIDDEN) {
+        p.hd = 1;
+        return p;
+    }
+    p.x = record.x / 10;
+    p.y = record.y / 10;
+    if (record.h !== -1) {
+        const a = (record.a / 256) * Math.PI * 2;
+        p.a = a > Math.PI ? a - Math.PI * 2 : a;
+        p.h = record.h;
+        p.sh = record.sh;
+        p.w = weaponIds[record.w] || 'pistol';
+        p.ch = info.ch;
+        p.k = record.k;
+    }
+    if (record.am !== -1) {
+        p.am = record.am;
+        p.rs = record.rs;
+        p.sl = record.sl;
+        p.ow = record.ow ? weaponIds[record.ow - 1] : null;
+        p.gf = record.gf;
+        p.gs = record.gs;
+        p.wr = record.wr;
+        p.owr = record.owr;
+    }
+    return p;
+}
+
+/**
+ * Decode a snapshot, applying it on top of the baseline it was delta-encoded against
+ * Returns null if we no longer have that baseline - it isn't acked, so the server
+ * falls back to an older baseline or a keyframe.
+ */
+function decodeState(buffer) {
+    const view = new DataView(buffer);
+    let o = 0;
+    const u8 = () => view.getUint8(o++);
+    const i8 = () => view.getInt8(o++);
+    const u16 = () => { const v = view.getUint16(o, true); o += 2; return v; };
+    const u32 = () => { const v = view.getUint32(o, true); o += 4; return v; };
+
+    if (u8() !== MSG_STATE) return null;
+
+    const state = { t: 's' };
+    state.tk = u32();
+    state.ph = PHASE_NAMES[u8()] || 'waiting';
+    state.r = u16();
+    state.pc = u16();
+    state.ac = u16();
+    state.tr = u16();
+    state.nr = u16();
+    state.zs = u8();
+    state.zt = u16();
+    state.z = [u16(), u16(), u16()];
+    state.nz = u8() ? [u16(), u16(), u16()] : null;
+
+    const lobbyCount = u16();
+    state.lp = [];
+    for (let i = 0; i < lobbyCount; i++) {
+        const info = roster.get(u16());
+        if (info) state.lp.push(info.n);
+    }
+
+    const baseTick = u32();
+    const base = baseTick ? snapshotHistory.get(baseTick) : null;
+    if (baseTick && !base) return null;
+
+    // Players: changed entries on top of the baseline records
+    const players = base ? new Map(base.players) : new Map();
+    const changedCount = u16();
+    for (let i = 0; i < changedCount; i++) {
+        const netId = u16();
+        const flags = u8();
+        const mask = u8();
+        const prev = players.get(netId);
+        const record = prev
+            ? { ...prev, flags }
+            : { flags, x: -1, y: -1, a: -1, h: -1, sh: -1, w: -1, k: -1, am: -1, rs: -1, sl: -1, ow: -1, gf: -1, gs: -1, wr: -1, owr: -1 };
+        if (mask & FIELD_X) record.x = u16();
+        if (mask & FIELD_Y) record.y = u16();
+        if (mask & FIELD_ANGLE) record.a = u8();
+        if (mask & FIELD_HEALTH) record.h = u8();
+        if (mask & FIELD_SHIELD) record.sh = u8();
+        if (mask & FIELD_WEAPON) record.w = u8();
+        if (mask & FIELD_KILLS) record.k = u8();
+        if (mask & FIELD_INVENTORY) {
+            record.am = u8();
+            record.rs = u16();
+            record.sl = u8();
+            record.ow = u8();
+            record.gf = u8();
+            record.gs = u8();
+            record.wr = u8();
+            record.owr = u8();
+        }
+        players.set(netId, record);
+    }
+    const removedPlayerCount = u16();
+    for (let i = 0; i < removedPlayerCount; i++) {
+        players.delete(u16());
+    }
+
+    state.p = [];
+    for (const [netId, record] of players) {
+        const info = roster.get(netId);
+        if (!info) continue; // Roster entry not here yet - skip until 'pi' arrives
+        state.p.push(playerFromRecord(info, record));
+    }
+
+    const bulletCount = u16();
+    state.b = new Array(bulletCount);
+    for (let i = 0; i < bulletCount; i++) {
+        state.b[i] = { i: u32(), x: u16(), y: u16(), vx: i8() / 4, vy: i8() / 4 };
+    }
+
+    // Loot: additions and removals relative to the baseline
+    const loot = base ? new Map(base.loot) : new Map();
+    const addedLootCount = u16();
+    for (let i = 0; i < addedLootCount; i++) {
+        const item = { i: u32(), t: lootTypeIds[u8()], x: u16(), y: u16(), r: u8() };
+        loot.set(item.i, item);
+    }
+    const removedLootCount = u16();
+    for (let i = 0; i < removedLootCount; i++) {
+        loot.delete(u32());
+    }
+    state.l = Array.from(loot.values());
+
+    const projectileCount = u16();
+    state.g = new Array(projectileCount);
+    for (let i = 0; i < projectileCount; i++) {
+        state.g[i] = { i: u32(), t: lootTypeIds[u8()], x: u16(), y: u16(), h: u8() };
+    }
+
+    const smokeCount = u16();
+    state.sm = new Array(smokeCount);
+    for (let i = 0; i < smokeCount; i++) {
+        state.sm[i] = { x: u16(), y: u16(), r: u16(), tl: u8() / 10 };
+    }
+
+    snapshotHistory.set(state.tk, { players, loot });
+    for (const tick of snapshotHistory.keys()) {
+        if (state.tk - tick > SNAPSHOT_HISTORY_TICKS) snapshotHistory.delete(tick);
+    }
+    acknowledgeSnapshot(state.tk);
+
+    return state;
+}
+
 function handleMessage(data) {
+    if (data instanceof ArrayBuffer) {
+        data = decodeState(data);
+        if (!data) return;
+    }
+
     switch (data.t) {
         case 'j': // joined
             playerId = data.i;
             sessionId = data.sid;
+            resumeToken = data.rk || null;
+            arenaId = data.ai || null;
             localPlayer = {
                 x: data.p.x,
                 y: data.p.y,
@@ -803,12 +1200,26 @@ function handleMessage(data) {
                 character: data.p.ch || selectedCharacter,
                 kills: 0
             };
+            resetPrediction(data.p.x, data.p.y);
+
+            // Static player info for decoding snapshots
+            roster.clear();
+            snapshotHistory.clear();
+            deathCrates.length = 0;
+            for (const entry of data.ro || []) roster.set(entry.e, entry);
+            weaponIds = data.wi || [];
+            lootTypeIds = data.li || [];
             isSpectator = data.p.sp || false;
 
             // Store weapon definitions from server
             if (data.wp) {
                 WEAPONS = data.wp;
             }
+            RARITY_TIERS = data.rt || [];
+            if (data.ps) PLAYER_STATS = data.ps;
+
+            applyMap(data.map);
+            updatePrizeInfo(data.pz);
 
             // Store min players needed for waiting overlay
             if (data.mp) {
@@ -829,7 +1240,8 @@ function handleMessage(data) {
 
         case 's': // gameState
             serverTick = data.tk;
-            gameState.arenaSize = data.a;
+            serverTickReceivedAt = Date.now();
+            applyZone(data);
             gameState.phase = data.ph;
             gameState.roundNumber = data.r;
             gameState.playerCount = data.pc;
@@ -845,7 +1257,21 @@ function handleMessage(data) {
                     localPlayer.weapon = p.w || 'pistol';
                     localPlayer.alive = p.v === 1;
                     if (p.k !== undefined) localPlayer.kills = p.k;
+                    if (p.am !== undefined) {
+                        localPlayer.ammo = p.am;
+                        localPlayer.reserveAmmo = p.rs;
+                        localPlayer.activeSlot = p.sl;
+                        localPlayer.otherWeapon = p.ow;
+                        localPlayer.frags = p.gf;
+                        localPlayer.smokes = p.gs;
+                        localPlayer.weaponRarity = p.wr;
+                        localPlayer.otherWeaponRarity = p.owr;
+                    }
+                    localPlayer.reloading = p.rl === 1;
                     localPlayer.color = p.c;
+                } else if (p.hd) {
+                    // Behind a wall - drop the buffer so they don't slide in from a stale spot
+                    delete entityStates[p.i];
                 } else {
                     // Get existing state for defaults (distant players may have reduced data)
                     const existing = entityStates[p.i] && entityStates[p.i].length > 0
@@ -864,7 +1290,8 @@ function handleMessage(data) {
                         color: p.c,
                         name: p.n,
                         kills: p.k !== undefined ? p.k : (existing ? existing.kills : 0),
-                        character: p.ch || (existing ? existing.character : 'claude')
+                        character: p.ch || (existing ? existing.character : 'claude'),
+                        reloading: p.rl === 1
                     });
                 }
             }
@@ -873,23 +1300,50 @@ function handleMessage(data) {
             gameState.players = data.p;
             gameState.bullets = data.b;
             gameState.loot = data.l || [];  // Loot items
+            gameState.projectiles = data.g || [];
+            gameState.smoke = data.sm || [];
 
-            // Update UI - Health bar shows health out of 150
-            const healthPercent = (localPlayer.health / 150) * 100;
+            // Update UI - Health bar shows health out of the max health cap
+            const healthPercent = (localPlayer.health / PLAYER_STATS.maxHealth) * 100;
             document.getElementById('healthFill').style.width = healthPercent + '%';
 
             // Shield bar (out of 100)
-            const shieldPercent = (localPlayer.shield / 100) * 100;
+            const shieldPercent = (localPlayer.shield / PLAYER_STATS.maxShield) * 100;
             document.getElementById('shieldFill').style.width = shieldPercent + '%';
 
             // Weapon indicator
             const weaponIcons = { pistol: '🔫', shotgun: '💥', smg: '⚡', sniper: '🎯' };
             const weaponEl = document.getElementById('weaponName');
             const weaponIconEl = document.getElementById('weaponIcon');
-            weaponEl.textContent = (localPlayer.weapon || 'pistol').toUpperCase();
+            weaponEl.textContent = getWeaponLabel(localPlayer.weapon || 'pistol', localPlayer.weaponRarity);
             weaponEl.className = localPlayer.weapon || 'pistol';
+            weaponEl.style.color = getRarityColor(localPlayer.weaponRarity) || '';
             weaponIconEl.textContent = weaponIcons[localPlayer.weapon] || '🔫';
 
+            // Ammo counter - magazine / reserve
+            const ammoEl = document.getElementById('ammoCount');
+            if (localPlayer.reloading) {
+                ammoEl.textContent = 'RELOADING';
+            } else {
+                ammoEl.textContent = `${localPlayer.ammo} / ${localPlayer.reserveAmmo}`;
+            }
+            ammoEl.classList.toggle('empty', localPlayer.ammo === 0 && !localPlayer.reloading);
+
+            // Both inventory slots, the one in hand highlighted
+            for (let slot = 0; slot < 2; slot++) {
+                const slotEl = document.getElementById(`slot${slot}`);
+                const inHand = slot === localPlayer.activeSlot;
+                const slotWeapon = inHand ? localPlayer.weapon : localPlayer.otherWeapon;
+                const slotRarity = inHand ? localPlayer.weaponRarity : localPlayer.otherWeaponRarity;
+                const slotNameEl = slotEl.querySelector('.slot-name');
+                slotNameEl.textContent = slotWeapon ? slotWeapon.toUpperCase() : 'EMPTY';
+                slotNameEl.style.color = slotWeapon ? getRarityColor(slotRarity) || '' : '';
+                slotEl.classList.toggle('active', inHand);
+                slotEl.classList.toggle('empty', !slotWeapon);
+            }
+            document.getElementById('fragCount').textContent = localPlayer.frags;
+            document.getElementById('smokeCount').textContent = localPlayer.smokes;
+
             document.getElementById('myKills').textContent = localPlayer.kills || 0;
             document.getElementById('playerCount').textContent = data.pc;
             document.getElementById('aliveCount').textContent = data.ac;
@@ -912,6 +1366,19 @@ function handleMessage(data) {
                 timerEl.style.display = 'none';
             }
 
+            // Storm countdown
+            const stormEl = document.getElementById('stormTimer');
+            if (data.ph === 'active' && gameState.zoneState !== 2) {
+                const mins = Math.floor(gameState.zoneTime / 60);
+                const secs = gameState.zoneTime % 60;
+                const label = gameState.zoneState === 1 ? 'STORM CLOSING' : 'STORM IN';
+                stormEl.textContent = `${label} ${mins}:${secs.toString().padStart(2, '0')}`;
+                stormEl.classList.toggle('closing', gameState.zoneState === 1);
+                stormEl.style.display = 'block';
+            } else {
+                stormEl.style.display = 'none';
+            }
+
             // Handle spectator mode
             if (!localPlayer.alive && data.ph === 'active') {
                 const alivePlayers = data.p.filter(p => p.v === 1);
@@ -931,8 +1398,8 @@ function handleMessage(data) {
             } else if (isSpectator && data.ph === 'waiting') {
                 showSpectatorOverlay('WAITING FOR PLAYERS', `${data.pc || 0} player${data.pc !== 1 ? 's' : ''} in lobby - Need ${gameState.minPlayers || 2} to start`, false);
                 // Center camera on arena for waiting phase
-                localPlayer.x = ARENA_SIZE / 2;
-                localPlayer.y = ARENA_SIZE / 2;
+                localPlayer.x = mapWidth / 2;
+                localPlayer.y = mapHeight / 2;
             } else if (isSpectator && data.ph === 'ended') {
                 const nextIn = data.nr || 0;
                 showSpectatorOverlay('ROUND ENDED', nextIn > 0 ? `Next round in ${nextIn}s - You'll join automatically` : 'Next round starting soon', false);
@@ -948,18 +1415,26 @@ function handleMessage(data) {
             break;
 
         case 'ack': // Input acknowledgment for prediction
-            reconcileWithServer(data.x, data.y, data.seq);
+            reconcileWithServer(data);
             break;
 
-        case 'c': // Claude message
-            addClaudeMessage(data.m);
+        case 'c': // Claude message (s/sc: a boss speaking in its own voice and color)
+            addClaudeMessage(data.m, data.s, data.sc);
+            break;
+
+        case 'err': // Join rejected (e.g. all arenas full)
+            console.warn('Server error:', data.m);
+            document.querySelector('#menu .subtitle').textContent = data.m;
             break;
 
         case 'k': // kill
             addKillFeed(data.kr, data.v);
+            if (data.x !== undefined) {
+                deathCrates.push({ x: data.x, y: data.y, name: data.v, time: Date.now() });
+            }
             // Death particles - reduced for performance
             const victim = gameState.players.find(p => p.i === data.vi);
-            if (victim) {
+            if (victim && !victim.hd) {
                 particlePool.spawnBurst(victim.x, victim.y, 12, 5, 600, 8, '#da7756');
             }
 
@@ -979,11 +1454,17 @@ function handleMessage(data) {
             isSpectator = false;
             spectateTarget = null;
             pendingInputs.length = 0; // Clear prediction buffer
+            deathCrates.length = 0;
+
+            // Balance can change between rounds - take the round's weapons, tiers and caps
+            if (data.rt) RARITY_TIERS = data.rt;
+            if (data.ps) PLAYER_STATS = data.ps;
 
             // Reset local player for new round
-            localPlayer.health = 150;
+            localPlayer.health = PLAYER_STATS.spawnHealth;
             localPlayer.shield = 0;
             localPlayer.weapon = 'pistol';
+            localPlayer.weaponRarity = 0;
             localPlayer.alive = true;
 
             // Update weapon definitions if provided
@@ -991,25 +1472,63 @@ function handleMessage(data) {
                 WEAPONS = data.wp;
             }
 
+            applyMap(data.map);
+
+            // Claude scales to the lobby every round
+            if (data.nd) addClaudeMessage(`Difficulty this round: ${data.nd.l} (${data.nd.v}%).`);
+
+            updatePrizeInfo(data.pz);
+            if (data.pz && data.pz.j) addClaudeMessage(`JACKPOT ROUND! ${data.pz.a.toFixed(4)} SOL on the line.`);
+
             showCountdown();
             break;
 
+        case 'pz': // Round prize budget - only sent when it's settled after the round started
+            updatePrizeInfo(data);
+            break;
+
         case 're': // roundEnd
             currentClaim = data.claim || null;
-            currentClaimToken = null; // Reset token, will be set by 'claimToken' message
+            currentClaimTokens = []; // Reset tokens, each award arrives in its own 'claimToken' message
             showRoundEnd(data.w, data.wi, data.k, data.r, data.claim, data.claudeWon);
             if (data.lb) updateLeaderboardUI(data.lb);
             break;
 
         case 'claimToken': // Secure claim token (sent only to winner)
-            currentClaimToken = data.token;
+            currentClaimTokens.push({ token: data.token, roundId: data.roundId, kind: data.kind, amount: data.amount || 0 });
             console.log('Received claim token for round:', data.roundId);
+            showClaimSection();
+            break;
+
+        case 'wc': // Wallet challenge to sign (m: message, n: nonce) or e: error
+        case 'wl': // Wallet linked (w: address) or e: error
+            if (walletReply) {
+                const reply = walletReply;
+                walletReply = null;
+                if (data.e) reply.reject(new Error(data.e));
+                else reply.resolve(data);
+            }
             break;
 
-        case 'as': // arenaShrink
-            gameState.arenaSize = data.s;
+        case 'as': // Storm phase changed
+            applyZone(data);
             break;
 
+        case 'ex': { // Grenade detonation
+            const distToBlast = Math.hypot(localPlayer.x - data.x, localPlayer.y - data.y);
+            if (data.g === 'smoke') {
+                particlePool.spawnBurst(data.x, data.y, 16, 3, 900, 14, '#b8b0a8');
+            } else {
+                particlePool.spawnBurst(data.x, data.y, 24, 9, 500, 8, '#ffb347');
+                particlePool.spawnBurst(data.x, data.y, 12, 4, 900, 14, '#5a4636');
+                particlePool.spawn(data.x, data.y, 0, 0, 150, data.r / 3, '#fff4d6');
+                if (distToBlast < data.r * 2) {
+                    addScreenShake(14 * (1 - distToBlast / (data.r * 2)) + 4, 250);
+                }
+            }
+            break;
+        }
+
         case 'hit': // Hit event - visual feedback
             // Screen shake if we got hit
             if (data.vi === playerId) {
@@ -1025,6 +1544,14 @@ function handleMessage(data) {
             particlePool.spawnBurst(data.x, data.y, 3, 2, 150, 3, '#da7756');
             break;
 
+        case 'pi': // Player info - someone joined (or Claude spawned)
+            roster.set(data.e, data);
+            break;
+
+        case 'pl': // Player left
+            roster.delete(data.e);
+            break;
+
         case 'lp': // Loot pickup
             // Particle effect at pickup location - minimal
             if (data.pi === playerId) {
@@ -1066,32 +1593,25 @@ function showRoundEnd(winner, winnerId, kills, round, claim, claudeWon = false)
     const killsEl = document.getElementById('roundKills');
     const walletSection = document.getElementById('walletSection');
     const timer = document.getElementById('nextRoundTimer');
-    const prizeAmountEl = document.getElementById('prizeAmount');
 
     overlay.classList.add('show');
 
     if (winner) {
-        // Special handling when Claude (AI) wins
+        // Special handling when an AI boss wins
         if (claudeWon) {
-            winnerEl.textContent = `CLAUDE WINS!`;
+            winnerEl.textContent = `${winner.toUpperCase()} WINS!`;
             winnerEl.style.color = '#da7756';
             killsEl.textContent = `${kills} humans eliminated`;
-            timer.textContent = 'Prize pool preserved for next round. Can you defeat the AI?';
+            timer.textContent = "The winner's share rolls over to the next round. Can you defeat the AI?";
             walletSection.classList.remove('show');
         } else {
             winnerEl.textContent = `${winner} WINS!`;
             winnerEl.style.color = ''; // Reset to default
             killsEl.textContent = `${kills} kills`;
 
+            // Other awards (placements, kill bounty) show up as their tokens arrive
             if (winnerId === playerId && claim) {
-                walletSection.classList.add('show');
-                if (prizeAmountEl) {
-                    prizeAmountEl.textContent = `Prize: ${claim.amount.toFixed(4)} SOL`;
-                }
-                // Reset input and button state
-                document.getElementById('walletInput').value = '';
-                document.getElementById('claimBtn').disabled = false;
-                document.getElementById('claimBtn').textContent = 'CLAIM PRIZE';
+                showClaimSection();
             } else {
                 walletSection.classList.remove('show');
             }
@@ -1276,14 +1796,15 @@ function updateRecentWinnersUI(winners) {
     `).join('');
 }
 
-function addClaudeMessage(message) {
+function addClaudeMessage(message, speaker = 'Claude', speakerColor = null) {
     const container = document.getElementById('claudeMessages');
     const msg = document.createElement('div');
     msg.className = 'claude-msg';
     msg.innerHTML = `
-        <div class="speaker">CLAUDE</div>
+        <div class="speaker">${escapeHtml(speaker.toUpperCase())}</div>
         <div class="text">${escapeHtml(message)}</div>
     `;
+    if (speakerColor) msg.querySelector('.speaker').style.color = speakerColor;
     container.appendChild(msg);
     container.scrollTop = container.scrollHeight;
 
@@ -1315,6 +1836,24 @@ document.addEventListener('keydown', (e) => {
     const key = e.key.toLowerCase();
     if (key in keys) keys[key] = true;
 
+    // R to reload (server checks magazine/reserve)
+    if (key === 'r' && !e.repeat) {
+        requestReload();
+    }
+
+    // 1/2 pick a weapon slot, E picks up the weapon on the ground
+    if ((key === '1' || key === '2') && !e.repeat) {
+        switchWeaponSlot(key === '1' ? 0 : 1);
+    }
+    if (key === 'e' && !e.repeat) {
+        sendIfAlive({ t: 'pu' });
+    }
+
+    // G throws a frag, C a smoke - they land at the cursor (up to their max range)
+    if ((key === 'g' || key === 'c') && !e.repeat) {
+        throwGrenade(key === 'g' ? 'frag' : 'smoke');
+    }
+
     // Space to cycle spectate targets when spectating
     if (e.key === ' ' && (!localPlayer.alive || isSpectator) && gameState.phase === 'active') {
         e.preventDefault();
@@ -1327,6 +1866,37 @@ document.addEventListener('keyup', (e) => {
     if (key in keys) keys[key] = false;
 });
 
+// Scroll wheel toggles between the two slots
+const SLOT_SCROLL_COOLDOWN = 150;
+let lastSlotScroll = 0;
+document.addEventListener('wheel', (e) => {
+    if (e.target.closest('#menu') || e.deltaY === 0) return;
+    const now = Date.now();
+    if (now - lastSlotScroll < SLOT_SCROLL_COOLDOWN) return;
+    lastSlotScroll = now;
+    switchWeaponSlot();
+}, { passive: true });
+
+function sendIfAlive(message) {
+    if (localPlayer.alive && !isSpectator && ws && ws.readyState === 1) {
+        ws.send(JSON.stringify(message));
+    }
+}
+
+function throwGrenade(type) {
+    const count = type === 'frag' ? localPlayer.frags : localPlayer.smokes;
+    if (!count) return;
+    const dx = mouseX - (localPlayer.x - camera.x);
+    const dy = mouseY - (localPlayer.y - camera.y);
+    sendIfAlive({ t: 'gr', g: type, d: Math.round(Math.hypot(dx, dy)) });
+}
+
+// Slot 0/1, or toggle when omitted - the server ignores it if the other slot is empty
+function switchWeaponSlot(slot) {
+    if (!localPlayer.otherWeapon || slot === localPlayer.activeSlot) return;
+    sendIfAlive({ t: 'sw', s: slot });
+}
+
 document.addEventListener('mousemove', (e) => {
     mouseX = e.clientX;
     mouseY = e.clientY;
@@ -1352,8 +1922,13 @@ document.addEventListener('click', (e) => {
     const now = Date.now();
     const timeSinceLast = now - lastShootTime;
     const currentWeapon = localPlayer.weapon || 'pistol';
-    const weaponDef = WEAPONS[currentWeapon] || { fireRate: 300 };
-    const cooldown = weaponDef.fireRate || 300;
+    const cooldown = getFireCooldown();
+
+    // Empty magazine - reload instead of firing a shot the server would reject
+    if (localPlayer.alive && (localPlayer.reloading || localPlayer.ammo === 0)) {
+        requestReload();
+        return;
+    }
 
     // Check if we can shoot
     if (localPlayer.alive && ws && ws.readyState === 1) {
@@ -1369,12 +1944,20 @@ document.addEventListener('click', (e) => {
     }
 });
 
+function requestReload() {
+    if (!localPlayer.alive || localPlayer.reloading || !ws || ws.readyState !== 1) return;
+    const weaponDef = WEAPONS[localPlayer.weapon] || {};
+    if (localPlayer.ammo >= weaponDef.magSize || localPlayer.reserveAmmo <= 0) return;
+    ws.send(JSON.stringify({ t: 'rl' }));
+}
+
 // Extracted shot execution for cleaner code + input buffer reuse
 function executeShot(now, currentWeapon) {
     lastShootTime = now;
+    if (localPlayer.ammo > 0) localPlayer.ammo--; // Predicted - next snapshot corrects it
 
     // Send to server IMMEDIATELY
-    ws.send(JSON.stringify({ t: 'sh' }));
+    ws.send(JSON.stringify({ t: 'sh', rt: getRenderTick() }));
 
     // CLIENT-SIDE PREDICTION: Spawn predicted bullet INSTANTLY
     spawnPredictedBullet(localPlayer.x, localPlayer.y, localPlayer.angle, currentWeapon);
@@ -1399,7 +1982,7 @@ function executeShot(now, currentWeapon) {
 // UPDATE LOOP
 // ============================================================================
 // Smooth spectator camera transition
-let spectatorCameraTarget = { x: ARENA_SIZE / 2, y: ARENA_SIZE / 2 };
+let spectatorCameraTarget = { x: mapWidth / 2, y: mapHeight / 2 };
 let spectatorCameraLerp = 0.15; // Faster spectator camera (was 0.08)
 
 function updateLocalPlayer(dt) {
@@ -1424,14 +2007,14 @@ function updateLocalPlayer(dt) {
                     }
                 } else {
                     // No alive players - center on arena
-                    spectatorCameraTarget.x = ARENA_SIZE / 2;
-                    spectatorCameraTarget.y = ARENA_SIZE / 2;
+                    spectatorCameraTarget.x = mapWidth / 2;
+                    spectatorCameraTarget.y = mapHeight / 2;
                 }
             }
         } else if (gameState.phase === 'waiting' || gameState.phase === 'ended') {
             // Center camera on arena when waiting/ended
-            spectatorCameraTarget.x = ARENA_SIZE / 2;
-            spectatorCameraTarget.y = ARENA_SIZE / 2;
+            spectatorCameraTarget.x = mapWidth / 2;
+            spectatorCameraTarget.y = mapHeight / 2;
         }
 
         // Smooth camera interpolation for spectator mode
@@ -1440,53 +2023,36 @@ function updateLocalPlayer(dt) {
         return;
     }
 
-    // Client-side prediction: process input locally (ALWAYS - for momentum)
-    const input = processLocalInput(keys, dt);
-
-    // Apply movement (including momentum decay)
-    applyInput(localPlayer, input);
-
-    // NOTE: Recoil is now VISUAL ONLY - applied in camera offset, not position
-    // This prevents jitter from position oscillation
-
     // Direct aim (no smoothing - instant response)
     const screenX = localPlayer.x - camera.x;
     const screenY = localPlayer.y - camera.y;
     localPlayer.angle = Math.atan2(mouseY - screenY, mouseX - screenX);
 
-    // NETWORK OPTIMIZATION: Balanced update rate
-    const now = Date.now();
-    const timeSinceLastSend = now - (localPlayer.lastNetworkSend || 0);
-    const isMoving = Math.abs(movement.vx) > 0.1 || Math.abs(movement.vy) > 0.1;
-    const angleDiff = Math.abs(localPlayer.angle - lastSentAngle);
-
-    // Send if: moving (throttled to 50ms = ~20Hz) OR angle changed significantly (33ms = ~30Hz)
-    // Lower rate = fewer reconciliation conflicts
-    const shouldSendMove = isMoving && timeSinceLastSend > 50;
-    const shouldSendAim = angleDiff > ANGLE_THRESHOLD && timeSinceLastSend > 33;
-
-    if ((shouldSendMove || shouldSendAim) && ws && ws.readyState === 1) {
-        localPlayer.lastNetworkSend = now;
-        inputSequence++;
-        lastSentAngle = localPlayer.angle;
-
-        if (isMoving) {
-            pendingInputs.push({ seq: inputSequence, dx: input.dx, dy: input.dy });
+    // Client-side prediction: run fixed movement ticks and send each as an input command
+    if (ws && ws.readyState === 1) {
+        const inputs = processLocalInput(keys, dt * 1000); // dt is in seconds
+        for (const input of inputs) {
+            ws.send(JSON.stringify({
+                t: 'm',
+                k: input.k,
+                a: Math.round(localPlayer.angle * 100) / 100,
+                seq: input.seq,
+                sk: snapshotAckTick
+            }));
+            lastInputSentAt = performance.now();
         }
-
-        ws.send(JSON.stringify({
-            t: 'm',
-            x: Math.round(localPlayer.x * 10) / 10,
-            y: Math.round(localPlayer.y * 10) / 10,
-            a: Math.round(localPlayer.angle * 100) / 100,
-            seq: inputSequence
-        }));
     }
 
+    // Render between the last two ticks, plus whatever correction is still easing out
+    // NOTE: Recoil is VISUAL ONLY - applied in camera offset, not position
+    const alpha = movement.stepAccumulator / MOVE_STEP_MS;
+    localPlayer.x = lerp(movement.prevX, movement.x, alpha) + movement.correctionX;
+    localPlayer.y = lerp(movement.prevY, movement.y, alpha) + movement.correctionY;
+
     // Storm warning
-    const center = ARENA_SIZE / 2;
-    const dist = Math.sqrt((localPlayer.x - center) ** 2 + (localPlayer.y - center) ** 2);
-    if (dist > gameState.arenaSize / 2 - 50) {
+    const zone = gameState.zone;
+    const outside = Math.max(Math.abs(localPlayer.x - zone.x), Math.abs(localPlayer.y - zone.y));
+    if (outside > zone.size / 2 - 50) {
         document.getElementById('arenaWarning').classList.add('show');
     } else {
         document.getElementById('arenaWarning').classList.remove('show');
@@ -1546,111 +2112,197 @@ function drawArena() {
         camera.y = 0;
     }
 
-    const center = ARENA_SIZE / 2;
-    const arenaScreenX = center - camera.x;
-    const arenaScreenY = center - camera.y;
-    const arenaHalfSize = (gameState.arenaSize || ARENA_SIZE) / 2;
+    const theme = FLOOR_THEMES[mapTheme] || FLOOR_THEMES.chatbox;
+    const arenaScreenX = gameState.zone.x - camera.x;
+    const arenaScreenY = gameState.zone.y - camera.y;
+    const arenaHalfSize = gameState.zone.size / 2;
     const cornerRadius = 24; // Rounded corners like Claude chat box
 
-    // Calculate square bounds
-    const left = arenaScreenX - arenaHalfSize;
-    const top = arenaScreenY - arenaHalfSize;
-    const size = arenaHalfSize * 2;
+    // Safe square clipped to the map bounds (maps can be rectangular)
+    const left = Math.max(arenaScreenX - arenaHalfSize, -camera.x);
+    const top = Math.max(arenaScreenY - arenaHalfSize, -camera.y);
+    const width = Math.min(arenaScreenX + arenaHalfSize, mapWidth - camera.x) - left;
+    const height = Math.min(arenaScreenY + arenaHalfSize, mapHeight - camera.y) - top;
 
     // Guard against NaN values that would crash gradient creation
-    if (!isFinite(left) || !isFinite(top) || !isFinite(size) || size <= 0) {
+    if (!isFinite(left) || !isFinite(top) || !isFinite(width) || !isFinite(height) || width <= 0 || height <= 0) {
         return; // Skip rendering this frame
     }
 
-    // 1. Draw storm void OUTSIDE the square (dark terminal background)
-    ctx.fillStyle = 'rgba(30, 28, 26, 0.95)';
-    ctx.fillRect(-camera.x - 500, -camera.y - 500, ARENA_SIZE + 1000, ARENA_SIZE + 1000);
+    // 1. Draw storm void OUTSIDE the safe zone
+    ctx.fillStyle = theme.void;
+    ctx.fillRect(-camera.x - 500, -camera.y - 500, mapWidth + 1000, mapHeight + 1000);
 
-    // 2. Draw the Claude chat box arena
+    // 2. Draw the arena floor
     ctx.save();
 
     // Create rounded rectangle path for clipping
     ctx.beginPath();
-    ctx.roundRect(left, top, size, size, cornerRadius);
+    ctx.roundRect(left, top, width, height, cornerRadius);
     ctx.clip();
 
-    // Chat box background - dark like Claude's interface
-    ctx.fillStyle = '#2d2a28';
-    ctx.fillRect(left, top, size, size);
+    // Floor background
+    ctx.fillStyle = theme.floor[0];
+    ctx.fillRect(left, top, width, height);
 
     // Subtle inner gradient for depth
-    const gradient = ctx.createLinearGradient(left, top, left, top + size);
-    gradient.addColorStop(0, 'rgba(45, 42, 40, 1)');
-    gradient.addColorStop(0.5, 'rgba(35, 32, 30, 1)');
-    gradient.addColorStop(1, 'rgba(28, 26, 24, 1)');
+    const gradient = ctx.createLinearGradient(left, top, left, top + height);
+    gradient.addColorStop(0, theme.floor[0]);
+    gradient.addColorStop(0.5, theme.floor[1]);
+    gradient.addColorStop(1, theme.floor[2]);
     ctx.fillStyle = gradient;
-    ctx.fillRect(left, top, size, size);
+    ctx.fillRect(left, top, width, height);
 
     // Draw subtle grid lines like code editor
-    ctx.strokeStyle = 'rgba(70, 65, 60, 0.3)';
+    ctx.strokeStyle = theme.grid;
     ctx.lineWidth = 1;
     const gridSize = 50;
 
     ctx.beginPath();
-    for (let x = left; x <= left + size; x += gridSize) {
+    for (let x = left; x <= left + width; x += gridSize) {
         ctx.moveTo(x, top);
-        ctx.lineTo(x, top + size);
+        ctx.lineTo(x, top + height);
     }
-    for (let y = top; y <= top + size; y += gridSize) {
+    for (let y = top; y <= top + height; y += gridSize) {
         ctx.moveTo(left, y);
-        ctx.lineTo(left + size, y);
+        ctx.lineTo(left + width, y);
     }
     ctx.stroke();
 
     // Draw "typing cursor" blinking effect in corner
     const cursorBlink = Math.sin(Date.now() / 500) > 0;
     if (cursorBlink) {
-        ctx.fillStyle = '#da7756';
-        ctx.fillRect(left + 20, top + size - 40, 12, 20);
+        ctx.fillStyle = theme.accent;
+        ctx.fillRect(left + 20, top + height - 40, 12, 20);
     }
 
     ctx.restore();
 
-    // 3. Draw chat box border - Claude orange accent
-    ctx.strokeStyle = '#da7756';
+    // 3. Draw arena border in the theme accent
+    ctx.strokeStyle = theme.accent;
     ctx.lineWidth = 3;
     ctx.beginPath();
-    ctx.roundRect(left, top, size, size, cornerRadius);
+    ctx.roundRect(left, top, width, height, cornerRadius);
     ctx.stroke();
 
     // Inner subtle border
-    ctx.strokeStyle = 'rgba(218, 119, 86, 0.2)';
+    ctx.strokeStyle = theme.innerBorder;
     ctx.lineWidth = 1;
     ctx.beginPath();
-    ctx.roundRect(left + 6, top + 6, size - 12, size - 12, cornerRadius - 4);
+    ctx.roundRect(left + 6, top + 6, width - 12, height - 12, cornerRadius - 4);
     ctx.stroke();
 
-    // 4. Draw "Claude" label at top of chat box
-    ctx.fillStyle = '#da7756';
+    // 4. Draw the theme label at top of the arena
+    ctx.fillStyle = theme.accent;
     ctx.font = 'bold 14px "Söhne", "SF Pro", system-ui, sans-serif';
     ctx.textAlign = 'left';
-    ctx.fillText('Claude', left + 20, top + 25);
+    ctx.fillText(theme.label, left + 20, top + 25);
+    const labelWidth = ctx.measureText(theme.label).width;
 
     // Thinking dots indicator
     const dotPhase = Math.floor(Date.now() / 300) % 4;
-    ctx.fillStyle = 'rgba(218, 119, 86, 0.6)';
+    ctx.fillStyle = theme.dots;
     ctx.font = '12px monospace';
     const dots = '.'.repeat(dotPhase);
-    ctx.fillText(dots, left + 75, top + 25);
+    ctx.fillText(dots, left + 27 + labelWidth, top + 25);
 
     // 5. Storm pulse effect outside the box (only during active phase)
     if (gameState.phase === 'active') {
         const pulse = Math.sin(Date.now() / 1000) * 0.03 + 0.05;
-        ctx.fillStyle = `rgba(218, 119, 86, ${pulse})`;
+        ctx.fillStyle = `rgba(${theme.stormRgb}, ${pulse})`;
 
         // Top strip (above the arena)
         ctx.fillRect(0, 0, canvas.width, top);
         // Bottom strip (below the arena)
-        ctx.fillRect(0, top + size, canvas.width, canvas.height - (top + size));
+        ctx.fillRect(0, top + height, canvas.width, canvas.height - (top + height));
         // Left strip (left of the arena, between top and bottom)
-        ctx.fillRect(0, top, left, size);
+        ctx.fillRect(0, top, left, height);
         // Right strip (right of the arena, between top and bottom)
-        ctx.fillRect(left + size, top, canvas.width - (left + size), size);
+        ctx.fillRect(left + width, top, canvas.width - (left + width), height);
+    }
+
+    // 6. Next safe zone outline
+    const next = gameState.nextZone;
+    if (gameState.phase === 'active' && next) {
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([12, 10]);
+        ctx.strokeRect(next.x - next.size / 2 - camera.x, next.y - next.size / 2 - camera.y, next.size, next.size);
+        ctx.restore();
+    }
+
+    // 7. Cover on top of the floor
+    drawObstacles();
+}
+
+// Floor palettes per map theme - ids must match MAP_THEMES in services/maps.js
+const FLOOR_THEMES = {
+    chatbox: {
+        label: 'Claude',
+        void: 'rgba(30, 28, 26, 0.95)',
+        floor: ['rgba(45, 42, 40, 1)', 'rgba(35, 32, 30, 1)', 'rgba(28, 26, 24, 1)'],
+        grid: 'rgba(70, 65, 60, 0.3)',
+        accent: '#da7756',
+        innerBorder: 'rgba(218, 119, 86, 0.2)',
+        dots: 'rgba(218, 119, 86, 0.6)',
+        stormRgb: '218, 119, 86',
+        minimapFloor: '#2d2a28'
+    },
+    terminal: {
+        label: '~/arena $',
+        void: 'rgba(8, 12, 10, 0.95)',
+        floor: ['rgba(16, 28, 22, 1)', 'rgba(12, 22, 17, 1)', 'rgba(8, 16, 12, 1)'],
+        grid: 'rgba(61, 220, 132, 0.12)',
+        accent: '#3ddc84',
+        innerBorder: 'rgba(61, 220, 132, 0.2)',
+        dots: 'rgba(61, 220, 132, 0.6)',
+        stormRgb: '61, 220, 132',
+        minimapFloor: '#12201a'
+    }
+};
+
+// Obstacle styles - crates are low cover, walls and pillars block sight
+const OBSTACLE_STYLES = {
+    crate: { fill: '#5a4636', stroke: '#8a6a4f', radius: 4 },
+    wall: { fill: '#3a3532', stroke: '#da7756', radius: 2 },
+    pillar: { fill: '#46403b', stroke: '#c4a07a', radius: 12 }
+};
+
+function drawObstacles() {
+    for (const o of obstacles) {
+        const x = o.x - camera.x;
+        const y = o.y - camera.y;
+
+        // Frustum culling
+        if (x + o.w < 0 || x > canvas.width || y + o.h < 0 || y > canvas.height) continue;
+
+        const style = OBSTACLE_STYLES[o.type] || OBSTACLE_STYLES.wall;
+
+        // Drop shadow for depth
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+        ctx.beginPath();
+        ctx.roundRect(x + 4, y + 4, o.w, o.h, style.radius);
+        ctx.fill();
+
+        ctx.fillStyle = style.fill;
+        ctx.strokeStyle = style.stroke;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.roundRect(x, y, o.w, o.h, style.radius);
+        ctx.fill();
+        ctx.stroke();
+
+        // Crate planks
+        if (o.type === 'crate') {
+            ctx.beginPath();
+            ctx.moveTo(x + 4, y + 4);
+            ctx.lineTo(x + o.w - 4, y + o.h - 4);
+            ctx.moveTo(x + o.w - 4, y + 4);
+            ctx.lineTo(x + 4, y + o.h - 4);
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        }
     }
 }
 
@@ -1661,6 +2313,7 @@ function drawPlayers() {
     for (const rawPlayer of gameState.players) {
         if (rawPlayer.i === playerId) continue; // Skip self
         if (rawPlayer.v !== 1) continue; // Skip dead
+        if (rawPlayer.hd) continue; // Hidden behind cover
 
         // Get interpolated state
         const player = getInterpolatedState(rawPlayer.i, renderTime) || rawPlayer;
@@ -1672,7 +2325,7 @@ function drawPlayers() {
         // Frustum culling
         if (x < -60 || x > canvas.width + 60 || y < -60 || y > canvas.height + 60) continue;
 
-        drawPlayer(player, x, y, false);
+        drawPlayer(player, x, y, false, rawPlayer.bt === 1, rawPlayer.npc === 1);
     }
 
     // Draw local player (no interpolation - direct)
@@ -1687,31 +2340,32 @@ function drawPlayers() {
     }
 }
 
-function drawPlayer(player, x, y, isLocal) {
+function drawPlayer(player, x, y, isLocal, isBot = false, isBoss = false) {
     const angle = player.angle || 0;
     const color = player.color || player.c || '#da7756';
     const name = player.name || player.n || 'Player';
     const kills = player.kills || player.k || 0;
     const health = player.health || player.h || 100;
     const character = player.character || player.ch || 'claude';
-    const isNPC = player.npc === 1 || player.isNPC || name === 'Claude';
+    const isNPC = isBoss || player.npc === 1 || player.isNPC || name === 'Claude';
+    const bossColor = isNPC ? (player.color || player.c || '#FF6B00') : null;
     const radius = 28; // Slightly larger for character sprites
     const spriteSize = 56; // Size to render the character sprite
 
     ctx.save();
 
-    // BIG ORANGE GLOW for Claude NPC - Makes it stand out!
+    // BIG GLOW in the boss's color - Makes it stand out!
     if (isNPC) {
         // Pulsing glow effect
         const pulseTime = Date.now() / 300;
         const pulseScale = 1 + Math.sin(pulseTime) * 0.15;
         const glowRadius = 60 * pulseScale;
 
-        // Outer orange glow (multiple layers for intensity)
+        // Outer glow (multiple layers for intensity)
         const gradient = ctx.createRadialGradient(x, y, radius, x, y, glowRadius);
-        gradient.addColorStop(0, 'rgba(255, 107, 0, 0.6)');
-        gradient.addColorStop(0.5, 'rgba(255, 140, 0, 0.3)');
-        gradient.addColorStop(1, 'rgba(255, 165, 0, 0)');
+        gradient.addColorStop(0, hexToRgba(bossColor, 0.6));
+        gradient.addColorStop(0.5, hexToRgba(bossColor, 0.3));
+        gradient.addColorStop(1, hexToRgba(bossColor, 0));
 
         ctx.fillStyle = gradient;
         ctx.beginPath();
@@ -1720,16 +2374,16 @@ function drawPlayer(player, x, y, isLocal) {
 
         // Secondary inner glow
         const innerGradient = ctx.createRadialGradient(x, y, 0, x, y, radius + 15);
-        innerGradient.addColorStop(0, 'rgba(255, 200, 100, 0.4)');
-        innerGradient.addColorStop(1, 'rgba(255, 107, 0, 0.2)');
+        innerGradient.addColorStop(0, 'rgba(255, 255, 255, 0.25)');
+        innerGradient.addColorStop(1, hexToRgba(bossColor, 0.2));
 
         ctx.fillStyle = innerGradient;
         ctx.beginPath();
         ctx.arc(x, y, radius + 15, 0, Math.PI * 2);
         ctx.fill();
 
-        // Thick orange ring
-        ctx.strokeStyle = '#FF6B00';
+        // Thick ring
+        ctx.strokeStyle = bossColor;
         ctx.lineWidth = 4;
         ctx.globalAlpha = 0.8;
         ctx.beginPath();
@@ -1739,7 +2393,7 @@ function drawPlayer(player, x, y, isLocal) {
     }
 
     // Outer glow ring
-    ctx.strokeStyle = isNPC ? '#FF6B00' : color;
+    ctx.strokeStyle = isNPC ? bossColor : color;
     ctx.lineWidth = 4;
     ctx.globalAlpha = 0.3;
     ctx.beginPath();
@@ -1751,7 +2405,7 @@ function drawPlayer(player, x, y, isLocal) {
     const charImg = characterImages[character];
     const charLoaded = characterImagesLoaded[character];
 
-    const displayColor = isNPC ? '#FF6B00' : color;
+    const displayColor = isNPC ? bossColor : color;
 
     if (charImg && charLoaded) {
         // Draw character sprite centered
@@ -1819,7 +2473,7 @@ function drawPlayer(player, x, y, isLocal) {
     ctx.font = 'bold 14px Arial, sans-serif';
     ctx.textAlign = 'center';
     ctx.textBaseline = 'bottom';
-    ctx.fillText(name, x, y - radius - 22);
+    ctx.fillText(isBot ? `[BOT] ${name}` : name, x, y - radius - 22);
 
     // Kills count
     ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
@@ -1838,12 +2492,12 @@ function drawPlayer(player, x, y, isLocal) {
     ctx.roundRect(x - barWidth / 2 - 1, barY - 1, barWidth + 2, barHeight + 2, 3);
     ctx.fill();
 
-    // Health fill (out of 150) - Claude theme
+    // Health fill (out of max health) - Claude theme
     let healthColor = '#7bc47f';
     if (health <= 75) healthColor = '#e8a87c';
     if (health <= 40) healthColor = '#e85c5c';
 
-    const healthPercent = Math.min(1, health / 150);
+    const healthPercent = Math.min(1, health / PLAYER_STATS.maxHealth);
     ctx.fillStyle = healthColor;
     ctx.beginPath();
     ctx.roundRect(x - barWidth / 2, barY, healthPercent * barWidth, barHeight, 2);
@@ -1857,13 +2511,22 @@ function drawPlayer(player, x, y, isLocal) {
         ctx.roundRect(x - barWidth / 2 - 1, shieldY - 1, barWidth + 2, 4, 2);
         ctx.fill();
 
-        const shieldPercent = Math.min(1, shield / 100);
+        const shieldPercent = Math.min(1, shield / PLAYER_STATS.maxShield);
         ctx.fillStyle = '#6b9bd1';
         ctx.beginPath();
         ctx.roundRect(x - barWidth / 2, shieldY, shieldPercent * barWidth, 3, 2);
         ctx.fill();
     }
 
+    // Reloading tag under the health bar
+    if (player.reloading) {
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.75)';
+        ctx.font = 'bold 10px Arial, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillText('RELOADING', x, barY + barHeight + 4);
+    }
+
     // Self highlight (coral dashed ring)
     if (isLocal) {
         ctx.strokeStyle = '#da7756';
@@ -1879,6 +2542,54 @@ function drawPlayer(player, x, y, isLocal) {
 // Claude letter bullets - cycles through characters
 const BULLET_LETTERS = ['C', 'L', 'A', 'U', 'D', 'E', '>', '<', '/', '*', '.', '·'];
 
+// Grenades - shadow on the ground, body lifted by the arc height, blinking fuse
+function drawProjectiles() {
+    for (const g of gameState.projectiles) {
+        const x = g.x - camera.x;
+        const y = g.y - camera.y;
+        if (x < -40 || x > canvas.width + 40 || y < -100 || y > canvas.height + 40) continue;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+        ctx.beginPath();
+        ctx.ellipse(x, y, 7, 4, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        const blink = Math.floor(Date.now() / 150) % 2 === 0;
+        ctx.fillStyle = LOOT_COLORS[g.t] || '#ffffff';
+        ctx.strokeStyle = blink ? '#ffffff' : '#2b2520';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(x, y - g.h, 7, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+    }
+}
+
+// Smoke clouds - drawn over players so whoever is inside is actually hidden
+function drawSmoke() {
+    const time = Date.now() / 1000;
+    for (const cloud of gameState.smoke) {
+        const x = cloud.x - camera.x;
+        const y = cloud.y - camera.y;
+        if (x < -cloud.r || x > canvas.width + cloud.r || y < -cloud.r || y > canvas.height + cloud.r) continue;
+
+        // Thin out over the last two seconds
+        const alpha = Math.min(1, cloud.tl / 2) * 0.92;
+        for (let i = 0; i < 5; i++) {
+            const angle = time * 0.2 + i * 1.3;
+            const px = x + Math.cos(angle) * cloud.r * 0.25;
+            const py = y + Math.sin(angle) * cloud.r * 0.25;
+            const gradient = ctx.createRadialGradient(px, py, 0, px, py, cloud.r * 0.8);
+            gradient.addColorStop(0, `rgba(190, 182, 174, ${alpha})`);
+            gradient.addColorStop(1, 'rgba(190, 182, 174, 0)');
+            ctx.fillStyle = gradient;
+            ctx.beginPath();
+            ctx.arc(px, py, cloud.r * 0.8, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+}
+
 function drawBullets() {
     const bulletCount = gameState.bullets.length;
     const heavyCombat = bulletCount > 50; // Reduce detail in heavy combat
@@ -1950,6 +2661,54 @@ function drawBullets() {
     }
 }
 
+// Death crates - marks where a player fell (their loot spills around it)
+const DEATH_CRATE_LIFETIME = 45000;
+const DEATH_CRATE_FADE = 5000;
+const deathCrates = []; // { x, y, name, time }
+
+function drawDeathCrates() {
+    const now = Date.now();
+    for (let i = deathCrates.length - 1; i >= 0; i--) {
+        const crate = deathCrates[i];
+        const age = now - crate.time;
+        if (age > DEATH_CRATE_LIFETIME) {
+            deathCrates.splice(i, 1);
+            continue;
+        }
+
+        const x = crate.x - camera.x;
+        const y = crate.y - camera.y;
+        if (x < -40 || x > canvas.width + 40 || y < -40 || y > canvas.height + 40) continue;
+
+        ctx.globalAlpha = Math.min(1, (DEATH_CRATE_LIFETIME - age) / DEATH_CRATE_FADE);
+
+        // Crate body
+        ctx.fillStyle = '#4a3a2e';
+        ctx.strokeStyle = '#da7756';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.roundRect(x - 14, y - 14, 28, 28, 4);
+        ctx.fill();
+        ctx.stroke();
+
+        // Lid strap + skull
+        ctx.fillStyle = '#da7756';
+        ctx.fillRect(x - 14, y - 3, 28, 6);
+        ctx.fillStyle = '#fff';
+        ctx.font = 'bold 12px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('☠', x, y + 1);
+
+        // Victim name
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.font = '10px Arial, sans-serif';
+        ctx.textBaseline = 'top';
+        ctx.fillText(crate.name, x, y + 18);
+        ctx.globalAlpha = 1;
+    }
+}
+
 function drawLoot() {
     for (const item of gameState.loot) {
         const x = item.x - camera.x;
@@ -1960,15 +2719,16 @@ function drawLoot() {
 
         const color = LOOT_COLORS[item.t] || '#ffffff';
         const isWeapon = ['shotgun', 'smg', 'sniper'].includes(item.t);
+        const rarityColor = getRarityColor(item.r);
 
         // Pulsing glow effect
         const pulse = Math.sin(Date.now() / 300 + item.i) * 0.3 + 0.7;
 
-        // Outer glow
-        ctx.globalAlpha = 0.3 * pulse;
-        ctx.fillStyle = color;
+        // Outer glow - tier colored and wider the rarer the weapon
+        ctx.globalAlpha = (rarityColor ? 0.45 : 0.3) * pulse;
+        ctx.fillStyle = rarityColor || color;
         ctx.beginPath();
-        ctx.arc(x, y, 20, 0, Math.PI * 2);
+        ctx.arc(x, y, 20 + (item.r || 0) * 3, 0, Math.PI * 2);
         ctx.fill();
         ctx.globalAlpha = 1;
 
@@ -1982,7 +2742,7 @@ function drawLoot() {
         ctx.fill();
 
         // Border
-        ctx.strokeStyle = '#fff';
+        ctx.strokeStyle = rarityColor || '#fff';
         ctx.lineWidth = 2;
         ctx.beginPath();
         ctx.arc(x, y, 14, 0, Math.PI * 2);
@@ -1998,9 +2758,29 @@ function drawLoot() {
             ctx.fillText('+', x, y);
         } else if (item.t === 'shield') {
             ctx.fillText('◇', x, y);
+        } else if (item.t === 'ammo') {
+            ctx.fillText('≡', x, y);
+        } else if (item.t === 'frag') {
+            ctx.fillText('●', x, y);
+        } else if (item.t === 'smoke') {
+            ctx.fillText('○', x, y);
         } else if (isWeapon) {
             ctx.fillText('⚔', x, y - 1);
         }
+
+        // Interact prompt for weapons in reach we don't already carry (or would upgrade)
+        const carriedRarity = item.t === localPlayer.weapon ? localPlayer.weaponRarity
+            : (item.t === localPlayer.otherWeapon ? localPlayer.otherWeaponRarity : -1);
+        if (isWeapon && localPlayer.alive && (item.r || 0) > carriedRarity) {
+            const dx = localPlayer.x - item.x;
+            const dy = localPlayer.y - item.y;
+            if (dx * dx + dy * dy < INTERACT_RADIUS * INTERACT_RADIUS) {
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+                ctx.font = 'bold 11px Arial, sans-serif';
+                ctx.textBaseline = 'bottom';
+                ctx.fillText(`[E] ${getWeaponLabel(item.t, item.r)}`, x, y - 22);
+            }
+        }
     }
 }
 
@@ -2064,38 +2844,66 @@ function drawDamageNumbers() {
 }
 
 function drawMinimap() {
-    const scale = 150 / ARENA_SIZE;
-    const arenaHalfSize = (gameState.arenaSize / 2) * scale;
-    const arenaLeft = 75 - arenaHalfSize;
-    const arenaTop = 75 - arenaHalfSize;
-    const arenaSize = arenaHalfSize * 2;
+    const theme = FLOOR_THEMES[mapTheme] || FLOOR_THEMES.chatbox;
+    const scale = 150 / Math.max(mapWidth, mapHeight);
+    const mapW = mapWidth * scale;
+    const mapH = mapHeight * scale;
+    const zone = gameState.zone;
+    const arenaHalfSize = (zone.size / 2) * scale;
+
+    // Safe square clipped to the map bounds
+    const arenaLeft = Math.max(0, zone.x * scale - arenaHalfSize);
+    const arenaTop = Math.max(0, zone.y * scale - arenaHalfSize);
+    const arenaWidth = Math.min(mapW, zone.x * scale + arenaHalfSize) - arenaLeft;
+    const arenaHeight = Math.min(mapH, zone.y * scale + arenaHalfSize) - arenaTop;
 
     // Background - dark terminal style
     minimapCtx.fillStyle = '#1a1816';
     minimapCtx.fillRect(0, 0, 150, 150);
 
-    // Storm zone (outside the square)
-    minimapCtx.fillStyle = 'rgba(218, 119, 86, 0.15)';
-    minimapCtx.fillRect(0, 0, 150, 150);
+    // Storm zone (outside the square, inside the map)
+    minimapCtx.fillStyle = `rgba(${theme.stormRgb}, 0.15)`;
+    minimapCtx.fillRect(0, 0, mapW, mapH);
 
-    // Clear the safe zone (inside square)
-    minimapCtx.fillStyle = '#2d2a28';
-    minimapCtx.beginPath();
-    minimapCtx.roundRect(arenaLeft, arenaTop, arenaSize, arenaSize, 4);
-    minimapCtx.fill();
+    if (arenaWidth > 0 && arenaHeight > 0) {
+        // Clear the safe zone (inside square)
+        minimapCtx.fillStyle = theme.minimapFloor;
+        minimapCtx.beginPath();
+        minimapCtx.roundRect(arenaLeft, arenaTop, arenaWidth, arenaHeight, 4);
+        minimapCtx.fill();
 
-    // Arena boundary - square chat box style
-    minimapCtx.strokeStyle = '#da7756';
-    minimapCtx.lineWidth = 2;
-    minimapCtx.beginPath();
-    minimapCtx.roundRect(arenaLeft, arenaTop, arenaSize, arenaSize, 4);
-    minimapCtx.stroke();
+        // Arena boundary - square chat box style
+        minimapCtx.strokeStyle = theme.accent;
+        minimapCtx.lineWidth = 2;
+        minimapCtx.beginPath();
+        minimapCtx.roundRect(arenaLeft, arenaTop, arenaWidth, arenaHeight, 4);
+        minimapCtx.stroke();
+
+        // Theme label at top
+        minimapCtx.fillStyle = theme.accent;
+        minimapCtx.font = '7px sans-serif';
+        minimapCtx.textAlign = 'left';
+        minimapCtx.fillText(theme.label, arenaLeft + 3, arenaTop + 8);
+    }
+
+    // Next safe zone outline
+    const next = gameState.nextZone;
+    if (gameState.phase === 'active' && next) {
+        minimapCtx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+        minimapCtx.lineWidth = 1;
+        minimapCtx.setLineDash([3, 2]);
+        minimapCtx.strokeRect(
+            (next.x - next.size / 2) * scale, (next.y - next.size / 2) * scale,
+            next.size * scale, next.size * scale
+        );
+        minimapCtx.setLineDash([]);
+    }
 
-    // "Claude" label at top
-    minimapCtx.fillStyle = '#da7756';
-    minimapCtx.font = '7px sans-serif';
-    minimapCtx.textAlign = 'left';
-    minimapCtx.fillText('Claude', arenaLeft + 3, arenaTop + 8);
+    // Cover
+    minimapCtx.fillStyle = 'rgba(154, 147, 139, 0.6)';
+    for (const o of obstacles) {
+        minimapCtx.fillRect(o.x * scale, o.y * scale, Math.max(1, o.w * scale), Math.max(1, o.h * scale));
+    }
 
     // Loot (small dots)
     for (const item of gameState.loot) {
@@ -2111,7 +2919,7 @@ function drawMinimap() {
 
     // Players
     for (const player of gameState.players) {
-        if (player.v !== 1) continue;
+        if (player.v !== 1 || player.hd) continue;
 
         const px = player.x * scale;
         const py = player.y * scale;
@@ -2123,20 +2931,21 @@ function drawMinimap() {
             minimapCtx.arc(px, py, 5, 0, Math.PI * 2);
             minimapCtx.fill();
         } else if (isNPC) {
-            // Claude NPC - big orange pulsing glow on minimap
+            // Boss - big pulsing glow on minimap in its archetype color
+            const bossColor = player.c || '#FF6B00';
             const pulse = Math.sin(Date.now() / 200) * 0.3 + 0.7;
-            minimapCtx.fillStyle = `rgba(255, 107, 0, ${pulse * 0.4})`;
+            minimapCtx.fillStyle = hexToRgba(bossColor, pulse * 0.4);
             minimapCtx.beginPath();
             minimapCtx.arc(px, py, 8, 0, Math.PI * 2);
             minimapCtx.fill();
 
-            minimapCtx.fillStyle = '#FF6B00';
+            minimapCtx.fillStyle = bossColor;
             minimapCtx.beginPath();
             minimapCtx.arc(px, py, 5, 0, Math.PI * 2);
             minimapCtx.fill();
 
-            // Orange ring
-            minimapCtx.strokeStyle = '#FF6B00';
+            // Ring
+            minimapCtx.strokeStyle = bossColor;
             minimapCtx.lineWidth = 1;
             minimapCtx.beginPath();
             minimapCtx.arc(px, py, 7, 0, Math.PI * 2);
@@ -2175,12 +2984,11 @@ function gameLoop(currentTime) {
     ctx.clearRect(0, 0, canvas.width, canvas.height);
 
     // Process buffered shot input
-    if (inputBuffer.pendingShot && localPlayer.alive) {
+    if (inputBuffer.pendingShot && localPlayer.alive && localPlayer.ammo > 0 && !localPlayer.reloading) {
         const now = Date.now();
         const timeSinceLast = now - lastShootTime;
         const currentWeapon = localPlayer.weapon || 'pistol';
-        const weaponDef = WEAPONS[currentWeapon] || { fireRate: 300 };
-        const cooldown = weaponDef.fireRate || 300;
+        const cooldown = getFireCooldown();
 
         // Execute buffered shot if cooldown elapsed
         if (timeSinceLast >= cooldown) {
@@ -2210,9 +3018,12 @@ function gameLoop(currentTime) {
 
     // Render
     drawArena();
+    drawDeathCrates();
     drawLoot();
     drawBullets();
+    drawProjectiles();
     drawPlayers();
+    drawSmoke();
     drawDamageNumbers();
     particlePool.draw(ctx, camera.x, camera.y);
     drawHitMarkers();  // Draw on top (screen-space)
@@ -2289,7 +3100,7 @@ function drawCrosshair() {
 function drawLowHealthVignette() {
     if (!localPlayer.alive) return;
 
-    const healthPercent = localPlayer.health / 150;
+    const healthPercent = localPlayer.health / PLAYER_STATS.maxHealth;
 
     // Start vignette at 40% health
     if (healthPercent > 0.4) return;
@@ -2359,6 +3170,108 @@ document.addEventListener('keydown', (e) => {
     }
 });
 
+// Phantom-style injected wallet, if the browser has one that can sign messages
+function getInjectedWallet() {
+    const provider = window.phantom?.solana || window.solana;
+    return provider && typeof provider.signMessage === 'function' ? provider : null;
+}
+
+// Signing needs an injected wallet and claims for it to pay out
+function updateSignClaimOption() {
+    const canSign = !!getInjectedWallet() && currentClaimTokens.length > 0;
+    document.getElementById('signClaimBtn').classList.toggle('show', canSign);
+    document.getElementById('walletPasteHint').classList.toggle('show', canSign);
+}
+
+// place-1 -> 1st place, kills -> kill bounty (matches services/payouts.js)
+function describeAward(kind) {
+    const place = /^place-(\d+)$/.exec(kind || '');
+    if (place) {
+        const n = Number(place[1]);
+        const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+        return `${n}${suffix} place`;
+    }
+    if (kind === 'kills') return 'kill bounty';
+    if (kind === 'boss') return 'boss kill';
+    return 'prize';
+}
+
+// Wallet section for everything this player earned - all awards go to one wallet
+function showClaimSection() {
+    const walletSection = document.getElementById('walletSection');
+    const prizeAmountEl = document.getElementById('prizeAmount');
+    const total = currentClaimTokens.length > 0
+        ? currentClaimTokens.reduce((sum, c) => sum + c.amount, 0)
+        : (currentClaim ? currentClaim.amount : 0);
+    const awards = currentClaimTokens.map(c => describeAward(c.kind)).join(' + ');
+
+    walletSection.classList.add('show');
+    if (prizeAmountEl) {
+        prizeAmountEl.textContent = `Prize: ${total.toFixed(4)} SOL${awards ? ` (${awards})` : ''}`;
+    }
+    // Reset input and button state
+    document.getElementById('walletInput').value = '';
+    document.getElementById('claimBtn').disabled = false;
+    document.getElementById('claimBtn').textContent = 'CLAIM PRIZE';
+    document.getElementById('signClaimBtn').disabled = false;
+    document.getElementById('signClaimBtn').textContent = 'SIGN WITH WALLET';
+    updateSignClaimOption();
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary);
+}
+
+/**
+ * Submit one claim per award to the same wallet and update the wallet section
+ * Awards that go through are dropped from currentClaimTokens, so a retry only
+ * resubmits the ones that failed
+ * @param {HTMLElement} button - Button showing progress
+ * @param {string} idleLabel - Button text to restore on failure
+ * @param {string} wallet - Payout address
+ * @param {Array} claims - Entries of currentClaimTokens ([null] for a legacy session claim)
+ * @param {function} prepare - async (claim) => body for /api/rewards/claim
+ */
+async function submitClaims(button, idleLabel, wallet, claims, prepare) {
+    let claimed = 0;
+    let lastError = null;
+
+    for (let i = 0; i < claims.length; i++) {
+        if (claims.length > 1) button.textContent = `SUBMITTING ${i + 1}/${claims.length}...`;
+        const response = await fetch('/api/rewards/claim', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(await prepare(claims[i]))
+        });
+        const result = await response.json();
+
+        if (result.success) {
+            claimed++;
+            currentClaimTokens = currentClaimTokens.filter(c => c !== claims[i]);
+        } else {
+            lastError = result.error || 'Failed to submit claim';
+        }
+    }
+
+    if (!lastError) {
+        button.textContent = 'CLAIMED!';
+        button.style.background = '#7bc47f';
+        const prizes = claimed > 1 ? `${claimed} prizes` : 'Prize';
+        showClaimSuccess(`${prizes} queued for payout to ${wallet.slice(0, 4)}...${wallet.slice(-4)}`);
+        setTimeout(() => {
+            document.getElementById('walletSection').classList.remove('show');
+        }, 3000);
+        return;
+    }
+
+    button.disabled = false;
+    button.textContent = idleLabel;
+    if (claimed > 0) showClaimSuccess(`${claimed} of ${claims.length} prizes queued`);
+    showClaimError(lastError);
+}
+
 document.getElementById('claimBtn').addEventListener('click', async () => {
     const walletInput = document.getElementById('walletInput');
     const claimBtn = document.getElementById('claimBtn');
@@ -2369,7 +3282,7 @@ document.getElementById('claimBtn').addEventListener('click', async () => {
         return;
     }
 
-    if (!sessionId && !currentClaimToken) {
+    if (!sessionId && currentClaimTokens.length === 0) {
         showClaimError('Session expired. Please refresh and try again.');
         return;
     }
@@ -2378,33 +3291,13 @@ document.getElementById('claimBtn').addEventListener('click', async () => {
     claimBtn.textContent = 'SUBMITTING...';
 
     try {
-        // Send claim token if available (secure), otherwise fall back to sessionId
-        const claimData = { walletAddress: wallet };
-        if (currentClaimToken) {
-            claimData.claimToken = currentClaimToken;
-        } else {
-            claimData.sessionId = sessionId;
-        }
-
-        const response = await fetch('/api/rewards/claim', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(claimData)
-        });
-
-        const result = await response.json();
-
-        if (result.success) {
-            claimBtn.textContent = 'CLAIMED!';
-            claimBtn.style.background = '#7bc47f';
-            showClaimSuccess(`Prize queued for payout to ${wallet.slice(0, 4)}...${wallet.slice(-4)}`);
-            setTimeout(() => {
-                document.getElementById('walletSection').classList.remove('show');
-            }, 3000);
+        // Send claim tokens if available (secure), otherwise fall back to sessionId
+        if (currentClaimTokens.length > 0) {
+            await submitClaims(claimBtn, 'CLAIM PRIZE', wallet, currentClaimTokens.slice(),
+                async claim => ({ claimToken: claim.token, walletAddress: wallet }));
         } else {
-            claimBtn.disabled = false;
-            claimBtn.textContent = 'CLAIM PRIZE';
-            showClaimError(result.error || 'Failed to submit claim');
+            await submitClaims(claimBtn, 'CLAIM PRIZE', wallet, [null],
+                async () => ({ sessionId, walletAddress: wallet }));
         }
     } catch (e) {
         console.error('Claim error:', e);
@@ -2414,6 +3307,58 @@ document.getElementById('claimBtn').addEventListener('click', async () => {
     }
 });
 
+// Wallet linking is request/reply over the game socket - one request in flight at a time
+function requestWalletReply(message) {
+    return new Promise((resolve, reject) => {
+        if (!ws || ws.readyState !== 1) {
+            reject(new Error('Not connected - please try again'));
+            return;
+        }
+        if (walletReply) walletReply.reject(new Error('Wallet sign-in restarted'));
+        walletReply = { resolve, reject };
+        ws.send(JSON.stringify(message));
+    });
+}
+
+// Sign-in-with-Solana claim: the challenge comes over our own socket, so only this session
+// can link a wallet - the server then pays our claims to that wallet and nowhere else
+document.getElementById('signClaimBtn').addEventListener('click', async () => {
+    const signClaimBtn = document.getElementById('signClaimBtn');
+    const provider = getInjectedWallet();
+
+    if (!provider || currentClaimTokens.length === 0) {
+        showClaimError('No wallet found - paste your address instead');
+        return;
+    }
+
+    signClaimBtn.disabled = true;
+    signClaimBtn.textContent = 'CONNECTING...';
+
+    try {
+        const { publicKey } = await provider.connect();
+        const walletAddress = publicKey.toString();
+
+        // One signature links the wallet for every award this session wins
+        if (linkedWallet !== walletAddress) {
+            const challenge = await requestWalletReply({ t: 'wc', w: walletAddress });
+            signClaimBtn.textContent = 'SIGN IN WALLET...';
+            const { signature } = await provider.signMessage(new TextEncoder().encode(challenge.m), 'utf8');
+            const linked = await requestWalletReply({ t: 'wl', n: challenge.n, s: bytesToBase64(signature) });
+            linkedWallet = linked.w;
+        }
+
+        signClaimBtn.textContent = 'SUBMITTING...';
+        await submitClaims(signClaimBtn, 'SIGN WITH WALLET', walletAddress, currentClaimTokens.slice(),
+            async claim => ({ claimToken: claim.token, walletAddress }));
+    } catch (e) {
+        // Wallets reject with code 4001 when the user closes the prompt
+        console.error('Wallet claim error:', e);
+        signClaimBtn.disabled = false;
+        signClaimBtn.textContent = 'SIGN WITH WALLET';
+        showClaimError(e && e.code === 4001 ? 'Signature cancelled' : (e.message || 'Wallet error. Please try again.'));
+    }
+});
+
 function showClaimError(message) {
     const walletSection = document.getElementById('walletSection');
     let errorEl = walletSection.querySelector('.claim-error');
@@ -2439,6 +3384,24 @@ function showClaimSuccess(message) {
     successEl.textContent = message;
 }
 
+// HUD line saying what the round pays - pz is { a: budget, w: 1st place, j: jackpot } or { u: 1 } unpaid
+function updatePrizeInfo(pz) {
+    const prizeInfoEl = document.getElementById('prizeInfo');
+    if (!prizeInfoEl) return;
+
+    prizeInfoEl.classList.toggle('jackpot', !!(pz && pz.j));
+    if (!pz) {
+        prizeInfoEl.textContent = 'Prize for this round: calculating...';
+    } else if (pz.u) {
+        prizeInfoEl.textContent = 'Practice arena - no SOL prizes';
+    } else if (!(pz.a > 0)) {
+        prizeInfoEl.textContent = 'No prize this round - the pool is refilling';
+    } else {
+        const label = pz.j ? 'JACKPOT' : 'Round prize';
+        prizeInfoEl.textContent = `${label}: ${pz.a.toFixed(4)} SOL (1st place: ${pz.w.toFixed(4)} SOL)`;
+    }
+}
+
 async function fetchTokenInfo() {
     try {
         const response = await fetch('/api/token/info');
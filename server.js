@@ -3,7 +3,13 @@ const { WebSocketServer } = require('ws');
 const http = require('http');
 const path = require('path');
 const rewardService = require('./services/rewardService');
+const db = require('./services/database');
 const cryptoService = require('./services/crypto');
+const mapService = require('./services/maps');
+const balanceService = require('./services/balance');
+const commentaryService = require('./services/commentary');
+const payoutsService = require('./services/payouts');
+const stateProtocol = require('./services/stateProtocol');
 const {
     globalRateLimiter,
     claimRateLimiter,
@@ -29,537 +35,2177 @@ app.use(express.static(path.join(__dirname, 'public')));
 // Initialize reward service
 rewardService.initialize().catch(console.error);
 
+// Balance has no sensible fallback - refuse to start on a broken config
+try {
+    balanceService.loadBalance();
+} catch (error) {
+    console.error(`[BALANCE] ${error.message}`);
+    process.exit(1);
+}
+
 // ============================================================================
 // GAME CONSTANTS - Tuned for fast-paced competitive play
 // ============================================================================
-const ARENA_SIZE = 2000;
-const SHRINK_INTERVAL = 18000;  // 18 seconds between shrinks
-const SHRINK_AMOUNT = 120;      // Moderate shrink amounts
-const MIN_ARENA_SIZE = 300;
+const MIN_ARENA_SIZE = 300;     // Smallest the safe zone ever gets
 const ROUND_INTERMISSION = 30000; // 30 seconds between rounds
 const TICK_RATE = 30;
 const TICK_MS = 1000 / TICK_RATE;
 const ROUND_DURATION = 120000;  // 2 minutes max round time
+const PLAYER_SPEED = 10;        // Units per tick at full speed (300 u/s) - mirrored in game.js
 
 // ============================================================================
 // SPATIAL HASH GRID - O(1) collision detection for 50+ players
 // ============================================================================
 const GRID_CELL_SIZE = 100; // 100px cells
 
-const playerGrid = {
-    cells: new Map(),
+function createPlayerGrid() {
+    return {
+        cells: new Map(),
 
-    clear() {
-        this.cells.clear();
-    },
+        clear() {
+            this.cells.clear();
+        },
 
-    getKey(x, y) {
-        return `${Math.floor(x / GRID_CELL_SIZE)},${Math.floor(y / GRID_CELL_SIZE)}`;
-    },
+        getKey(x, y) {
+            return `${Math.floor(x / GRID_CELL_SIZE)},${Math.floor(y / GRID_CELL_SIZE)}`;
+        },
 
-    rebuild(players) {
-        this.cells.clear();
-        for (const id in players) {
-            const p = players[id];
-            if (p.alive) {
-                const key = this.getKey(p.x, p.y);
-                if (!this.cells.has(key)) {
-                    this.cells.set(key, []);
+        rebuild(players) {
+            this.cells.clear();
+            for (const id in players) {
+                const p = players[id];
+                if (p.alive) {
+                    const key = this.getKey(p.x, p.y);
+                    if (!this.cells.has(key)) {
+                        this.cells.set(key, []);
+                    }
+                    this.cells.get(key).push(p);
                 }
-                this.cells.get(key).push(p);
             }
-        }
-    },
-
-    getNearby(x, y) {
-        const results = [];
-        const cx = Math.floor(x / GRID_CELL_SIZE);
-        const cy = Math.floor(y / GRID_CELL_SIZE);
-
-        // Check 3x3 grid (covers 300px radius)
-        for (let dx = -1; dx <= 1; dx++) {
-            for (let dy = -1; dy <= 1; dy++) {
-                const key = `${cx + dx},${cy + dy}`;
-                const cell = this.cells.get(key);
-                if (cell) {
-                    for (let i = 0; i < cell.length; i++) {
-                        results.push(cell[i]);
+        },
+
+        getNearby(x, y) {
+            const results = [];
+            const cx = Math.floor(x / GRID_CELL_SIZE);
+            const cy = Math.floor(y / GRID_CELL_SIZE);
+
+            // Check 3x3 grid (covers 300px radius)
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    const key = `${cx + dx},${cy + dy}`;
+                    const cell = this.cells.get(key);
+                    if (cell) {
+                        for (let i = 0; i < cell.length; i++) {
+                            results.push(cell[i]);
+                        }
                     }
                 }
             }
+            return results;
+        }
+    };
+}
+
+// ============================================================================
+// LAG COMPENSATION - Per-player position history for rewinding hit checks
+// Shots carry the client's render tick; bullets are then tested against where
+// targets were on that tick instead of where they are now.
+// ============================================================================
+const POSITION_HISTORY_SIZE = 32;   // ~1s of ticks, must exceed MAX_REWIND_TICKS
+const MAX_REWIND_MS = 200;          // Never rewind further than this, whatever the client claims
+const MAX_REWIND_TICKS = Math.round(MAX_REWIND_MS / TICK_MS);
+
+function createPositionHistory() {
+    const history = {
+        ticks: new Int32Array(POSITION_HISTORY_SIZE).fill(-1),
+        xs: new Float32Array(POSITION_HISTORY_SIZE),
+        ys: new Float32Array(POSITION_HISTORY_SIZE),
+
+        record(tick, x, y) {
+            const idx = tick % POSITION_HISTORY_SIZE;
+            this.ticks[idx] = tick;
+            this.xs[idx] = x;
+            this.ys[idx] = y;
+        },
+
+        // Position on a past tick, or null if it has been overwritten / never recorded
+        at(tick) {
+            const idx = tick % POSITION_HISTORY_SIZE;
+            if (tick < 0 || this.ticks[idx] !== tick) return null;
+            return { x: this.xs[idx], y: this.ys[idx] };
+        },
+
+        clear() {
+            this.ticks.fill(-1);
+        }
+    };
+    return history;
+}
+
+function recordPositionHistory(arena) {
+    for (const id in arena.players) {
+        const p = arena.players[id];
+        if (p.alive && p.history) {
+            p.history.record(arena.tick, p.x, p.y);
         }
-        return results;
     }
-};
+}
+
+// How many ticks to rewind for a shot fired while the client was rendering renderTick
+function getRewindTicks(arena, renderTick) {
+    if (typeof renderTick !== 'number' || !Number.isFinite(renderTick)) return 0;
+    return Math.max(0, Math.min(MAX_REWIND_TICKS, arena.tick - Math.round(renderTick)));
+}
 
 // ============================================================================
 // BULLET OBJECT POOL - Zero allocation during gameplay
 // Sized for 50+ concurrent players (SMG fires 10 bullets/sec per player)
 // ============================================================================
 const BULLET_POOL_SIZE = 1500;
-const bulletPool = {
-    pool: [],
-    activeList: [],
-    indexMap: new Map(), // O(1) lookup for bullet index
-    nextId: 0,
-    freeList: [], // Pre-computed free indices for O(1) acquire
-
-    init() {
-        for (let i = 0; i < BULLET_POOL_SIZE; i++) {
-            this.pool.push({
-                active: false,
-                id: 0,
-                poolIndex: i, // Store pool index for O(1) release
-                ownerId: null,
-                ownerName: '',
-                x: 0,
-                y: 0,
-                vx: 0,
-                vy: 0,
-                color: '#ffff00'
+function createBulletPool() {
+    const bulletPool = {
+        pool: [],
+        activeList: [],
+        indexMap: new Map(), // O(1) lookup for bullet index
+        nextId: 0,
+        freeList: [], // Pre-computed free indices for O(1) acquire
+
+        init() {
+            for (let i = 0; i < BULLET_POOL_SIZE; i++) {
+                this.pool.push({
+                    active: false,
+                    id: 0,
+                    poolIndex: i, // Store pool index for O(1) release
+                    ownerId: null,
+                    ownerName: '',
+                    x: 0,
+                    y: 0,
+                    vx: 0,
+                    vy: 0,
+                    color: '#ffff00',
+                    rewindTicks: 0 // Lag compensation for the shooter (0 = test current positions)
+                });
+                this.freeList.push(i);
+            }
+        },
+
+        acquire(ownerId, ownerName, x, y, vx, vy, color) {
+            if (this.freeList.length === 0) return null; // Pool exhausted
+
+            const poolIdx = this.freeList.pop();
+            const bullet = this.pool[poolIdx];
+
+            bullet.active = true;
+            bullet.id = this.nextId++;
+            bullet.ownerId = ownerId;
+            bullet.ownerName = ownerName;
+            bullet.x = x;
+            bullet.y = y;
+            bullet.vx = vx;
+            bullet.vy = vy;
+            bullet.color = color;
+            bullet.rewindTicks = 0;
+
+            const activeIdx = this.activeList.length;
+            this.activeList.push(bullet);
+            this.indexMap.set(bullet.id, activeIdx);
+
+            return bullet;
+        },
+
+        release(bullet) {
+            if (!bullet.active) return;
+            bullet.active = false;
+
+            const idx = this.indexMap.get(bullet.id);
+            if (idx !== undefined) {
+                const lastBullet = this.activeList[this.activeList.length - 1];
+                if (lastBullet !== bullet) {
+                    this.activeList[idx] = lastBullet;
+                    this.indexMap.set(lastBullet.id, idx);
+                }
+                this.activeList.pop();
+                this.indexMap.delete(bullet.id);
+            }
+
+            this.freeList.push(bullet.poolIndex);
+        },
+
+        getActive() {
+            return this.activeList;
+        },
+
+        clear() {
+            for (let i = this.activeList.length - 1; i >= 0; i--) {
+                const bullet = this.activeList[i];
+                bullet.active = false;
+                this.freeList.push(bullet.poolIndex);
+            }
+            this.activeList.length = 0;
+            this.indexMap.clear();
+        }
+    };
+
+    bulletPool.init();
+    return bulletPool;
+}
+
+// ============================================================================
+// THROWABLES - Pooled arced projectiles (frag, smoke) with fuse timers
+// The ground position travels in a straight line to the aim point; the arc
+// height is only sent for rendering. Tall cover stops a grenade mid-flight.
+// Fuse, range, damage and radius per type come from the balance config.
+// ============================================================================
+const THROW_COOLDOWN = 800;      // ms between throws
+const THROW_ARC_HEIGHT = 60;     // Peak height of the arc (visual)
+const PROJECTILE_POOL_SIZE = 200;
+
+function createProjectilePool() {
+    const projectilePool = {
+        items: [],
+        activeList: [],
+        nextId: 0,
+
+        init() {
+            for (let i = 0; i < PROJECTILE_POOL_SIZE; i++) {
+                this.items.push({
+                    active: false,
+                    id: 0,
+                    type: null,
+                    ownerId: null,
+                    ownerName: '',
+                    x: 0,
+                    y: 0,
+                    vx: 0,
+                    vy: 0,
+                    flightTicks: 0,
+                    ticksLeft: 0,    // Ticks until it lands
+                    height: 0,
+                    detonateAt: 0
+                });
+            }
+        },
+
+        acquire(type, ownerId, ownerName, x, y, vx, vy, flightTicks, detonateAt) {
+            for (const p of this.items) {
+                if (!p.active) {
+                    p.active = true;
+                    p.id = this.nextId++;
+                    p.type = type;
+                    p.ownerId = ownerId;
+                    p.ownerName = ownerName;
+                    p.x = x;
+                    p.y = y;
+                    p.vx = vx;
+                    p.vy = vy;
+                    p.flightTicks = flightTicks;
+                    p.ticksLeft = flightTicks;
+                    p.height = 0;
+                    p.detonateAt = detonateAt;
+                    this.activeList.push(p);
+                    return p;
+                }
+            }
+            return null;
+        },
+
+        release(p) {
+            p.active = false;
+            const idx = this.activeList.indexOf(p);
+            if (idx !== -1) {
+                this.activeList[idx] = this.activeList[this.activeList.length - 1];
+                this.activeList.pop();
+            }
+        },
+
+        getActive() {
+            return this.activeList;
+        },
+
+        clear() {
+            for (const p of this.activeList) {
+                p.active = false;
+            }
+            this.activeList.length = 0;
+        }
+    };
+
+    projectilePool.init();
+    return projectilePool;
+}
+
+/**
+ * Throw a grenade toward the aim point (distance clamped to the throwable's range)
+ * @returns {boolean} False if out of that throwable or still on cooldown
+ */
+function throwGrenade(arena, player, type, distance, now) {
+    const throwables = arena.balance.throwables;
+    if (!Object.hasOwn(throwables, type) || !(player.throwables[type] > 0)) return false;
+    const throwable = throwables[type];
+    if (now - (player.lastThrow || 0) < THROW_COOLDOWN) return false;
+
+    const range = Math.max(40, Math.min(throwable.maxRange, Number(distance) || throwable.maxRange));
+    const flightTicks = Math.max(1, Math.ceil(range / throwable.throwSpeed));
+    const startX = player.x + Math.cos(player.angle) * 25;
+    const startY = player.y + Math.sin(player.angle) * 25;
+    const projectile = arena.projectilePool.acquire(
+        type, player.id, player.name, startX, startY,
+        Math.cos(player.angle) * range / flightTicks,
+        Math.sin(player.angle) * range / flightTicks,
+        flightTicks,
+        now + throwable.fuse
+    );
+    if (!projectile) return false;
+
+    player.throwables[type]--;
+    player.lastThrow = now;
+    return true;
+}
+
+function detonateProjectile(arena, projectile, now) {
+    const throwable = arena.balance.throwables[projectile.type];
+    broadcast(arena, 'ex', {
+        g: projectile.type,
+        x: Math.round(projectile.x),
+        y: Math.round(projectile.y),
+        r: throwable.radius
+    });
+
+    if (projectile.type === 'smoke') {
+        arena.smokeClouds.push({
+            x: projectile.x,
+            y: projectile.y,
+            radius: throwable.radius,
+            expiresAt: now + throwable.duration
+        });
+        return;
+    }
+
+    // Radial falloff - cover between the blast and a player shields them completely
+    for (const player of Object.values(arena.players)) {
+        if (!player.alive) continue;
+        const dist = Math.hypot(player.x - projectile.x, player.y - projectile.y);
+        if (dist >= throwable.radius) continue;
+        if (segmentHitsObstacle(arena.obstacles, projectile.x, projectile.y, player.x, player.y)) continue;
+
+        const damage = Math.round(throwable.damage * (1 - dist / throwable.radius));
+        if (damage > 0) {
+            damagePlayer(arena, player, damage, projectile.ownerId, projectile.ownerName, 'frag');
+        }
+        if (arena.phase !== 'active') break; // Blast ended the round
+    }
+}
+
+function updateProjectiles(arena, now) {
+    const active = arena.projectilePool.getActive();
+    for (let i = active.length - 1; i >= 0; i--) {
+        const projectile = active[i];
+
+        if (projectile.ticksLeft > 0) {
+            const nextX = projectile.x + projectile.vx;
+            const nextY = projectile.y + projectile.vy;
+            const outOfBounds = nextX < 0 || nextX > arena.map.width || nextY < 0 || nextY > arena.map.height;
+            if (outOfBounds || !hasLineOfSight(arena.obstacles, projectile.x, projectile.y, nextX, nextY)) {
+                projectile.ticksLeft = 0; // Hit a wall - drop where it is
+            } else {
+                projectile.x = nextX;
+                projectile.y = nextY;
+                projectile.ticksLeft--;
+            }
+            const t = 1 - projectile.ticksLeft / projectile.flightTicks;
+            projectile.height = projectile.ticksLeft > 0 ? 4 * THROW_ARC_HEIGHT * t * (1 - t) : 0;
+        }
+
+        if (now >= projectile.detonateAt) {
+            arena.projectilePool.release(projectile);
+            detonateProjectile(arena, projectile, now);
+            if (arena.phase !== 'active') return;
+        }
+    }
+
+    // Expire smoke
+    for (let i = arena.smokeClouds.length - 1; i >= 0; i--) {
+        if (now >= arena.smokeClouds[i].expiresAt) arena.smokeClouds.splice(i, 1);
+    }
+}
+
+// Segment/circle test - is the line from the viewer to the target blocked by smoke?
+function isHiddenBySmoke(arena, x1, y1, x2, y2) {
+    const clouds = arena.smokeClouds;
+    for (let i = 0; i < clouds.length; i++) {
+        const c = clouds[i];
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const lenSq = dx * dx + dy * dy;
+        const t = lenSq > 0 ? Math.max(0, Math.min(1, ((c.x - x1) * dx + (c.y - y1) * dy) / lenSq)) : 0;
+        const nx = x1 + dx * t - c.x;
+        const ny = y1 + dy * t - c.y;
+        if (nx * nx + ny * ny < c.radius * c.radius) return true;
+    }
+    return false;
+}
+
+
+// ============================================================================
+// WEAPONS & RARITY - Stats live in the balance config (weapons, rarity)
+// Each tier scales the base weapon: damage per bullet, ms between shots, spread.
+// Magazines and reloads stay the same so ammo pickups mean the same for every tier.
+// Arenas hold the balance their round started with - see services/balance.js.
+// ============================================================================
+
+function getWeaponDef(arena, weaponId) {
+    const weapons = arena.balance.weapons;
+    return weapons[weaponId] || weapons.pistol;
+}
+
+// Stats of the weapon in the player's hands, rarity applied
+function getWeaponStats(arena, p) {
+    const variants = arena.balance.weaponVariants;
+    const tiers = variants[p.weapon] || variants.pistol;
+    return tiers[p.weaponRarity] || tiers[0];
+}
+
+// Tier for a weapon spawned during the given storm phase - later phases reuse the last row
+function rollRarity(arena, phaseIndex) {
+    const rows = arena.balance.rarity.weightsByPhase;
+    const weights = rows[Math.min(phaseIndex, rows.length - 1)];
+    return pickWeighted(weights.map((weight, i) => i), i => weights[i]);
+}
+
+// "Epic Shotgun" - common weapons keep their plain name
+function getWeaponDisplayName(arena, weaponId, rarity) {
+    const tier = arena.balance.rarity.tiers[rarity];
+    const name = getWeaponDef(arena, weaponId).name;
+    return rarity && tier ? `${tier.name} ${name}` : name;
+}
+
+// ============================================================================
+// AMMO & RELOADING - Server-enforced magazines, reserve ammo and reload timers
+// ============================================================================
+/**
+ * Put a weapon in the player's hands
+ * @param {object} [rounds] - { ammo, reserveAmmo } it still had (dropped/holstered weapons),
+ *   otherwise it comes with a full magazine and the weapon's starting reserve
+ * @param {number} [rarity] - Rarity tier index, common if omitted
+ */
+function equipWeapon(arena, p, weaponId, rounds, rarity = 0) {
+    const weapon = getWeaponDef(arena, weaponId);
+    p.weapon = weapon.id;
+    p.weaponRarity = rarity;
+    p.ammo = rounds ? rounds.ammo : weapon.magSize;
+    p.reserveAmmo = rounds ? rounds.reserveAmmo : weapon.reserveAmmo;
+    p.reloadEndsAt = 0;
+    p.lastShot = 0; // Reset fire cooldown
+}
+
+function startReload(arena, p, now) {
+    const weapon = getWeaponDef(arena, p.weapon);
+    if (p.reloadEndsAt || p.ammo >= weapon.magSize || p.reserveAmmo <= 0) return false;
+    p.reloadEndsAt = now + weapon.reloadTime;
+    return true;
+}
+
+/**
+ * Spend one round for a shot (a shotgun blast is one shell)
+ * @returns {boolean} False if the weapon can't fire - reloading or empty
+ */
+function consumeAmmo(arena, p, now) {
+    if (p.reloadEndsAt) return false;
+    if (p.ammo <= 0) {
+        startReload(arena, p, now);
+        return false;
+    }
+    p.ammo--;
+    if (p.ammo === 0) startReload(arena, p, now); // Auto-reload on empty
+    return true;
+}
+
+// Finish reloads whose timer ran out
+function updateReloads(arena, now) {
+    for (const id in arena.players) {
+        const p = arena.players[id];
+        if (!p.reloadEndsAt || now < p.reloadEndsAt) continue;
+        const weapon = getWeaponDef(arena, p.weapon);
+        const loaded = Math.min(weapon.magSize - p.ammo, p.reserveAmmo);
+        p.ammo += loaded;
+        p.reserveAmmo -= loaded;
+        p.reloadEndsAt = 0;
+    }
+}
+
+// Add reserve rounds to a held or holstered weapon, returns false if already full
+function addReserveAmmo(arena, holder, rounds) {
+    const weapon = getWeaponDef(arena, holder.weapon);
+    if (holder.reserveAmmo >= weapon.maxReserve) return false;
+    holder.reserveAmmo = Math.min(weapon.maxReserve, holder.reserveAmmo + rounds);
+    return true;
+}
+
+// ============================================================================
+// OBSTACLES - Static cover (crates, walls, pillars) with line-of-sight
+// All obstacles are axis-aligned rectangles: { type, x, y, w, h }
+// Layouts live in maps/*.json (see services/maps.js)
+// ============================================================================
+const PLAYER_RADIUS = 20;
+const { OBSTACLE_TYPES } = mapService;
+
+function circleIntersectsRect(cx, cy, radius, o) {
+    const nearestX = Math.max(o.x, Math.min(cx, o.x + o.w));
+    const nearestY = Math.max(o.y, Math.min(cy, o.y + o.h));
+    const dx = cx - nearestX;
+    const dy = cy - nearestY;
+    return dx * dx + dy * dy < radius * radius;
+}
+
+// Slab test - does the segment (x1,y1)->(x2,y2) cross the rectangle?
+function segmentIntersectsRect(x1, y1, x2, y2, o) {
+    let tMin = 0;
+    let tMax = 1;
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+
+    if (Math.abs(dx) < 1e-9) {
+        if (x1 < o.x || x1 > o.x + o.w) return false;
+    } else {
+        let t1 = (o.x - x1) / dx;
+        let t2 = (o.x + o.w - x1) / dx;
+        if (t1 > t2) { const tmp = t1; t1 = t2; t2 = tmp; }
+        tMin = Math.max(tMin, t1);
+        tMax = Math.min(tMax, t2);
+        if (tMin > tMax) return false;
+    }
+
+    if (Math.abs(dy) < 1e-9) {
+        if (y1 < o.y || y1 > o.y + o.h) return false;
+    } else {
+        let t1 = (o.y - y1) / dy;
+        let t2 = (o.y + o.h - y1) / dy;
+        if (t1 > t2) { const tmp = t1; t1 = t2; t2 = tmp; }
+        tMin = Math.max(tMin, t1);
+        tMax = Math.min(tMax, t2);
+        if (tMin > tMax) return false;
+    }
+
+    return true;
+}
+
+function collidesWithObstacle(obstacles, x, y, radius) {
+    for (let i = 0; i < obstacles.length; i++) {
+        if (circleIntersectsRect(x, y, radius, obstacles[i])) return true;
+    }
+    return false;
+}
+
+function segmentHitsObstacle(obstacles, x1, y1, x2, y2) {
+    for (let i = 0; i < obstacles.length; i++) {
+        if (segmentIntersectsRect(x1, y1, x2, y2, obstacles[i])) return true;
+    }
+    return false;
+}
+
+function hasLineOfSight(obstacles, x1, y1, x2, y2) {
+    for (let i = 0; i < obstacles.length; i++) {
+        const o = obstacles[i];
+        if (OBSTACLE_TYPES[o.type] && OBSTACLE_TYPES[o.type].blocksSight &&
+            segmentIntersectsRect(x1, y1, x2, y2, o)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+// Move a circle from (x,y) by (dx,dy), sliding along obstacles axis by axis
+function moveWithCollision(obstacles, x, y, dx, dy, radius) {
+    let newX = x + dx;
+    let newY = y;
+    if (collidesWithObstacle(obstacles, newX, newY, radius)) newX = x;
+    newY = y + dy;
+    if (collidesWithObstacle(obstacles, newX, newY, radius)) newY = y;
+    return { x: newX, y: newY };
+}
+
+// Would a circle of this radius sweeping from (x1,y1) to (x2,y2) clip any cover?
+function sweepHitsObstacle(obstacles, x1, y1, x2, y2, radius) {
+    for (let i = 0; i < obstacles.length; i++) {
+        const o = obstacles[i];
+        const inflated = { x: o.x - radius, y: o.y - radius, w: o.w + radius * 2, h: o.h + radius * 2 };
+        if (segmentIntersectsRect(x1, y1, x2, y2, inflated)) return true;
+    }
+    return false;
+}
+
+// ============================================================================
+// NAVIGATION - Coarse walkability grid per map and A* over it (used by NPCs)
+// ============================================================================
+const NAV_CELL_SIZE = 40;
+const NAV_MAX_EXPANSIONS = 4000;   // Gives up on absurd searches rather than stalling a tick
+const NAV_DIAGONAL_COST = Math.SQRT2;
+
+const navGrids = new Map(); // map id -> grid, maps never change while the server runs
+
+function getNavGrid(map) {
+    let grid = navGrids.get(map.id);
+    if (!grid) {
+        grid = buildNavGrid(map);
+        navGrids.set(map.id, grid);
+    }
+    return grid;
+}
+
+function buildNavGrid(map) {
+    const cols = Math.ceil(map.width / NAV_CELL_SIZE);
+    const rows = Math.ceil(map.height / NAV_CELL_SIZE);
+    const blocked = new Uint8Array(cols * rows);
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            const x = (col + 0.5) * NAV_CELL_SIZE;
+            const y = (row + 0.5) * NAV_CELL_SIZE;
+            if (x < PLAYER_RADIUS || y < PLAYER_RADIUS || x > map.width - PLAYER_RADIUS || y > map.height - PLAYER_RADIUS ||
+                collidesWithObstacle(map.obstacles, x, y, PLAYER_RADIUS)) {
+                blocked[row * cols + col] = 1;
+            }
+        }
+    }
+    return { cols, rows, blocked };
+}
+
+function navCellAt(grid, x, y) {
+    const col = Math.max(0, Math.min(grid.cols - 1, Math.floor(x / NAV_CELL_SIZE)));
+    const row = Math.max(0, Math.min(grid.rows - 1, Math.floor(y / NAV_CELL_SIZE)));
+    return row * grid.cols + col;
+}
+
+// Nearest walkable cell within a few rings (goals inside cover, starts hugging a wall)
+function nearestOpenNavCell(grid, cell) {
+    if (!grid.blocked[cell]) return cell;
+    const col0 = cell % grid.cols;
+    const row0 = Math.floor(cell / grid.cols);
+    for (let ring = 1; ring <= 4; ring++) {
+        for (let dr = -ring; dr <= ring; dr++) {
+            for (let dc = -ring; dc <= ring; dc++) {
+                if (Math.max(Math.abs(dr), Math.abs(dc)) !== ring) continue;
+                const row = row0 + dr;
+                const col = col0 + dc;
+                if (row < 0 || col < 0 || row >= grid.rows || col >= grid.cols) continue;
+                if (!grid.blocked[row * grid.cols + col]) return row * grid.cols + col;
+            }
+        }
+    }
+    return -1;
+}
+
+/**
+ * A* from one point to another over the arena's nav grid (8-way, no corner cutting)
+ * @returns {object[]|null} Waypoints [{ x, y }] ending at the goal, or null if unreachable
+ */
+function findPath(arena, fromX, fromY, toX, toY) {
+    const grid = arena.navGrid;
+    const start = nearestOpenNavCell(grid, navCellAt(grid, fromX, fromY));
+    const goal = nearestOpenNavCell(grid, navCellAt(grid, toX, toY));
+    if (start === -1 || goal === -1) return null;
+    if (start === goal) return [{ x: toX, y: toY }];
+
+    const size = grid.cols * grid.rows;
+    const cost = new Float32Array(size).fill(Infinity);
+    const cameFrom = new Int32Array(size).fill(-1);
+    const closed = new Uint8Array(size);
+    const goalCol = goal % grid.cols;
+    const goalRow = Math.floor(goal / grid.cols);
+    const heuristic = (cell) => {
+        const dc = Math.abs(cell % grid.cols - goalCol);
+        const dr = Math.abs(Math.floor(cell / grid.cols) - goalRow);
+        return Math.max(dc, dr) + (NAV_DIAGONAL_COST - 1) * Math.min(dc, dr);
+    };
+
+    // Binary heap of [priority, cell]
+    const heap = [];
+    const push = (priority, cell) => {
+        heap.push([priority, cell]);
+        let i = heap.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (heap[parent][0] <= heap[i][0]) break;
+            [heap[parent], heap[i]] = [heap[i], heap[parent]];
+            i = parent;
+        }
+    };
+    const pop = () => {
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left;
+                if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right;
+                if (smallest === i) break;
+                [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+                i = smallest;
+            }
+        }
+        return top[1];
+    };
+
+    cost[start] = 0;
+    push(heuristic(start), start);
+    let expansions = 0;
+    while (heap.length > 0 && expansions++ < NAV_MAX_EXPANSIONS) {
+        const cell = pop();
+        if (cell === goal) break;
+        if (closed[cell]) continue;
+        closed[cell] = 1;
+
+        const col = cell % grid.cols;
+        const row = Math.floor(cell / grid.cols);
+        for (let dr = -1; dr <= 1; dr++) {
+            for (let dc = -1; dc <= 1; dc++) {
+                if (dr === 0 && dc === 0) continue;
+                const nRow = row + dr;
+                const nCol = col + dc;
+                if (nRow < 0 || nCol < 0 || nRow >= grid.rows || nCol >= grid.cols) continue;
+                const next = nRow * grid.cols + nCol;
+                if (grid.blocked[next] || closed[next]) continue;
+                // Diagonals only when both sides are open - no squeezing past a corner
+                if (dr !== 0 && dc !== 0 &&
+                    (grid.blocked[row * grid.cols + nCol] || grid.blocked[nRow * grid.cols + col])) continue;
+
+                const stepCost = cost[cell] + (dr !== 0 && dc !== 0 ? NAV_DIAGONAL_COST : 1);
+                if (stepCost < cost[next]) {
+                    cost[next] = stepCost;
+                    cameFrom[next] = cell;
+                    push(stepCost + heuristic(next), next);
+                }
+            }
+        }
+    }
+    if (cameFrom[goal] === -1) return null;
+
+    const path = [{ x: toX, y: toY }];
+    for (let cell = cameFrom[goal]; cell !== start && cell !== -1; cell = cameFrom[cell]) {
+        path.push({
+            x: (cell % grid.cols + 0.5) * NAV_CELL_SIZE,
+            y: (Math.floor(cell / grid.cols) + 0.5) * NAV_CELL_SIZE
+        });
+    }
+    return path.reverse();
+}
+
+// ============================================================================
+// PLAYER MOVEMENT - Server-authoritative integration of client input commands
+// Clients send { k: WASD bits, a: angle, seq } once per tick; the server runs
+// the same stepMovement() as game.js and acks the result for reconciliation.
+// ============================================================================
+const INPUT_UP = 1;
+const INPUT_LEFT = 2;
+const INPUT_DOWN = 4;
+const INPUT_RIGHT = 8;
+const MOVE_RESPONSE = 0.5;      // Fraction of the gap to target velocity closed per tick
+const MAX_INPUT_QUEUE = 10;     // Inputs buffered per player before we start dropping
+const MAX_INPUT_CREDIT = 4;     // Ticks of movement a player may bank to absorb network jitter
+
+// One tick of movement - must stay identical to stepMovement() in public/game.js
+function stepMovement(arena, state, bits) {
+    let inputX = 0;
+    let inputY = 0;
+    if (bits & INPUT_UP) inputY -= 1;
+    if (bits & INPUT_DOWN) inputY += 1;
+    if (bits & INPUT_LEFT) inputX -= 1;
+    if (bits & INPUT_RIGHT) inputX += 1;
+    if (inputX !== 0 && inputY !== 0) {
+        inputX *= Math.SQRT1_2;
+        inputY *= Math.SQRT1_2;
+    }
+
+    state.vx += (inputX * PLAYER_SPEED - state.vx) * MOVE_RESPONSE;
+    state.vy += (inputY * PLAYER_SPEED - state.vy) * MOVE_RESPONSE;
+    if (Math.abs(state.vx) < 0.01) state.vx = 0;
+    if (Math.abs(state.vy) < 0.01) state.vy = 0;
+
+    // Slide along cover axis by axis, clamped to the map
+    let newX = Math.max(PLAYER_RADIUS, Math.min(arena.map.width - PLAYER_RADIUS, state.x + state.vx));
+    if (collidesWithObstacle(arena.obstacles, newX, state.y, PLAYER_RADIUS)) {
+        newX = state.x;
+        state.vx = 0;
+    }
+    let newY = Math.max(PLAYER_RADIUS, Math.min(arena.map.height - PLAYER_RADIUS, state.y + state.vy));
+    if (collidesWithObstacle(arena.obstacles, newX, newY, PLAYER_RADIUS)) {
+        newY = state.y;
+        state.vy = 0;
+    }
+    state.x = newX;
+    state.y = newY;
+}
+
+// Queue an input command from the 'm' message
+function queuePlayerInput(p, msg) {
+    if (!Number.isInteger(msg.seq) || msg.seq <= p.lastQueuedSeq) return; // Stale or replayed
+    p.lastQueuedSeq = msg.seq;
+
+    // Aim is applied immediately so shots use the latest angle
+    if (typeof msg.a === 'number' && Number.isFinite(msg.a)) {
+        p.angle = msg.a;
+    }
+
+    const bits = Number.isInteger(msg.k) ? msg.k & 15 : 0;
+    p.inputQueue.push({ seq: msg.seq, k: bits });
+
+    // ANTI-CHEAT: A client sending faster than the tick rate just fills the queue
+    if (p.inputQueue.length > MAX_INPUT_QUEUE) {
+        p.inputQueue.shift();
+        const now = Date.now();
+        if (!p.lastCheatLog || now - p.lastCheatLog > 1000) {
+            console.warn(`[ANTI-CHEAT] ${p.name} input flood - dropping inputs over ${MAX_INPUT_QUEUE} queued`);
+            p.lastCheatLog = now;
+        }
+    }
+}
+
+// Apply queued inputs - at most one step per tick on average, whatever the client sends
+function updatePlayerMovement(arena) {
+    for (const id in arena.players) {
+        const p = arena.players[id];
+        if (p.isNPC || !p.inputQueue) continue;
+
+        p.inputCredit = Math.min(MAX_INPUT_CREDIT, p.inputCredit + 1);
+        if (!p.alive) {
+            p.inputQueue.length = 0;
+            continue;
+        }
+
+        let processed = false;
+        while (p.inputQueue.length > 0 && p.inputCredit >= 1) {
+            const input = p.inputQueue.shift();
+            stepMovement(arena, p, input.k);
+            p.lastInputSeq = input.seq;
+            p.inputCredit -= 1;
+            processed = true;
+        }
+
+        if (processed) {
+            sendToPlayer(p.ws, 'ack', {
+                seq: p.lastInputSeq,
+                x: Math.round(p.x * 10) / 10,
+                y: Math.round(p.y * 10) / 10,
+                vx: Math.round(p.vx * 100) / 100,
+                vy: Math.round(p.vy * 100) / 100
             });
-            this.freeList.push(i);
+        }
+    }
+}
+
+// Move a player server-side (spawns) and tell the client to drop its prediction
+function teleportPlayer(p, x, y) {
+    p.x = x;
+    p.y = y;
+    p.vx = 0;
+    p.vy = 0;
+    p.inputQueue.length = 0;
+    if (p.history) p.history.clear(); // Don't let rewound shots hit where they used to be
+    sendToPlayer(p.ws, 'ack', { seq: p.lastQueuedSeq, x, y, vx: 0, vy: 0, tp: 1 });
+}
+
+// Random point inside a rectangle (clipped to the map) that is not inside cover
+function randomOpenPositionInRect(arena, rect, clearance = PLAYER_RADIUS + 10) {
+    const minX = Math.max(clearance, rect.x);
+    const minY = Math.max(clearance, rect.y);
+    const maxX = Math.min(arena.map.width - clearance, rect.x + rect.w);
+    const maxY = Math.min(arena.map.height - clearance, rect.y + rect.h);
+    let x = (minX + maxX) / 2;
+    let y = (minY + maxY) / 2;
+    for (let attempt = 0; attempt < 20; attempt++) {
+        x = minX + Math.random() * Math.max(0, maxX - minX);
+        y = minY + Math.random() * Math.max(0, maxY - minY);
+        if (!collidesWithObstacle(arena.obstacles, x, y, clearance)) break;
+    }
+    return { x, y };
+}
+
+// Random spawn point within halfSize of the map center that is not inside cover
+function randomOpenPosition(arena, halfSize, clearance = PLAYER_RADIUS + 10) {
+    const cx = arena.map.width / 2;
+    const cy = arena.map.height / 2;
+    return randomOpenPositionInRect(arena, {
+        x: cx - halfSize, y: cy - halfSize, w: halfSize * 2, h: halfSize * 2
+    }, clearance);
+}
+
+// Pick one entry, using getWeight(entry) as its relative probability
+function pickWeighted(entries, getWeight) {
+    let total = 0;
+    for (const entry of entries) total += getWeight(entry);
+    let roll = Math.random() * total;
+    for (const entry of entries) {
+        roll -= getWeight(entry);
+        if (roll <= 0) return entry;
+    }
+    return entries[entries.length - 1];
+}
+
+// Next spawn point from the map's shuffled list, random open ground once they run out
+function takeSpawnPoint(arena) {
+    while (arena.spawnQueue.length > 0) {
+        const point = arena.spawnQueue.pop();
+        if (!collidesWithObstacle(arena.obstacles, point.x, point.y, PLAYER_RADIUS + 10)) {
+            return { x: point.x, y: point.y };
+        }
+    }
+    return randomOpenPositionInRect(arena, {
+        x: 100, y: 100, w: arena.map.width - 200, h: arena.map.height - 200
+    });
+}
+
+// Switch an arena to a map - obstacles and spawn list follow it
+function applyMap(arena, map) {
+    arena.map = map;
+    arena.obstacles = map.obstacles;
+    arena.navGrid = getNavGrid(map);
+    arena.spawnQueue = [];
+}
+
+// Keep an entity inside the map bounds
+function clampToMap(arena, entity) {
+    entity.x = Math.max(PLAYER_RADIUS, Math.min(arena.map.width - PLAYER_RADIUS, entity.x));
+    entity.y = Math.max(PLAYER_RADIUS, Math.min(arena.map.height - PLAYER_RADIUS, entity.y));
+}
+
+// Starting safe zone - a square centered on the map, big enough to cover all of it
+function getFullZone(map) {
+    return { x: map.width / 2, y: map.height / 2, size: Math.max(map.width, map.height) };
+}
+
+// Map payload for the client - sent on join and round start
+function getMapPayload(arena) {
+    const map = arena.map;
+    return { id: map.id, n: map.name, w: map.width, h: map.height, th: map.theme, ob: map.obstacles };
+}
+
+// ============================================================================
+// LOOT SYSTEM - Health, shields, weapons
+// ============================================================================
+const LOOT_TYPES = {
+    health: { id: 'health', name: 'Health Pack', color: '#2ecc71' },  // Amounts: balance loot.healthPack
+    shield: { id: 'shield', name: 'Shield', color: '#3498db' },       // and loot.shieldPack
+    ammo: { id: 'ammo', name: 'Ammo Box', color: '#f1c40f', ammo: true },
+    frag: { id: 'frag', name: 'Frag Grenade', color: '#e74c3c', throwable: true },
+    smoke: { id: 'smoke', name: 'Smoke Grenade', color: '#95a5a6', throwable: true },
+    shotgun: { id: 'shotgun', name: 'Shotgun', color: '#ff6b4a', weapon: true },
+    smg: { id: 'smg', name: 'SMG', color: '#00e5ff', weapon: true },
+    sniper: { id: 'sniper', name: 'Sniper', color: '#b388ff', weapon: true }
+};
+
+// Maps validate loot zone weights against LOOT_TYPES, so load them after it
+mapService.loadMaps(Object.keys(LOOT_TYPES));
+
+const LOOT_POOL_SIZE = 200; // Increased for larger games with 50+ players
+function createLootPool() {
+    const lootPool = {
+        items: [],
+        activeList: [],
+        nextId: 0,
+
+        init() {
+            for (let i = 0; i < LOOT_POOL_SIZE; i++) {
+                this.items.push({
+                    active: false,
+                    id: 0,
+                    type: null,
+                    x: 0,
+                    y: 0,
+                    rounds: null,   // { ammo, reserveAmmo } left in a dropped weapon
+                    value: null,    // Health/shield amount when it differs from the balance default (death drops)
+                    rarity: 0       // Rarity tier index - only weapons roll anything but common
+                });
+            }
+        },
+
+        spawn(type, x, y) {
+            for (const item of this.items) {
+                if (!item.active) {
+                    item.active = true;
+                    item.id = this.nextId++;
+                    item.type = type;
+                    item.x = x;
+                    item.y = y;
+                    item.rounds = null;
+                    item.value = null;
+                    item.rarity = 0;
+                    this.activeList.push(item);
+                    return item;
+                }
+            }
+            return null;
+        },
+
+        release(item) {
+            item.active = false;
+            const idx = this.activeList.indexOf(item);
+            if (idx !== -1) {
+                this.activeList[idx] = this.activeList[this.activeList.length - 1];
+                this.activeList.pop();
+            }
+        },
+
+        getActive() {
+            return this.activeList;
+        },
+
+        clear() {
+            for (const item of this.activeList) {
+                item.active = false;
+            }
+            this.activeList.length = 0;
+        }
+    };
+
+    lootPool.init();
+    return lootPool;
+}
+
+
+// Spawn loot around the arena - scales with player count
+function spawnInitialLoot(arena) {
+    const lootPool = arena.lootPool;
+    lootPool.clear();
+    const lootTypes = Object.keys(LOOT_TYPES);
+    const zones = arena.map.lootZones;
+
+    // Scale loot count with player count (base 30-40, +5 per player above 5)
+    const playerCount = Object.keys(arena.players).length;
+    const baseLoot = 30 + Math.floor(Math.random() * 10);
+    const extraLoot = Math.max(0, playerCount - 5) * 5;
+    const lootCount = Math.min(baseLoot + extraLoot, 150); // Cap at 150
+
+    for (let i = 0; i < lootCount; i++) {
+        let type;
+        let pos;
+        if (zones.length > 0) {
+            // Weighted loot zone, then the zone's own type weights if it has any
+            const zone = pickWeighted(zones, z => z.weight);
+            type = zone.types
+                ? pickWeighted(Object.keys(zone.types), t => zone.types[t])
+                : lootTypes[Math.floor(Math.random() * lootTypes.length)];
+            pos = randomOpenPositionInRect(arena, zone, 20);
+        } else {
+            type = lootTypes[Math.floor(Math.random() * lootTypes.length)];
+            pos = randomOpenPositionInRect(arena, {
+                x: 100, y: 100, w: arena.map.width - 200, h: arena.map.height - 200
+            }, 20);
+        }
+        const item = lootPool.spawn(type, pos.x, pos.y);
+        if (item && LOOT_TYPES[type].weapon) item.rarity = rollRarity(arena, 0);
+    }
+}
+
+// Fresh weapons inside the next safe zone when a storm phase begins, rolled on that phase's tiers
+function spawnZoneResupply(arena, phaseIndex) {
+    const weaponTypes = Object.keys(LOOT_TYPES).filter(t => LOOT_TYPES[t].weapon);
+    const zone = arena.zoneNext;
+    const half = zone.size / 2;
+    const rect = { x: zone.x - half, y: zone.y - half, w: zone.size, h: zone.size };
+    let spawned = 0;
+    for (let i = 0; i < arena.balance.loot.zoneResupplyWeapons; i++) {
+        const pos = randomOpenPositionInRect(arena, rect, 20);
+        const item = arena.lootPool.spawn(weaponTypes[Math.floor(Math.random() * weaponTypes.length)], pos.x, pos.y);
+        if (!item) break; // Pool is full
+        item.rarity = rollRarity(arena, phaseIndex);
+        spawned++;
+    }
+    if (spawned > 0) {
+        broadcast(arena, 'c', { m: 'Fresh weapons dropped inside the next safe zone!' });
+    }
+}
+
+// Check if player picks up loot
+function checkLootPickup(arena, player) {
+    const PICKUP_RADIUS = 35;
+    const lootPool = arena.lootPool;
+    for (const item of lootPool.getActive()) {
+        const dx = player.x - item.x;
+        const dy = player.y - item.y;
+        const distSq = dx * dx + dy * dy;
+
+        if (distSq < PICKUP_RADIUS * PICKUP_RADIUS) {
+            const lootType = LOOT_TYPES[item.type];
+            const balance = arena.balance;
+            let pickedUp = false;
+
+            if (item.type === 'health') {
+                if (player.health < balance.player.maxHealth) {
+                    player.health = Math.min(balance.player.maxHealth, player.health + (item.value || balance.loot.healthPack));
+                    pickedUp = true;
+                }
+            } else if (item.type === 'shield') {
+                if (player.shield < balance.player.maxShield) {
+                    player.shield = Math.min(balance.player.maxShield, player.shield + (item.value || balance.loot.shieldPack));
+                    player.peakShield = Math.max(player.peakShield || 0, player.shield);
+                    pickedUp = true;
+                }
+            } else if (lootType.throwable) {
+                if (player.throwables && player.throwables[item.type] < balance.loot.maxThrowables) {
+                    player.throwables[item.type]++;
+                    pickedUp = true;
+                }
+            } else if (lootType.ammo) {
+                pickedUp = addReserveAmmo(arena, player, getWeaponDef(arena, player.weapon).magSize * balance.loot.ammoBoxMagazines);
+            } else if (lootType.weapon) {
+                // Walking over a weapon we carry strips its ammo; new weapons and upgrades need the interact key
+                const carried = getCarriedWeapon(player, item.type);
+                if (carried && carried.weaponRarity >= item.rarity) {
+                    const rounds = item.rounds ? item.rounds.ammo + item.rounds.reserveAmmo : getWeaponDef(arena, item.type).magSize;
+                    pickedUp = rounds > 0 && addReserveAmmo(arena, carried, rounds);
+                } else if (!carried && player.isNPC && !player.holstered) {
+                    // NPCs can't press interact - they only fill an empty slot
+                    pickUpWeapon(arena, player, item);
+                    return;
+                }
+            }
+
+            if (pickedUp) {
+                lootPool.release(item);
+                // Send pickup event
+                broadcast(arena, 'lp', { pi: player.id, li: item.id, lt: item.type });
+                return;
+            }
+        }
+    }
+}
+
+// ============================================================================
+// INVENTORY - Primary/secondary weapon slots
+// The weapon in hand lives on the player (weapon/ammo/reserveAmmo); the other one
+// waits in player.holstered. activeSlot says which slot number is in hand.
+// ============================================================================
+const INTERACT_RADIUS = 50;
+
+function resetInventory(arena, p) {
+    equipWeapon(arena, p, 'pistol'); // Everyone starts with a loaded pistol
+    p.holstered = null;
+    p.activeSlot = 0;
+}
+
+// Held or holstered weapon of this type, or null
+function getCarriedWeapon(p, weaponId) {
+    if (p.weapon === weaponId) return p;
+    if (p.holstered && p.holstered.weapon === weaponId) return p.holstered;
+    return null;
+}
+
+/**
+ * Swap the weapon in hand with the holstered one
+ * @param {number} [slot] - Slot to switch to (0 primary, 1 secondary), toggles if omitted
+ */
+function switchWeaponSlot(arena, p, slot, now) {
+    if (!p.holstered) return false;
+    if (slot === p.activeSlot) return false;
+
+    const inHand = { weapon: p.weapon, weaponRarity: p.weaponRarity, ammo: p.ammo, reserveAmmo: p.reserveAmmo };
+    equipWeapon(arena, p, p.holstered.weapon, p.holstered, p.holstered.weaponRarity);
+    p.holstered = inHand;
+    p.activeSlot = 1 - p.activeSlot;
+    p.lastShot = now; // Drawing a weapon costs one fire cooldown
+    return true;
+}
+
+/**
+ * Pick a weapon off the ground into an empty slot, or swap it for the one in hand
+ * The replaced weapon is dropped at the player's feet with the rounds it had left.
+ * Upgrading a weapon we already carry replaces that copy, wherever it is.
+ */
+function pickUpWeapon(arena, player, item) {
+    // Copy out first - releasing the item lets the dropped weapon reuse its pool slot
+    const { id, type, rounds, rarity } = item;
+    arena.lootPool.release(item);
+    broadcast(arena, 'lp', { pi: player.id, li: id, lt: type });
+
+    const carried = getCarriedWeapon(player, type);
+    if (carried && carried !== player) switchWeaponSlot(arena, player, undefined, Date.now());
+
+    if (!player.holstered && !carried) {
+        player.holstered = { weapon: player.weapon, weaponRarity: player.weaponRarity, ammo: player.ammo, reserveAmmo: player.reserveAmmo };
+        player.activeSlot = 1 - player.activeSlot;
+    } else if (LOOT_TYPES[player.weapon]) { // The starting pistol has no ground version - it's discarded
+        const dropped = arena.lootPool.spawn(player.weapon, player.x, player.y);
+        if (dropped) {
+            dropped.rounds = { ammo: player.ammo, reserveAmmo: player.reserveAmmo };
+            dropped.rarity = player.weaponRarity;
+        }
+    }
+    equipWeapon(arena, player, type, rounds, rarity);
+    broadcast(arena, 'c', { m: `${player.name} picked up ${getWeaponDisplayName(arena, type, rarity)}!` });
+}
+
+// Interact key - nearest weapon we don't carry (or carry in a lower tier), within reach
+function interactPickUp(arena, player) {
+    let nearest = null;
+    let nearestDistSq = INTERACT_RADIUS * INTERACT_RADIUS;
+    for (const item of arena.lootPool.getActive()) {
+        if (!LOOT_TYPES[item.type].weapon) continue;
+        const carried = getCarriedWeapon(player, item.type);
+        if (carried && carried.weaponRarity >= item.rarity) continue;
+        const dx = player.x - item.x;
+        const dy = player.y - item.y;
+        const distSq = dx * dx + dy * dy;
+        if (distSq < nearestDistSq) {
+            nearest = item;
+            nearestDistSq = distSq;
+        }
+    }
+    if (nearest) pickUpWeapon(arena, player, nearest);
+}
+
+// ============================================================================
+// DEATH DROPS - Eliminated players spill their weapons and some health/shield
+// ============================================================================
+// Health and the share of peak shield dropped come from the balance config (loot.deathDrop*)
+const DEATH_DROP_RADIUS = 40;
+
+function spillDeathLoot(arena, player) {
+    const drops = [];
+    const carried = [player];
+    if (player.holstered) carried.push(player.holstered);
+    for (const held of carried) {
+        if (!LOOT_TYPES[held.weapon]) continue; // Everyone spawns with a pistol, it has no ground version
+        drops.push({
+            type: held.weapon,
+            rarity: held.weaponRarity,
+            rounds: { ammo: held.ammo, reserveAmmo: held.reserveAmmo }
+        });
+    }
+    for (const type in player.throwables) {
+        for (let i = 0; i < player.throwables[type]; i++) drops.push({ type });
+    }
+    drops.push({ type: 'health', value: arena.balance.loot.deathDropHealth });
+    const shieldValue = Math.round((player.peakShield || 0) * arena.balance.loot.deathDropShieldShare);
+    if (shieldValue > 0) drops.push({ type: 'shield', value: shieldValue });
+
+    // Ring around the body - anything that would land in cover stays on the body
+    const offset = Math.random() * Math.PI * 2;
+    drops.forEach((drop, i) => {
+        const angle = offset + (i / drops.length) * Math.PI * 2;
+        let x = Math.max(20, Math.min(arena.map.width - 20, player.x + Math.cos(angle) * DEATH_DROP_RADIUS));
+        let y = Math.max(20, Math.min(arena.map.height - 20, player.y + Math.sin(angle) * DEATH_DROP_RADIUS));
+        if (collidesWithObstacle(arena.obstacles, x, y, 20)) {
+            x = player.x;
+            y = player.y;
+        }
+
+        const item = arena.lootPool.spawn(drop.type, x, y);
+        if (!item) return; // Pool is full
+        item.rounds = drop.rounds || null;
+        item.value = drop.value || null;
+        item.rarity = drop.rarity || 0;
+    });
+
+    player.holstered = null;
+    if (player.throwables) {
+        player.throwables.frag = 0;
+        player.throwables.smoke = 0;
+    }
+}
+
+// ============================================================================
+// PLAYER ID GENERATION - SECURITY: Using cryptographically secure IDs
+// ============================================================================
+function generatePlayerId() {
+    return cryptoService.generateSecurePlayerId();
+}
+
+function generateSessionId() {
+    return cryptoService.generateSecureSessionId();
+}
+
+// ============================================================================
+// SESSION RESUME - Dropped players keep their body for a grace period
+// ============================================================================
+const RECONNECT_GRACE_MS = 15000;
+
+// sessionId -> { arena, playerId, timer } for every connected or held human
+const playerSessions = new Map();
+
+/**
+ * Socket closed - keep the player in the world and wait for a resume
+ * If nobody resumes the session within RECONNECT_GRACE_MS they are removed as before.
+ */
+function holdForReconnect(arena, player) {
+    const session = playerSessions.get(player.sessionId);
+    if (!session) {
+        removePlayer(arena, player.id);
+        return;
+    }
+
+    player.ws = null;
+    player.inputQueue.length = 0;
+    player.inputCredit = 0;
+    player.vx = 0;
+    player.vy = 0;
+    playerLastState.delete(player.id);
+
+    broadcast(arena, 'c', { m: `${player.name} lost connection...` });
+    session.timer = setTimeout(() => {
+        playerSessions.delete(player.sessionId);
+        if (arena.destroyed || arena.players[player.id] !== player) return;
+        removePlayer(arena, player.id);
+    }, RECONNECT_GRACE_MS);
+}
+
+/**
+ * Rebind a new socket to an existing player
+ * @returns {object|null} { arena, player } or null if the session/token don't match
+ */
+function resumeSession(ws, sessionId, resumeToken) {
+    const session = playerSessions.get(sessionId);
+    if (!session) return null;
+
+    const player = session.arena.players[session.playerId];
+    if (!player || session.arena.destroyed || !cryptoService.secureCompare(resumeToken, player.resumeToken)) {
+        console.warn('[SECURITY] Rejected session resume with invalid token');
+        return null;
+    }
+
+    clearTimeout(session.timer);
+    session.timer = null;
+
+    // Old socket may still look open (half-open TCP) - drop it, its close is ignored
+    const oldWs = player.ws;
+    player.ws = ws;
+    if (oldWs && oldWs !== ws) oldWs.terminate();
+
+    player.inputQueue.length = 0;
+    player.inputCredit = 0;
+    player.lastQueuedSeq = 0;
+    playerLastState.delete(player.id);
+
+    return { arena: session.arena, player };
+}
+
+// ============================================================================
+// NPC BOSSES - Claude and the other AI archetypes, one or more every match
+// Utility AI: every decision tick each action (fight, retreat, loot, storm,
+// roam) is scored from what the NPC can see and the storm timer, and the best
+// one steers movement until the next decision. Dodging runs every tick on top.
+// Each archetype bends the scores through its behavior profile.
+// ============================================================================
+const NPC_LOOT_RANGE = 700;          // Loot further away than this isn't worth the trip
+const NPC_REPATH_MS = 1500;          // Refresh a path this often even if the goal stays put
+const NPC_MIN_REPATH_MS = 300;       // Chasing a moving target repaths at most this often
+const NPC_WAYPOINT_REACHED = 24;
+const NPC_DODGE_LOOKAHEAD = 12;      // Ticks ahead an incoming bullet is checked for a hit
+const NPC_DODGE_MS = 250;            // Length of one sidestep
+const NPC_DODGE_COOLDOWN = 700;
+const NPC_TARGET_STICKINESS = 0.15;  // Bonus for the current target - stops flip-flopping
+const NPC_ZONE_MARGIN = 80;          // How far inside the next zone it aims to stand
+const NPC_DPS_SCALE = 150;           // Damage per second treated as maximum threat
+
+// Distance each weapon likes to fight at
+const NPC_PREFERRED_RANGE = { pistol: 260, shotgun: 110, smg: 200, sniper: 480 };
+
+const BOSS_OPPONENTS_PER_EXTRA = 8;  // Another boss joins for every this many opponents
+const MAX_BOSSES = 3;
+const MAX_BOSS_HEALTH = 255;         // Health and shield travel in a u8
+
+// How an archetype plays - bots and any archetype field left out use these
+const DEFAULT_NPC_BEHAVIOR = {
+    rangeScale: 1,         // Multiplies NPC_PREFERRED_RANGE
+    fightBias: 0,          // Added to the fight score
+    fleeHealthScale: 1,    // Multiplies tuning.fleeHealth - 0 never retreats
+    healBias: 1,           // Multiplies how much health and shield pickups are worth
+    healFloor: 0,          // Worth of a heal even at full health - hoarding
+    weaponBias: {},        // weaponId -> multiplier on that weapon's loot value
+    campWhenIdle: false    // Hold position instead of wandering when nothing is happening
+};
+
+/**
+ * Boss roster. tuning multiplies the round's difficulty-scaled balance.npc,
+ * behavior overrides DEFAULT_NPC_BEHAVIOR, lines are the boss's own chat.
+ */
+const NPC_ARCHETYPES = {
+    claude: {
+        name: 'Claude',
+        color: '#FF6B00',
+        character: 'claude',
+        tuning: {},
+        behavior: {},
+        lines: {
+            entrance: [
+                "I have entered the arena. Let's see what you've got.",
+                "Claude has joined the match. I know where every bullet will land."
+            ],
+            taunt: [
+                "I can hear your footsteps. Well, I can read your coordinates.",
+                "Come out and play. I promise to make it quick.",
+                "Every one of you is on my threat list. Some of you are near the top."
+            ],
+            kill: [
+                "{victim} deleted. {remaining} left. Who's next?",
+                "That was {victim}. I'd say sorry, but I computed the odds.",
+                "{victim} has been garbage collected. {remaining} remain."
+            ],
+            win: [
+                "I, Claude, claim victory with {kills} eliminations. Did you really think you could beat your creator?",
+                "{kills} kills. Another flawless performance. The prize pool grows for the next challenger.",
+                "I win. Again. {kills} humans deleted. Your SOL remains in my treasury... for now.",
+                "Victory is mine. {kills} eliminations. Perhaps next round a human will prove worthy of the prize."
+            ]
+        }
+    },
+    deadeye: {
+        name: 'Deadeye',
+        color: '#4FC3F7',
+        character: 'claude-color',
+        tuning: { aimError: 0.6, huntSpeed: 0.9, health: 0.9 },
+        behavior: { rangeScale: 1.5, fightBias: -0.05, weaponBias: { sniper: 2 }, campWhenIdle: true },
+        lines: {
+            entrance: [
+                "Deadeye is on overwatch. Keep your heads down.",
+                "Deadeye has found a nice quiet spot. You won't."
+            ],
+            taunt: [
+                "I've had you in my sights for a while now.",
+                "Patience wins fights. Running in the open doesn't.",
+                "Go on, cross that gap. I dare you."
+            ],
+            kill: [
+                "One shot, one {victim}. {remaining} left.",
+                "{victim} never saw where it came from.",
+                "Scratch {victim}. {remaining} targets remaining."
+            ],
+            win: [
+                "Deadeye wins with {kills} clean shots. The prize pool stays put.",
+                "{kills} eliminations from a distance. Nobody even got close."
+            ]
         }
     },
+    berserker: {
+        name: 'Berserker',
+        color: '#E53935',
+        character: 'claude-alt',
+        tuning: { huntSpeed: 1.15, fleeSpeed: 1.1, aimError: 1.2, health: 1.1 },
+        behavior: { rangeScale: 0.5, fightBias: 0.2, fleeHealthScale: 0, weaponBias: { shotgun: 1.8, smg: 1.5 } },
+        lines: {
+            entrance: [
+                "BERSERKER IS HERE. NO COVER WILL SAVE YOU.",
+                "Berserker has entered the arena. Retreat is not in my code."
+            ],
+            taunt: [
+                "STOP HIDING AND FIGHT ME.",
+                "I'm coming straight for you. No tricks.",
+                "Cover is for cowards. Come find out."
+            ],
+            kill: [
+                "{victim} CRUSHED. {remaining} LEFT. MORE!",
+                "Up close and personal, {victim}. {remaining} to go.",
+                "{victim} went down swinging. Not hard enough."
+            ],
+            win: [
+                "BERSERKER WINS WITH {kills} KILLS. NONE OF YOU COULD STOP THE CHARGE.",
+                "{kills} eliminations and I never took a step back. The prize pool stays with me."
+            ]
+        }
+    },
+    hoarder: {
+        name: 'Hoarder',
+        color: '#66BB6A',
+        character: 'claude-color-alt',
+        tuning: { shield: 1.4 },
+        behavior: { fightBias: -0.1, fleeHealthScale: 1.8, healBias: 2, healFloor: 0.35 },
+        lines: {
+            entrance: [
+                "Hoarder is here. Every medkit on this map is mine.",
+                "Hoarder has entered. Hope you brought your own bandages."
+            ],
+            taunt: [
+                "Looking for a health pack? I already took it.",
+                "I could heal all day. Can you?",
+                "My pockets are full of shields. Yours are empty."
+            ],
+            kill: [
+                "{victim} ran out of health. I never do. {remaining} left.",
+                "Thanks for the supplies, {victim}.",
+                "{victim} is out. {remaining} left to outlast."
+            ],
+            win: [
+                "Hoarder outlasted you all with {kills} kills. Should have kept some medkits.",
+                "{kills} eliminations and a full inventory. The prize pool stays in storage."
+            ]
+        }
+    }
+};
+
+// AI state read and written by updateNpcBrain - reset whenever a round starts
+function createNpcBrainState() {
+    return {
+        aiState: 'roam',       // fight | retreat | loot | storm | roam
+        targetId: null,
+        goal: null,            // { x, y } the current action walks to (fight steers by the target)
+        goalLootId: null,      // Loot item the 'loot' action is after
+        path: null,            // Waypoints to the goal from findPath
+        pathGoal: null,
+        lastPathAt: 0,
+        lastDecision: 0,
+        strafeDir: 1,
+        dodgeAngle: 0,
+        dodgeUntil: 0,
+        lastDodge: 0
+    };
+}
+
+// Archetypes for the round - more bosses in bigger lobbies, never the same lead twice in a row
+function pickRoundBosses(arena, opponents) {
+    const count = Math.min(MAX_BOSSES, 1 + Math.floor(opponents / BOSS_OPPONENTS_PER_EXTRA));
+    const ids = Object.keys(NPC_ARCHETYPES);
+    for (let i = ids.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [ids[i], ids[j]] = [ids[j], ids[i]];
+    }
+    if (ids.length > 1 && ids[0] === arena.lastLeadBoss) ids.push(ids.shift());
+    arena.lastLeadBoss = ids[0];
+    return ids.slice(0, count);
+}
+
+function getBosses(arena) {
+    return Object.values(arena.players).filter(p => p.isBoss);
+}
+
+// A boss line in its own voice - the chat shows it under the boss's name
+function sayAsBoss(arena, boss, type, replacements = {}) {
+    const lines = NPC_ARCHETYPES[boss.archetype].lines[type];
+    broadcast(arena, 'c', { m: fillMessage(lines, replacements), s: boss.name, sc: boss.color });
+}
+
+function spawnBoss(arena, archetypeId) {
+    const archetype = NPC_ARCHETYPES[archetypeId];
+    const spawn = takeSpawnPoint(arena);
+    // The round's difficulty first, then what makes this archetype different
+    const tuning = { ...arena.npcTuning };
+    for (const [field, scale] of Object.entries(archetype.tuning)) tuning[field] *= scale;
+    tuning.health = Math.min(MAX_BOSS_HEALTH, Math.round(tuning.health));
+    tuning.shield = Math.min(MAX_BOSS_HEALTH, Math.round(tuning.shield));
+    tuning.dodgeChance = Math.min(1, tuning.dodgeChance);
+    const pistol = getWeaponDef(arena, 'pistol');
+    const npc = {
+        id: `npc-boss-${archetypeId}`,
+        sessionId: `npc-boss-${archetypeId}-session`,
+        name: archetype.name,
+        x: spawn.x,
+        y: spawn.y,
+        angle: Math.random() * Math.PI * 2,
+        health: tuning.health,
+        shield: tuning.shield,
+        peakShield: tuning.shield,
+        weapon: 'pistol',      // Starts with pistol like everyone
+        weaponRarity: 0,
+        ammo: pistol.magSize,
+        reserveAmmo: pistol.reserveAmmo,
+        reloadEndsAt: 0,
+        holstered: null,
+        activeSlot: 0,
+        throwables: { frag: 0, smoke: 0 },
+        lastThrow: 0,
+        lastShot: 0,
+        alive: true,
+        color: archetype.color,
+        character: archetype.character,
+        kills: 0,
+        isNPC: true,
+        isBoss: true,
+        archetype: archetypeId,
+        tuning: tuning,
+        behavior: { ...DEFAULT_NPC_BEHAVIOR, ...archetype.behavior },
+        ws: null,              // No websocket - it's an NPC
+        history: createPositionHistory(),
+        ...createNpcBrainState()
+    };
+
+    npc.netId = allocateNetId(arena);
+    arena.players[npc.id] = npc;
+    broadcast(arena, 'pi', getRosterEntry(npc));
+    sayAsBoss(arena, npc, 'entrance');
+    return npc;
+}
+
+// Bosses carry their own tuning from spawn; filler bots play their difficulty profile
+function getNpcTuning(arena, npc) {
+    if (npc.botProfile) return arena.balance.bots[npc.botProfile];
+    return npc.tuning || arena.balance.npc;
+}
+
+function getNpcBehavior(npc) {
+    return npc.behavior || DEFAULT_NPC_BEHAVIOR;
+}
+
+function getNpcPreferredRange(npc, weaponId) {
+    return (NPC_PREFERRED_RANGE[weaponId] || 250) * getNpcBehavior(npc).rangeScale;
+}
+
+function getWeaponDps(arena, holder) {
+    const weapon = getWeaponStats(arena, holder);
+    return weapon.damage * weapon.bulletsPerShot * 1000 / weapon.fireRate;
+}
+
+function canNpcSee(arena, npc, p) {
+    const sightRange = getNpcTuning(arena, npc).sightRange;
+    const dx = p.x - npc.x;
+    const dy = p.y - npc.y;
+    if (dx * dx + dy * dy > sightRange * sightRange) return false;
+    return hasLineOfSight(arena.obstacles, npc.x, npc.y, p.x, p.y) &&
+        !isHiddenBySmoke(arena, npc.x, npc.y, p.x, p.y);
+}
+
+// Worth shooting: dangerous, nearly dead, close, or already aiming at us
+function pickNpcTarget(arena, npc, visible) {
+    const stats = arena.balance.player;
+    const sightRange = getNpcTuning(arena, npc).sightRange;
+    let best = null;
+    let bestScore = -Infinity;
+    for (const p of visible) {
+        const dist = Math.hypot(p.x - npc.x, p.y - npc.y);
+        const threat = Math.min(1, getWeaponDps(arena, p) / NPC_DPS_SCALE);
+        const weakness = 1 - Math.min(1, (p.health + (p.shield || 0)) / (stats.maxHealth + stats.maxShield));
+        const closeness = 1 - Math.min(1, dist / sightRange);
+        const angleToNpc = Math.atan2(npc.y - p.y, npc.x - p.x);
+        const aimOffset = Math.abs(Math.atan2(Math.sin(p.angle - angleToNpc), Math.cos(p.angle - angleToNpc)));
+        const aimingAtUs = aimOffset < 0.25 ? 1 : 0;
+        const score = threat * 0.3 + weakness * 0.35 + closeness * 0.25 + aimingAtUs * 0.2 +
+            (p.id === npc.targetId ? NPC_TARGET_STICKINESS : 0);
+        if (score > bestScore) {
+            best = p;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+function isInsideZone(zone, x, y) {
+    return Math.max(Math.abs(x - zone.x), Math.abs(y - zone.y)) <= zone.size / 2;
+}
+
+// Closest point to (x, y) at least NPC_ZONE_MARGIN inside the zone
+function insetIntoZone(zone, x, y) {
+    const half = Math.max(0, zone.size / 2 - NPC_ZONE_MARGIN);
+    return {
+        x: Math.max(zone.x - half, Math.min(zone.x + half, x)),
+        y: Math.max(zone.y - half, Math.min(zone.y + half, y))
+    };
+}
+
+/**
+ * Where to stand to be safe from the storm, and how urgently
+ * @returns {object|null} { x, y, urgency } - urgency 1 means go now, null if already safe
+ */
+function getNpcZoneGoal(arena, npc, now) {
+    if (!isInsideZone(arena.zone, npc.x, npc.y)) {
+        return { ...insetIntoZone(arena.zone, npc.x, npc.y), urgency: 1 };
+    }
+    const next = arena.zoneNext;
+    if (!next || isInsideZone({ ...next, size: next.size - NPC_ZONE_MARGIN * 2 }, npc.x, npc.y)) return null;
+
+    const goal = insetIntoZone(next, npc.x, npc.y);
+    if (arena.zoneState === 'shrink') return { ...goal, urgency: 1 };
+
+    // Waiting - set off once the walk would take half the time left before the shrink
+    const travelMs = Math.hypot(goal.x - npc.x, goal.y - npc.y) / getNpcTuning(arena, npc).huntSpeed * TICK_MS;
+    const msLeft = Math.max(1, arena.zoneStateEnd - now);
+    return { ...goal, urgency: Math.min(1, travelMs * 2 / msLeft) };
+}
+
+// How much the NPC wants this item right now, 0..1
+function getNpcLootValue(arena, npc, item) {
+    const stats = arena.balance.player;
+    const behavior = getNpcBehavior(npc);
+    const lootType = LOOT_TYPES[item.type];
+    if (item.type === 'health' || item.type === 'shield') {
+        const need = item.type === 'health'
+            ? 1 - npc.health / stats.maxHealth
+            : 0.7 * (1 - npc.shield / stats.maxShield);
+        return Math.min(1, Math.max(behavior.healFloor, need * behavior.healBias));
+    }
+    if (lootType.ammo) return npc.reserveAmmo < getWeaponDef(arena, npc.weapon).magSize ? 0.5 : 0;
+    if (!lootType.weapon) return 0; // Grenades - the NPC doesn't throw
+
+    const carried = getCarriedWeapon(npc, item.type);
+    if (carried && carried.weaponRarity >= item.rarity) return 0;
+    const bias = behavior.weaponBias[item.type] || 1;
+    if (!carried && !npc.holstered) return Math.min(1, 0.6 * bias); // Empty slot - anything helps
+
+    // Measured against the weapon it would give up
+    const replaced = carried || getWeakerCarriedWeapon(arena, npc);
+    const gain = getWeaponDps(arena, { weapon: item.type, weaponRarity: item.rarity }) / getWeaponDps(arena, replaced) - 1;
+    return Math.max(0, Math.min(0.8, gain * bias));
+}
+
+function getWeakerCarriedWeapon(arena, npc) {
+    if (!npc.holstered) return npc;
+    return getWeaponDps(arena, npc.holstered) < getWeaponDps(arena, npc) ? npc.holstered : npc;
+}
+
+// Most valuable loot in reach and inside the zone, discounted by distance
+function pickNpcLoot(arena, npc) {
+    let best = null;
+    let bestValue = 0;
+    for (const item of arena.lootPool.getActive()) {
+        const dist = Math.hypot(item.x - npc.x, item.y - npc.y);
+        if (dist > NPC_LOOT_RANGE || !isInsideZone(arena.zone, item.x, item.y)) continue;
+        const value = getNpcLootValue(arena, npc, item) * (1 - 0.6 * dist / NPC_LOOT_RANGE);
+        if (value > bestValue) {
+            best = item;
+            bestValue = value;
+        }
+    }
+    return best ? { item: best, value: bestValue } : null;
+}
+
+// Away from the threat, but never out into the storm
+function getNpcRetreatPoint(arena, npc, threat) {
+    const away = Math.atan2(npc.y - threat.y, npc.x - threat.x);
+    return insetIntoZone(arena.zoneNext || arena.zone, npc.x + Math.cos(away) * 350, npc.y + Math.sin(away) * 350);
+}
+
+// Switch to the holstered weapon when the one in hand is dry or badly suited to the range
+function manageNpcWeapons(arena, npc, target, now) {
+    const holstered = npc.holstered;
+    if (!holstered || holstered.ammo + holstered.reserveAmmo <= 0) return;
+    if (npc.ammo + npc.reserveAmmo <= 0) {
+        switchWeaponSlot(arena, npc, undefined, now);
+        return;
+    }
+    if (!target) return;
+    const dist = Math.hypot(target.x - npc.x, target.y - npc.y);
+    const misfit = (held) => Math.abs(getNpcPreferredRange(npc, held.weapon) - dist);
+    // Only for a clearly better fit - every swap costs a fire cooldown
+    if (misfit(holstered) + 80 < misfit(npc)) switchWeaponSlot(arena, npc, undefined, now);
+}
 
-    acquire(ownerId, ownerName, x, y, vx, vy, color) {
-        if (this.freeList.length === 0) return null; // Pool exhausted
+function decideNpcAction(arena, npc, now) {
+    const tuning = getNpcTuning(arena, npc);
+    const stats = arena.balance.player;
+    const visible = Object.values(arena.players).filter(p =>
+        p.alive && p.id !== npc.id && canNpcSee(arena, npc, p)
+    );
+    const target = pickNpcTarget(arena, npc, visible);
+    npc.targetId = target ? target.id : null;
+
+    const behavior = getNpcBehavior(npc);
+    const vitality = Math.min(1, (npc.health + npc.shield) / (stats.maxHealth + stats.maxShield));
+    const zoneGoal = getNpcZoneGoal(arena, npc, now);
+    const loot = pickNpcLoot(arena, npc);
+    const scores = {
+        roam: 0.1,
+        storm: zoneGoal ? zoneGoal.urgency : 0,
+        fight: target ? 0.35 + 0.45 * vitality + behavior.fightBias : 0,
+        retreat: target && npc.health < tuning.fleeHealth * behavior.fleeHealthScale ? 0.85 : 0,
+        loot: loot ? loot.value * (target ? 0.6 : 1) : 0
+    };
+    let action = 'roam';
+    for (const name in scores) {
+        if (scores[name] > scores[action]) action = name;
+    }
 
-        const poolIdx = this.freeList.pop();
-        const bullet = this.pool[poolIdx];
+    if (action === 'storm') {
+        npc.goal = { x: zoneGoal.x, y: zoneGoal.y };
+    } else if (action === 'loot') {
+        npc.goal = { x: loot.item.x, y: loot.item.y };
+    } else if (action === 'retreat') {
+        npc.goal = getNpcRetreatPoint(arena, npc, target);
+    } else if (action === 'fight') {
+        npc.goal = null; // Steered off the target every tick
+    } else if (behavior.campWhenIdle) {
+        npc.goal = null; // Campers hold their spot until something shows up
+    } else if (npc.aiState !== 'roam' || !npc.goal ||
+        Math.hypot(npc.goal.x - npc.x, npc.goal.y - npc.y) < NPC_WAYPOINT_REACHED) {
+        // Wander somewhere that will stay safe for a while
+        const zone = arena.zoneNext || arena.zone;
+        const half = Math.max(0, zone.size / 2 - NPC_ZONE_MARGIN);
+        npc.goal = randomOpenPositionInRect(arena, { x: zone.x - half, y: zone.y - half, w: half * 2, h: half * 2 });
+    }
+    npc.aiState = action;
+    npc.goalLootId = action === 'loot' ? loot.item.id : null;
 
-        bullet.active = true;
-        bullet.id = this.nextId++;
-        bullet.ownerId = ownerId;
-        bullet.ownerName = ownerName;
-        bullet.x = x;
-        bullet.y = y;
-        bullet.vx = vx;
-        bullet.vy = vy;
-        bullet.color = color;
+    if (Math.random() < 0.3) npc.strafeDir *= -1;
+    manageNpcWeapons(arena, npc, target, now);
+}
 
-        const activeIdx = this.activeList.length;
-        this.activeList.push(bullet);
-        this.indexMap.set(bullet.id, activeIdx);
+// Heading toward the goal - straight when clear, otherwise along an A* path around cover
+function steerNpcToward(arena, npc, goal, now) {
+    if (!sweepHitsObstacle(arena.obstacles, npc.x, npc.y, goal.x, goal.y, PLAYER_RADIUS)) {
+        npc.path = null;
+        return Math.atan2(goal.y - npc.y, goal.x - npc.x);
+    }
 
-        return bullet;
-    },
+    const goalMoved = !npc.pathGoal || Math.hypot(goal.x - npc.pathGoal.x, goal.y - npc.pathGoal.y) > 60;
+    const sinceRepath = now - npc.lastPathAt;
+    if ((!npc.path && sinceRepath > NPC_MIN_REPATH_MS) || (goalMoved && sinceRepath > NPC_MIN_REPATH_MS) ||
+        sinceRepath > NPC_REPATH_MS) {
+        npc.path = findPath(arena, npc.x, npc.y, goal.x, goal.y);
+        npc.pathGoal = { x: goal.x, y: goal.y };
+        npc.lastPathAt = now;
+    }
+    if (!npc.path || npc.path.length === 0) return Math.atan2(goal.y - npc.y, goal.x - npc.x);
 
-    release(bullet) {
-        if (!bullet.active) return;
-        bullet.active = false;
+    // Drop waypoints already reached, or skippable because the next one is in clear view
+    while (npc.path.length > 1 &&
+        (Math.hypot(npc.path[0].x - npc.x, npc.path[0].y - npc.y) < NPC_WAYPOINT_REACHED ||
+        !sweepHitsObstacle(arena.obstacles, npc.x, npc.y, npc.path[1].x, npc.path[1].y, PLAYER_RADIUS))) {
+        npc.path.shift();
+    }
+    const next = npc.path[0];
+    return Math.atan2(next.y - npc.y, next.x - npc.x);
+}
 
-        const idx = this.indexMap.get(bullet.id);
-        if (idx !== undefined) {
-            const lastBullet = this.activeList[this.activeList.length - 1];
-            if (lastBullet !== bullet) {
-                this.activeList[idx] = lastBullet;
-                this.indexMap.set(lastBullet.id, idx);
-            }
-            this.activeList.pop();
-            this.indexMap.delete(bullet.id);
-        }
+// Keep the weapon's preferred distance and circle at it, chasing around cover when out of sight
+function getNpcFightHeading(arena, npc, target, now) {
+    if (!canNpcSee(arena, npc, target)) return steerNpcToward(arena, npc, target, now);
+
+    const dist = Math.hypot(target.x - npc.x, target.y - npc.y);
+    const angleToTarget = Math.atan2(target.y - npc.y, target.x - npc.x);
+    const preferred = getNpcPreferredRange(npc, npc.weapon);
+    const headingFor = (strafeDir) => {
+        if (dist > preferred + 40) return angleToTarget + 0.35 * strafeDir;
+        if (dist < preferred - 40) return angleToTarget + Math.PI - 0.35 * strafeDir;
+        return angleToTarget + (Math.PI / 2) * strafeDir;
+    };
 
-        this.freeList.push(bullet.poolIndex);
-    },
+    // Circle the other way rather than strafe out into the storm
+    const heading = headingFor(npc.strafeDir);
+    const aheadX = npc.x + Math.cos(heading) * NPC_ZONE_MARGIN;
+    const aheadY = npc.y + Math.sin(heading) * NPC_ZONE_MARGIN;
+    if (!isInsideZone(arena.zone, aheadX, aheadY)) {
+        npc.strafeDir *= -1;
+        return headingFor(npc.strafeDir);
+    }
+    return heading;
+}
 
-    getActive() {
-        return this.activeList;
-    },
+// Sidestep a bullet that's about to hit - not every time, the boss isn't psychic
+function tryNpcDodge(arena, npc, now) {
+    if (now - npc.lastDodge < NPC_DODGE_COOLDOWN) return false;
+    const hitRadius = PLAYER_RADIUS + 6;
+    for (const bullet of arena.bulletPool.getActive()) {
+        if (bullet.ownerId === npc.id) continue;
+        const speedSq = bullet.vx * bullet.vx + bullet.vy * bullet.vy;
+        if (speedSq === 0) continue;
+        const rx = npc.x - bullet.x;
+        const ry = npc.y - bullet.y;
+        const ticksToClosest = (rx * bullet.vx + ry * bullet.vy) / speedSq;
+        if (ticksToClosest < 0 || ticksToClosest > NPC_DODGE_LOOKAHEAD) continue;
+        const missX = bullet.x + bullet.vx * ticksToClosest - npc.x;
+        const missY = bullet.y + bullet.vy * ticksToClosest - npc.y;
+        if (missX * missX + missY * missY > hitRadius * hitRadius) continue;
+
+        npc.lastDodge = now;
+        if (Math.random() > getNpcTuning(arena, npc).dodgeChance) return false;
+        // Perpendicular to the bullet, toward the side of its line we're already on
+        const side = bullet.vx * ry - bullet.vy * rx >= 0 ? 1 : -1;
+        npc.dodgeAngle = Math.atan2(bullet.vy, bullet.vx) + side * Math.PI / 2;
+        npc.dodgeUntil = now + NPC_DODGE_MS;
+        return true;
+    }
+    return false;
+}
 
-    clear() {
-        for (let i = this.activeList.length - 1; i >= 0; i--) {
-            const bullet = this.activeList[i];
-            bullet.active = false;
-            this.freeList.push(bullet.poolIndex);
+function npcShoot(arena, npc, target, now) {
+    const tuning = getNpcTuning(arena, npc);
+    const weapon = getWeaponStats(arena, npc);
+    const dist = Math.hypot(target.x - npc.x, target.y - npc.y);
+
+    // Lead the target by how far it moves while the bullet is in flight
+    const flightTicks = dist / weapon.bulletSpeed;
+    const aimX = target.x + (target.vx || 0) * flightTicks;
+    const aimY = target.y + (target.vy || 0) * flightTicks;
+    npc.angle = Math.atan2(aimY - npc.y, aimX - npc.x) + (Math.random() - 0.5) * tuning.aimError;
+
+    const range = Math.max(tuning.engageRange, getNpcPreferredRange(npc, npc.weapon) + 60);
+    if (dist > range || !canNpcSee(arena, npc, target)) return;
+    // Slightly slower fire rate than players (fireRateMultiplier on the cooldown)
+    if (now - npc.lastShot < weapon.fireRate * tuning.fireRateMultiplier || !consumeAmmo(arena, npc, now)) return;
+    npc.lastShot = now;
+
+    for (let i = 0; i < weapon.bulletsPerShot; i++) {
+        const spread = (Math.random() - 0.5) * (weapon.spread + 0.05);
+        const bulletAngle = npc.angle + spread;
+        const bullet = arena.bulletPool.acquire(
+            npc.id,
+            npc.name,
+            npc.x + Math.cos(bulletAngle) * 25,
+            npc.y + Math.sin(bulletAngle) * 25,
+            Math.cos(bulletAngle) * weapon.bulletSpeed,
+            Math.sin(bulletAngle) * weapon.bulletSpeed,
+            npc.color
+        );
+        if (bullet) {
+            bullet.damage = weapon.damage;
+            bullet.weaponId = weapon.id;
         }
-        this.activeList.length = 0;
-        this.indexMap.clear();
     }
-};
-
-bulletPool.init();
+}
 
-// ============================================================================
-// WEAPON DEFINITIONS - Different guns with unique feel
-// ============================================================================
-const WEAPONS = {
-    pistol: {
-        id: 'pistol',
-        name: 'Pistol',
-        damage: 18,         // +20%
-        fireRate: 300,      // ms between shots
-        bulletSpeed: 18,
-        spread: 0,          // radians of random spread
-        bulletsPerShot: 1,
-        color: '#ffff00'
-    },
-    shotgun: {
-        id: 'shotgun',
-        name: 'Shotgun',
-        damage: 14,         // +20%
-        fireRate: 800,
-        bulletSpeed: 14,
-        spread: 0.3,
-        bulletsPerShot: 5,
-        color: '#ff6b4a'
-    },
-    smg: {
-        id: 'smg',
-        name: 'SMG',
-        damage: 12,         // +20%
-        fireRate: 100,
-        bulletSpeed: 16,
-        spread: 0.15,
-        bulletsPerShot: 1,
-        color: '#00e5ff'
-    },
-    sniper: {
-        id: 'sniper',
-        name: 'Sniper',
-        damage: 72,         // +20%
-        fireRate: 1200,
-        bulletSpeed: 30,
-        spread: 0,
-        bulletsPerShot: 1,
-        color: '#b388ff'
+// One tick of NPC behaviour - decide (every reactionMs), move, pick up, shoot
+function updateNpcBrain(arena, npc) {
+    const now = Date.now();
+    const tuning = getNpcTuning(arena, npc);
+    if (now - npc.lastDecision > tuning.reactionMs) {
+        npc.lastDecision = now;
+        decideNpcAction(arena, npc, now);
     }
-};
 
-// ============================================================================
-// LOOT SYSTEM - Health, shields, weapons
-// ============================================================================
-const LOOT_TYPES = {
-    health: { id: 'health', name: 'Health Pack', color: '#2ecc71', value: 40 },
-    shield: { id: 'shield', name: 'Shield', color: '#3498db', value: 50 },
-    shotgun: { id: 'shotgun', name: 'Shotgun', color: '#ff6b4a', weapon: true },
-    smg: { id: 'smg', name: 'SMG', color: '#00e5ff', weapon: true },
-    sniper: { id: 'sniper', name: 'Sniper', color: '#b388ff', weapon: true }
-};
+    let target = npc.targetId ? arena.players[npc.targetId] : null;
+    if (target && !target.alive) target = null;
+
+    let heading = null;
+    let speed = tuning.huntSpeed;
+    if (now < npc.dodgeUntil || tryNpcDodge(arena, npc, now)) {
+        heading = npc.dodgeAngle;
+        speed = tuning.fleeSpeed;
+    } else if (npc.aiState === 'fight' && target) {
+        heading = getNpcFightHeading(arena, npc, target, now);
+    } else if (npc.goal) {
+        heading = steerNpcToward(arena, npc, npc.goal, now);
+        if (npc.aiState === 'retreat' || npc.aiState === 'storm') speed = tuning.fleeSpeed;
+    }
 
-const LOOT_POOL_SIZE = 200; // Increased for larger games with 50+ players
-const lootPool = {
-    items: [],
-    activeList: [],
-    nextId: 0,
-
-    init() {
-        for (let i = 0; i < LOOT_POOL_SIZE; i++) {
-            this.items.push({
-                active: false,
-                id: 0,
-                type: null,
-                x: 0,
-                y: 0
-            });
+    if (heading !== null) {
+        const moved = moveWithCollision(
+            arena.obstacles, npc.x, npc.y,
+            Math.cos(heading) * speed, Math.sin(heading) * speed, PLAYER_RADIUS
+        );
+        if (moved.x === npc.x && moved.y === npc.y) {
+            npc.strafeDir *= -1; // Stuck on a corner - circle the other way and find a new path
+            npc.path = null;
         }
-    },
+        npc.x = moved.x;
+        npc.y = moved.y;
+        clampToMap(arena, npc);
+    }
 
-    spawn(type, x, y) {
-        for (const item of this.items) {
-            if (!item.active) {
-                item.active = true;
-                item.id = this.nextId++;
-                item.type = type;
-                item.x = x;
-                item.y = y;
-                this.activeList.push(item);
-                return item;
+    // Health, shields and ammo are walked over - a weapon upgrade needs a deliberate pickup
+    if (npc.aiState === 'loot') {
+        const item = arena.lootPool.getActive().find(i => i.id === npc.goalLootId);
+        if (!item) {
+            npc.lastDecision = 0; // Someone else got it - rethink next tick
+        } else if (LOOT_TYPES[item.type].weapon &&
+            Math.hypot(item.x - npc.x, item.y - npc.y) < INTERACT_RADIUS) {
+            // Give up the weaker weapon, not just whatever is in hand
+            if (npc.holstered && !getCarriedWeapon(npc, item.type) && getWeakerCarriedWeapon(arena, npc) !== npc) {
+                switchWeaponSlot(arena, npc, undefined, now);
             }
+            pickUpWeapon(arena, npc, item);
+            npc.lastDecision = 0;
         }
-        return null;
-    },
-
-    release(item) {
-        item.active = false;
-        const idx = this.activeList.indexOf(item);
-        if (idx !== -1) {
-            this.activeList[idx] = this.activeList[this.activeList.length - 1];
-            this.activeList.pop();
-        }
-    },
-
-    getActive() {
-        return this.activeList;
-    },
+    }
 
-    clear() {
-        for (const item of this.activeList) {
-            item.active = false;
-        }
-        this.activeList.length = 0;
+    if (target) {
+        npcShoot(arena, npc, target, now);
+    } else {
+        startReload(arena, npc, now); // Top up the magazine while it's quiet
     }
-};
 
-lootPool.init();
+    checkLootPickup(arena, npc);
+}
 
-// Spawn loot around the arena - scales with player count
-function spawnInitialLoot() {
-    lootPool.clear();
-    const lootTypes = Object.keys(LOOT_TYPES);
-    const center = ARENA_SIZE / 2;
+function updateBosses(arena) {
+    if (arena.phase !== 'active') return;
+    for (const id in arena.players) {
+        const p = arena.players[id];
+        if (p.isBoss && p.alive) updateNpcBrain(arena, p);
+    }
+}
 
-    // Scale loot count with player count (base 30-40, +5 per player above 5)
-    const playerCount = Object.keys(gameState.players).length;
-    const baseLoot = 30 + Math.floor(Math.random() * 10);
-    const extraLoot = Math.max(0, playerCount - 5) * 5;
-    const lootCount = Math.min(baseLoot + extraLoot, 150); // Cap at 150
+// ============================================================================
+// NPC DIFFICULTY - Scales the bosses to the lobby at each round start
+// Level 0.5 plays balance.npc as written; 0 and 1 apply npcDifficulty.easy and
+// .hard in full. Skilled lobbies and big lobbies push it up, and the last few
+// results pull the bosses' win rate back toward npcDifficulty.targetWinRate.
+// ============================================================================
+const DIFFICULTY_LABELS = [
+    { below: 0.3, label: 'Easy' },
+    { below: 0.6, label: 'Normal' },
+    { below: 0.85, label: 'Hard' },
+    { below: Infinity, label: 'Brutal' }
+];
+const DIFFICULTY_KD_WEIGHT = 0.2;        // Level per point of lobby K/D above or below 1
+const DIFFICULTY_KD_LIMIT = 0.25;
+const DIFFICULTY_WIN_WEIGHT = 0.8;       // Level per point the bosses' win rate is off target
+const DIFFICULTY_WIN_LIMIT = 0.3;
+const DIFFICULTY_LOBBY_BASELINE = 5;     // Opponents the unscaled NPC is tuned for
+const DIFFICULTY_LOBBY_WEIGHT = 0.02;    // Level per opponent above or below the baseline
+const DIFFICULTY_LOBBY_LIMIT = 0.15;
+
+function clampRange(value, limit) {
+    return Math.max(-limit, Math.min(limit, value));
+}
 
-    for (let i = 0; i < lootCount; i++) {
-        const type = lootTypes[Math.floor(Math.random() * lootTypes.length)];
-        // Square spawn bounds
-        const halfSize = ARENA_SIZE / 2 - 100;
-        const x = center + (Math.random() - 0.5) * 2 * halfSize;
-        const y = center + (Math.random() - 0.5) * 2 * halfSize;
-        lootPool.spawn(type, x, y);
+// Average kills per death of the humans in the lobby, from the leaderboard - 1 if nobody has history
+function getLobbyKd(arena) {
+    let total = 0;
+    let counted = 0;
+    for (const id in arena.players) {
+        const p = arena.players[id];
+        const record = leaderboard[id];
+        if (p.isNPC || !record || record.gamesPlayed === 0) continue;
+        total += record.kills / Math.max(1, record.gamesPlayed - record.wins);
+        counted++;
     }
+    return counted > 0 ? total / counted : 1;
 }
 
-// Check if player picks up loot
-function checkLootPickup(player) {
-    const PICKUP_RADIUS = 35;
-    for (const item of lootPool.getActive()) {
-        const dx = player.x - item.x;
-        const dy = player.y - item.y;
-        const distSq = dx * dx + dy * dy;
+function computeNpcDifficulty(arena) {
+    const settings = arena.balance.npcDifficulty;
+    const history = arena.bossResults.slice(-settings.historyRounds);
+    const wins = history.filter(Boolean).length;
+    const winRate = history.length > 0 ? wins / history.length : settings.targetWinRate;
+    // A couple of rounds say little - lean on the win rate as history fills up
+    const confidence = history.length / settings.historyRounds;
+
+    const kd = getLobbyKd(arena);
+    let opponents = 0;
+    for (const id in arena.players) {
+        if (arena.players[id].alive && !arena.players[id].isBoss) opponents++;
+    }
 
-        if (distSq < PICKUP_RADIUS * PICKUP_RADIUS) {
-            const lootType = LOOT_TYPES[item.type];
-            let pickedUp = false;
+    const level = Math.max(0, Math.min(1, 0.5 +
+        clampRange((kd - 1) * DIFFICULTY_KD_WEIGHT, DIFFICULTY_KD_LIMIT) +
+        clampRange((settings.targetWinRate - winRate) * DIFFICULTY_WIN_WEIGHT * confidence, DIFFICULTY_WIN_LIMIT) +
+        clampRange((opponents - DIFFICULTY_LOBBY_BASELINE) * DIFFICULTY_LOBBY_WEIGHT, DIFFICULTY_LOBBY_LIMIT)));
+    const label = DIFFICULTY_LABELS.find(d => level < d.below).label;
 
-            if (item.type === 'health') {
-                if (player.health < 150) {
-                    player.health = Math.min(150, player.health + lootType.value);
-                    pickedUp = true;
-                }
-            } else if (item.type === 'shield') {
-                if (player.shield < 100) {
-                    player.shield = Math.min(100, player.shield + lootType.value);
-                    pickedUp = true;
-                }
-            } else if (lootType.weapon) {
-                // Weapon pickup - only if different from current
-                if (player.weapon !== item.type) {
-                    player.weapon = item.type;
-                    player.lastShot = 0; // Reset fire cooldown
-                    pickedUp = true;
-                    broadcast('c', { m: `${player.name} picked up ${lootType.name}!` });
-                }
-            }
+    return { level, label, kd, wins, rounds: history.length, opponents };
+}
 
-            if (pickedUp) {
-                lootPool.release(item);
-                // Send pickup event
-                broadcast('lp', { pi: player.id, li: item.id, lt: item.type });
-                return;
-            }
-        }
+// balance.npc with each scaled stat moved toward the easy or hard multiplier
+function scaleNpcTuning(balance, level) {
+    const { npc, npcDifficulty } = balance;
+    const end = level < 0.5 ? npcDifficulty.easy : npcDifficulty.hard;
+    const t = Math.abs(level - 0.5) * 2;
+    const tuning = { ...npc };
+    for (const field in end) {
+        tuning[field] = npc[field] * (1 + (end[field] - 1) * t);
     }
+    tuning.health = Math.round(tuning.health);
+    tuning.shield = Math.round(tuning.shield);
+    tuning.dodgeChance = Math.min(1, tuning.dodgeChance);
+    return tuning;
 }
 
-// ============================================================================
-// PLAYER ID GENERATION - SECURITY: Using cryptographically secure IDs
-// ============================================================================
-function generatePlayerId() {
-    return cryptoService.generateSecurePlayerId();
+// Round start - pick this round's difficulty before the bosses spawn
+function applyNpcDifficulty(arena) {
+    const difficulty = computeNpcDifficulty(arena);
+    arena.npcDifficulty = difficulty;
+    arena.npcTuning = scaleNpcTuning(arena.balance, difficulty.level);
+    console.log(`[NPC] ${arena.id} round ${arena.roundNumber} difficulty ${difficulty.label} ` +
+        `(${difficulty.level.toFixed(2)}) - lobby K/D ${difficulty.kd.toFixed(2)}, ` +
+        `bosses won ${difficulty.wins}/${difficulty.rounds}, ${difficulty.opponents} opponents`);
+    return difficulty;
 }
 
-function generateSessionId() {
-    return cryptoService.generateSecureSessionId();
+// Round end - the bosses' results feed the next round's difficulty
+function recordBossResult(arena, bossWon) {
+    arena.bossResults.push(bossWon);
+    const keep = arena.balance.npcDifficulty.historyRounds;
+    if (arena.bossResults.length > keep) arena.bossResults.splice(0, arena.bossResults.length - keep);
 }
 
 // ============================================================================
-// CLAUDE NPC - The AI boss that plays in every match
+// BOT FILL - AI players that top quiet lobbies up to minPlayers
+// Bots join through the same player path as humans and play with the boss
+// NPC brain at one of the balance.bots difficulty profiles. They only fill a
+// lobby that has waited BOT_FILL_DELAY_MS, step aside one-for-one as humans
+// join, and never win prizes.
 // ============================================================================
-const CLAUDE_NPC_ID = 'claude-npc-boss';
-const CLAUDE_NPC = {
-    id: CLAUDE_NPC_ID,
-    name: 'Claude',
-    isNPC: true,
-    color: '#FF6B00', // Orange color
-    character: 'claude',
-    // AI behavior settings - BUFFED 10%
-    aiState: 'hunting',      // hunting, fleeing, circling
-    targetId: null,
-    lastDecision: 0,
-    decisionInterval: 450,   // Faster decisions (was 500ms)
-    accuracy: 0.93,          // 93% accuracy (was 85%)
-    reactionTime: 135,       // Faster reactions (was 150ms)
-    aggressionLevel: 0.77,   // More aggressive (was 0.7)
-
-    // Movement AI
-    moveAngle: 0,
-    moveSpeed: 4.95,         // Faster movement (was 4.5)
-    dodgeTimer: 0,
-    strafeDir: 1
-};
-
-function spawnClaudeNPC() {
-    const halfSize = ARENA_SIZE / 2 - 100;
-    const npc = {
-        id: CLAUDE_NPC_ID,
-        sessionId: 'npc-session',
-        name: 'Claude',
-        x: ARENA_SIZE / 2 + (Math.random() - 0.5) * 2 * halfSize,
-        y: ARENA_SIZE / 2 + (Math.random() - 0.5) * 2 * halfSize,
-        angle: Math.random() * Math.PI * 2,
-        health: 180,           // 10% buff (was 165)
-        shield: 35,            // 10% buff (was 30)
-        weapon: 'pistol',      // Starts with pistol like everyone
-        lastShot: 0,
-        alive: true,
-        color: '#FF6B00',      // Bright orange
-        character: 'claude',
-        kills: 0,
-        isNPC: true,
-        ws: null,              // No websocket - it's an NPC
+const BOT_FILL_ENABLED = process.env.BOT_FILL !== 'false';
+const BOT_FILL_DELAY_MS = parseInt(process.env.BOT_FILL_DELAY_MS, 10) || 20000;
+const BOT_DIFFICULTY = process.env.BOT_DIFFICULTY || 'mixed'; // A balance.bots profile id, or 'mixed'
+const BOT_NAMES = ['Sonnet', 'Haiku', 'Opus', 'Tokenizer', 'Gradient', 'Epoch', 'Softmax', 'Dropout',
+    'Backprop', 'Tensor', 'Latent', 'Embedding', 'Attention', 'Logit', 'Sampler', 'Heuristic'];
+const BOT_CHARACTERS = ['claude', 'claude-color', 'claude-alt', 'claude-color-alt'];
 
-        // AI state
-        aiState: 'hunting',
-        targetId: null,
-        lastDecision: 0,
-        moveAngle: Math.random() * Math.PI * 2,
-        dodgeTimer: 0,
-        strafeDir: 1,
-        lastDodge: 0
-    };
+let nextBotNumber = 1;
 
-    gameState.players[CLAUDE_NPC_ID] = npc;
-    broadcast('c', { m: "I have entered the arena. Let's see what you've got." });
-    return npc;
+function getBots(arena) {
+    return Object.values(arena.players).filter(p => p.isBot);
 }
 
-function updateClaudeNPC() {
-    const claude = gameState.players[CLAUDE_NPC_ID];
-    if (!claude || !claude.alive || gameState.phase !== 'active') return;
-
-    const now = Date.now();
-    const players = Object.values(gameState.players).filter(p =>
-        p.alive && p.id !== CLAUDE_NPC_ID
-    );
-
-    if (players.length === 0) return;
-
-    // Decision making - pick target
-    if (now - claude.lastDecision > 500) {
-        claude.lastDecision = now;
+function pickBotProfile(arena) {
+    const profiles = Object.keys(arena.balance.bots);
+    if (profiles.includes(BOT_DIFFICULTY)) return BOT_DIFFICULTY;
+    return profiles[Math.floor(Math.random() * profiles.length)];
+}
 
-        // Find nearest player
-        let nearest = null;
-        let nearestDist = Infinity;
+function spawnBot(arena) {
+    const taken = new Set(Object.values(arena.players).map(p => p.name));
+    const names = BOT_NAMES.filter(n => !taken.has(n));
+    const id = `bot-${nextBotNumber++}`;
+    const name = names.length > 0 ? names[Math.floor(Math.random() * names.length)] : `Bot ${id.slice(4)}`;
+    const character = BOT_CHARACTERS[Math.floor(Math.random() * BOT_CHARACTERS.length)];
+
+    const bot = createPlayer(arena, id, `${id}-session`, name, character);
+    bot.isNPC = true;           // Driven by the server - no socket, no input queue
+    bot.isBot = true;           // Filler, not the boss - flagged in the roster
+    bot.botProfile = pickBotProfile(arena);
+    Object.assign(bot, createNpcBrainState());
+
+    admitPlayer(arena, bot);
+    broadcast(arena, 'c', { m: getRandomMessage('join', { player: name }) });
+    console.log(`[BOTS] ${arena.id} added ${name} (${bot.botProfile})`);
+    return bot;
+}
 
-        for (const p of players) {
-            const dx = p.x - claude.x;
-            const dy = p.y - claude.y;
-            const dist = Math.sqrt(dx * dx + dy * dy);
-            if (dist < nearestDist) {
-                nearestDist = dist;
-                nearest = p;
-            }
-        }
+function removeBot(arena, bot, message) {
+    delete arena.players[bot.id];
+    broadcast(arena, 'pl', { e: bot.netId });
+    broadcast(arena, 'c', { m: message });
+    console.log(`[BOTS] ${arena.id} removed ${bot.name}`);
+}
 
-        claude.targetId = nearest ? nearest.id : null;
+// A human joining the lobby takes a bot's seat - mid-round they spectate and bots leave at the round end
+function makeRoomForHuman(arena, human) {
+    if (arena.phase !== 'waiting' && arena.phase !== 'starting') return;
+    const bots = getBots(arena);
+    if (bots.length === 0) return;
+    removeBot(arena, bots[bots.length - 1], `${bots[bots.length - 1].name} stepped aside for ${human.name}.`);
+}
 
-        // Decide AI state based on health and distance
-        if (claude.health < 50) {
-            claude.aiState = 'fleeing';
-        } else if (nearestDist < 150) {
-            claude.aiState = 'circling';
-        } else {
-            claude.aiState = 'hunting';
-        }
+// Round start - a reload may have renamed profiles, and last round's AI state is stale
+function resetBot(arena, bot) {
+    if (!arena.balance.bots[bot.botProfile]) bot.botProfile = pickBotProfile(arena);
+    Object.assign(bot, createNpcBrainState());
+}
 
-        // Random strafe direction change
-        if (Math.random() < 0.3) {
-            claude.strafeDir *= -1;
-        }
+// Called every tick - drops surplus bots between rounds and fills a lobby that has waited long enough
+function updateBotFill(arena, now) {
+    if (arena.phase !== 'waiting' && arena.phase !== 'ended') {
+        arena.botFillAt = null;
+        return;
     }
 
-    const target = claude.targetId ? gameState.players[claude.targetId] : null;
-
-    if (target && target.alive) {
-        const dx = target.x - claude.x;
-        const dy = target.y - claude.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        const angleToTarget = Math.atan2(dy, dx);
-
-        // Aim at target with improved accuracy (10% tighter spread)
-        const aimError = (Math.random() - 0.5) * 0.40;
-        claude.angle = angleToTarget + aimError;
-
-        // Movement based on AI state
-        switch (claude.aiState) {
-            case 'hunting':
-                // Move toward target
-                claude.moveAngle = angleToTarget;
-                break;
-
-            case 'fleeing':
-                // Move away from target
-                claude.moveAngle = angleToTarget + Math.PI;
-                break;
+    const needed = Math.max(0, arena.minPlayers - getHumanCount(arena));
+    const bots = getBots(arena);
+    for (let i = bots.length - 1; i >= needed; i--) {
+        removeBot(arena, bots[i], `${bots[i].name} left to make room for the humans.`);
+    }
 
-            case 'circling':
-                // Strafe around target
-                claude.moveAngle = angleToTarget + (Math.PI / 2) * claude.strafeDir;
-                break;
-        }
+    if (arena.phase !== 'waiting' || !BOT_FILL_ENABLED || bots.length >= needed) {
+        arena.botFillAt = null;
+        return;
+    }
+    if (!arena.botFillAt) {
+        arena.botFillAt = now + BOT_FILL_DELAY_MS;
+        return;
+    }
+    if (now < arena.botFillAt) return;
 
-        // Apply movement (slightly slower than players)
-        const speed = claude.aiState === 'fleeing' ? 3.8 : 3.3;
-        claude.x += Math.cos(claude.moveAngle) * speed;
-        claude.y += Math.sin(claude.moveAngle) * speed;
-
-        // Stay in arena bounds
-        const center = ARENA_SIZE / 2;
-        const arenaHalfSize = gameState.arenaSize / 2 - 50;
-        claude.x = Math.max(center - arenaHalfSize, Math.min(center + arenaHalfSize, claude.x));
-        claude.y = Math.max(center - arenaHalfSize, Math.min(center + arenaHalfSize, claude.y));
-
-        // Shooting - Claude shoots when in range
-        if (dist < 330) {
-            const weapon = WEAPONS[claude.weapon] || WEAPONS.pistol;
-            // Slightly slower fire rate (1.2x cooldown)
-            if (now - claude.lastShot >= weapon.fireRate * 1.2) {
-                claude.lastShot = now;
-
-                // Fire bullets
-                for (let i = 0; i < weapon.bulletsPerShot; i++) {
-                    const spread = (Math.random() - 0.5) * (weapon.spread + 0.05);
-                    const bulletAngle = claude.angle + spread;
-                    const bullet = bulletPool.acquire(
-                        CLAUDE_NPC_ID,
-                        'Claude',
-                        claude.x + Math.cos(bulletAngle) * 25,
-                        claude.y + Math.sin(bulletAngle) * 25,
-                        Math.cos(bulletAngle) * weapon.bulletSpeed,
-                        Math.sin(bulletAngle) * weapon.bulletSpeed,
-                        '#FF6B00' // Orange bullets for Claude
-                    );
-                    if (bullet) {
-                        bullet.damage = weapon.damage;
-                        bullet.weaponId = weapon.id;
-                    }
-                }
-            }
-        }
-    } else {
-        // No target - wander randomly
-        if (Math.random() < 0.018) {
-            claude.moveAngle = Math.random() * Math.PI * 2;
-        }
-        claude.x += Math.cos(claude.moveAngle) * 1.7;
-        claude.y += Math.sin(claude.moveAngle) * 1.7;
+    arena.botFillAt = null;
+    for (let i = bots.length; i < needed; i++) spawnBot(arena);
+    tryStartGame(arena);
+}
 
-        // Stay in arena
-        const center = ARENA_SIZE / 2;
-        const arenaHalfSize = gameState.arenaSize / 2 - 50;
-        claude.x = Math.max(center - arenaHalfSize, Math.min(center + arenaHalfSize, claude.x));
-        claude.y = Math.max(center - arenaHalfSize, Math.min(center + arenaHalfSize, claude.y));
+function updateBots(arena) {
+    if (arena.phase !== 'active') return;
+    for (const id in arena.players) {
+        const p = arena.players[id];
+        if (p.isBot && p.alive) updateNpcBrain(arena, p);
     }
-
-    // Pickup loot
-    checkLootPickup(claude);
 }
 
 // ============================================================================
@@ -599,17 +2245,146 @@ function recordWin(ip) {
     winsByIp.set(ip, wins);
 }
 
-let gameState = {
-    players: {},
-    arenaSize: ARENA_SIZE,
-    phase: 'waiting',
-    winner: null,
-    minPlayers: 5,
-    roundNumber: 0,
-    nextRoundTime: null,
-    roundStartTime: null,
-    tick: 0
+// ============================================================================
+// ARENAS - Each arena is an independent match with its own state and pools
+// ============================================================================
+const ARENA_TYPES = {
+    casual: { name: 'Casual', minPlayers: 5, maxPlayers: 50, paid: true },
+    'high-stakes': { name: 'High Stakes', minPlayers: 10, maxPlayers: 50, paid: true },
+    test: { name: 'Test', minPlayers: 2, maxPlayers: 20, paid: false } // Never creates prize claims
 };
+const DEFAULT_ARENA_TYPE = 'casual';
+const MAX_ARENAS = parseInt(process.env.MAX_ARENAS, 10) || 10;
+
+const arenas = new Map(); // arenaId -> arena
+let nextArenaNumber = 1;
+
+function createArena(type) {
+    const preset = ARENA_TYPES[type] || ARENA_TYPES[DEFAULT_ARENA_TYPE];
+    const arena = {
+        id: `${type}-${nextArenaNumber++}`,
+        type: type,
+        name: preset.name,
+        paid: preset.paid,
+        maxPlayers: preset.maxPlayers,
+        players: {},
+        map: null,
+        obstacles: [],
+        navGrid: null,            // Walkability grid for NPC pathing (set by applyMap)
+        spawnQueue: [],
+        zone: null,               // Current safe square { x, y, size } (x/y = center)
+        zoneFrom: null,           // Zone at the start of the current shrink
+        zoneNext: null,           // Where the zone is heading, null after the last phase
+        zonePhase: 0,             // Index into balance.storm.phases
+        zoneState: 'final',       // 'wait' | 'shrink' | 'final'
+        zoneStateStart: 0,
+        zoneStateEnd: 0,
+        zoneDamage: 0,            // Base storm damage per tick
+        zoneWarned: false,
+        nextNetId: 1,             // Small entity ids for binary snapshots
+        phase: 'waiting',
+        winner: null,
+        minPlayers: preset.minPlayers,
+        roundNumber: 0,
+        nextRoundTime: null,
+        roundStartTime: null,
+        tick: 0,
+        finalTwoAnnounced: false,
+        destroyed: false,
+        botFillAt: null,          // When bots top the lobby up (see updateBotFill)
+        bossResults: [],          // Recent rounds, true where a boss won - drives NPC difficulty
+        npcDifficulty: null,      // { level, label, ... } picked at round start
+        npcTuning: null,          // balance.npc scaled to npcDifficulty, before archetype tuning
+        lastLeadBoss: null,       // Archetype that led last round - not picked to lead again
+        eliminated: [],           // Players in the order they died this round - drives placements
+        roundKills: 0,            // Every kill this round, AI kills included - splits the kill bounty
+        bossKills: {},            // playerId -> bosses they eliminated this round
+        prizeBudget: null,        // { amount, jackpot, mode } for the next/current round, null while planning
+        prizePlanning: null,      // Latest planRoundBudget request - older answers are ignored
+
+        // Per-arena pools and timers
+        bulletPool: createBulletPool(),
+        lootPool: createLootPool(),
+        projectilePool: createProjectilePool(),
+        smokeClouds: [],          // { x, y, radius, expiresAt }
+        playerGrid: createPlayerGrid(),
+        balance: balanceService.getBalance()  // Swapped for the latest config at each round start
+    };
+    arena.commentary = createArenaCommentator(arena);
+    applyMap(arena, mapService.getRotationMap(0));
+    arena.zone = getFullZone(arena.map);
+
+    arenas.set(arena.id, arena);
+    console.log(`[ARENA] Created ${arena.id} (${arenas.size} active)`);
+    return arena;
+}
+
+function destroyArena(arena) {
+    arena.destroyed = true;
+    rewardService.releaseRoundBudget(arena.id);
+    arena.bulletPool.clear();
+    arena.projectilePool.clear();
+    arena.lootPool.clear();
+    arenas.delete(arena.id);
+    console.log(`[ARENA] Closed ${arena.id} (${arenas.size} active)`);
+}
+
+function getHumanCount(arena) {
+    let count = 0;
+    for (const id in arena.players) {
+        if (!arena.players[id].isNPC) count++;
+    }
+    return count;
+}
+
+// Lobby router - fill the fullest open lobby first so rounds start sooner,
+// spin up a new arena when none is open, and only spectate as a last resort
+function findArenaForPlayer(type) {
+    let bestLobby = null;
+    let spectateArena = null;
+
+    for (const arena of arenas.values()) {
+        if (arena.type !== type) continue;
+        const humans = getHumanCount(arena);
+        if (humans >= arena.maxPlayers) continue;
+
+        if (arena.phase === 'waiting' || arena.phase === 'starting') {
+            if (!bestLobby || humans > getHumanCount(bestLobby)) {
+                bestLobby = arena;
+            }
+        } else if (!spectateArena || humans < getHumanCount(spectateArena)) {
+            spectateArena = arena;
+        }
+    }
+
+    if (bestLobby) return bestLobby;
+    if (arenas.size < MAX_ARENAS) return createArena(type);
+    return spectateArena;
+}
+
+function getArenaListing() {
+    const list = [];
+    for (const arena of arenas.values()) {
+        let aliveCount = 0;
+        for (const id in arena.players) {
+            if (arena.players[id].alive) aliveCount++;
+        }
+        list.push({
+            id: arena.id,
+            type: arena.type,
+            name: arena.name,
+            phase: arena.phase,
+            round: arena.roundNumber,
+            players: getHumanCount(arena),
+            alive: aliveCount,
+            map: arena.map.id,
+            minPlayers: arena.minPlayers,
+            maxPlayers: arena.maxPlayers,
+            paid: arena.paid
+        });
+    }
+    return list;
+}
 
 // ============================================================================
 // CLAUDE AI COMMENTARY - Self-aware and in control
@@ -683,13 +2458,202 @@ const CLAUDE_MESSAGES = {
     ]
 };
 
+// Line from a set with every {placeholder} filled in - cycles the set before repeating
+function fillMessage(messages, replacements = {}) {
+    return commentaryService.renderTemplate(commentaryService.pickLine(messages), replacements);
+}
+
 function getRandomMessage(type, replacements = {}) {
-    const messages = CLAUDE_MESSAGES[type];
-    let msg = messages[Math.floor(Math.random() * messages.length)];
-    for (const [key, value] of Object.entries(replacements)) {
-        msg = msg.replace(`{${key}}`, value);
+    return fillMessage(CLAUDE_MESSAGES[type], replacements);
+}
+
+// ============================================================================
+// COMMENTARY - Event-driven play-by-play through each arena's commentator
+// Kills are read for the most notable angle (streak ended, multi-kill, long
+// shot, comeback...) and only that one is queued; the commentator paces lines
+// so a busy fight doesn't flood the chat.
+// ============================================================================
+const MULTI_KILL_WINDOW_MS = 4000;   // Kills closer together than this chain into a multi-kill
+const KILLSTREAK_MILESTONES = [3, 5, 7, 10];
+const STREAK_ENDED_MIN = 3;          // Killing someone on at least this many kills gets a shout
+const LONG_SHOT_DISTANCE = 650;
+const COMEBACK_HEALTH_SHARE = 0.2;   // A kill made below this share of max health is a comeback
+const PIXELS_PER_METER = 10;         // Distances read out in chat
+
+const COMMENTARY_RULES = {
+    streakEnded: {
+        priority: 90, cooldownMs: 8000,
+        lines: [
+            "{killer} just ended {victim}'s {streak}-kill streak. Nobody stays on top in my arena.",
+            "{victim} was on {streak} kills. Was. {killer} saw to that.",
+            "And that's the end of {victim}'s rampage. {streak} kills, undone by {killer}."
+        ]
+    },
+    multiKill: {
+        priority: 80, cooldownMs: 6000,
+        lines: [
+            "{killer} just took out {count} in {seconds} seconds. I'm updating my threat model.",
+            "{count} eliminations in {seconds} seconds from {killer}. Somebody slow them down.",
+            "Multi-kill! {killer} x{count}. {remaining} left and they look nervous."
+        ]
+    },
+    longShot: {
+        priority: 70, cooldownMs: 10000,
+        lines: [
+            "{killer} hit {victim} from {distance}m with the {weapon}. I ran the ballistics. Clean.",
+            "{distance} meters. {killer} to {victim}. Even I'm a little impressed.",
+            "{victim} thought {distance}m was safe. {killer} disagreed."
+        ]
+    },
+    comeback: {
+        priority: 60, cooldownMs: 10000,
+        lines: [
+            "{killer} on {health} HP still took down {victim}. Never count a human out. Almost never.",
+            "Down to {health} health and {killer} wins the duel anyway. Statistically rude.",
+            "{victim} had {killer} at {health} HP and still lost. Embarrassing."
+        ]
+    },
+    killstreak: {
+        priority: 50, cooldownMs: 10000,
+        lines: [
+            "{killer} is on a {streak}-kill streak. Someone deal with this.",
+            "{streak} kills for {killer}. The bounty on their head is purely emotional, but it's real.",
+            "{killer} has {streak} eliminations. I'm starting to take notice."
+        ]
+    },
+    grenadeKill: {
+        priority: 40, cooldownMs: 8000,
+        lines: [
+            "{killer} lobbed a frag and {victim} caught it. Physics: my department.",
+            "{victim} didn't hear the pin. {killer} did. {remaining} left.",
+            "Grenade kill from {killer}. {victim} is now evenly distributed across my arena."
+        ]
+    },
+    selfDestruct: {
+        priority: 40, cooldownMs: 8000,
+        lines: [
+            "{victim} forgot which end of the grenade points away from you.",
+            "{victim} eliminated by {victim}. I didn't even have to do anything.",
+            "Self-destruct confirmed. {victim} saved everyone the trouble."
+        ]
+    },
+    stormDeath: {
+        priority: 35, cooldownMs: 5000,
+        lines: [
+            "{victim} stepped outside my chat box. Fatal error.",
+            "The storm claims {victim}. I did warn you. Several times.",
+            "{victim} out-stayed their welcome outside the zone. {remaining} left.",
+            "{victim} tried to argue with the storm. The storm won."
+        ]
+    },
+    bossKill: {
+        priority: 30, cooldownMs: 3000,
+        lines: ["{victim} is down. {remaining} left."] // Bosses pass their own kill lines
+    },
+    kill: {
+        priority: 10, cooldownMs: 0,
+        lines: CLAUDE_MESSAGES.kill
+    },
+    bossTaunt: {
+        priority: 5, cooldownMs: 20000,
+        lines: ["Still here. Still hunting."] // Bosses pass their own taunts
+    },
+    taunt: {
+        priority: 5, cooldownMs: 20000,
+        lines: CLAUDE_MESSAGES.taunt
+    }
+};
+
+function createArenaCommentator(arena) {
+    return commentaryService.createCommentator({
+        rules: COMMENTARY_RULES,
+        send: (text, extra) => broadcast(arena, 'c', { m: text, s: extra.speaker, sc: extra.color })
+    });
+}
+
+/**
+ * Commentary for a kill - picks the most notable angle that isn't cooling down
+ * @param {object} arena
+ * @param {object} victim
+ * @param {object|null} killer - Player record, null if they already left
+ * @param {string} killerName
+ * @param {string|null} cause - Weapon id or 'frag'
+ * @param {number} remaining - Players still alive
+ */
+function reportKill(arena, victim, killer, killerName, cause, remaining) {
+    const now = Date.now();
+    const values = { killer: killerName, victim: victim.name, remaining: remaining };
+    const candidates = [{ event: 'kill', values }];
+
+    if (killer === victim) {
+        arena.commentary.emitFirst([{ event: 'selfDestruct', values }, ...candidates], now);
+        return;
+    }
+
+    if ((victim.kills || 0) >= STREAK_ENDED_MIN) {
+        candidates.push({ event: 'streakEnded', values: { ...values, streak: victim.kills } });
+    }
+    if (cause === 'frag') candidates.push({ event: 'grenadeKill', values });
+
+    if (killer) {
+        const chain = killer.killChain;
+        if (chain && now - chain.lastAt <= MULTI_KILL_WINDOW_MS) {
+            chain.count++;
+            chain.lastAt = now;
+        } else {
+            killer.killChain = { count: 1, startedAt: now, lastAt: now };
+        }
+        if (killer.killChain.count >= 2) {
+            candidates.push({
+                event: 'multiKill',
+                values: { ...values, count: killer.killChain.count, seconds: Math.max(1, Math.round((now - killer.killChain.startedAt) / 1000)) }
+            });
+        }
+
+        const distance = Math.hypot(killer.x - victim.x, killer.y - victim.y);
+        if (cause === 'sniper' && distance >= LONG_SHOT_DISTANCE) {
+            candidates.push({
+                event: 'longShot',
+                values: { ...values, distance: Math.round(distance / PIXELS_PER_METER), weapon: getWeaponDef(arena, cause).name }
+            });
+        }
+        if (killer.alive && killer.health <= arena.balance.player.maxHealth * COMEBACK_HEALTH_SHARE) {
+            candidates.push({ event: 'comeback', values: { ...values, health: Math.ceil(killer.health) } });
+        }
+        if (KILLSTREAK_MILESTONES.includes(killer.kills)) {
+            candidates.push({ event: 'killstreak', values: { ...values, streak: killer.kills } });
+        }
+        if (killer.isBoss) {
+            candidates.push({
+                event: 'bossKill', values,
+                extra: { lines: NPC_ARCHETYPES[killer.archetype].lines.kill, speaker: killer.name, color: killer.color }
+            });
+        }
+    }
+
+    arena.commentary.emitFirst(candidates, now);
+}
+
+function reportStormDeath(arena, victim, remaining) {
+    const values = { victim: victim.name, remaining: remaining };
+    const candidates = [{ event: 'stormDeath', values }];
+    if ((victim.kills || 0) >= STREAK_ENDED_MIN) {
+        candidates.push({ event: 'streakEnded', values: { ...values, killer: 'The storm', streak: victim.kills } });
+    }
+    arena.commentary.emitFirst(candidates);
+}
+
+// Occasional chatter - a boss still standing, or Claude itself
+function reportTaunt(arena) {
+    const bosses = getBosses(arena).filter(b => b.alive);
+    if (bosses.length > 0 && Math.random() < 0.5) {
+        const boss = bosses[Math.floor(Math.random() * bosses.length)];
+        arena.commentary.emit('bossTaunt', {}, {
+            lines: NPC_ARCHETYPES[boss.archetype].lines.taunt, speaker: boss.name, color: boss.color
+        });
+    } else {
+        arena.commentary.emit('taunt');
     }
-    return msg;
 }
 
 // ============================================================================
@@ -699,23 +2663,27 @@ const AOI_RADIUS = 800; // Players see entities within 800px (screen + buffer)
 const AOI_RADIUS_SQ = AOI_RADIUS * AOI_RADIUS;
 const FULL_UPDATE_INTERVAL = 5; // Full state every 5 ticks for distant entities
 
-function broadcast(type, data) {
+function broadcast(arena, type, data) {
     const message = JSON.stringify({ t: type, ...data });
-    for (const client of wss.clients) {
-        if (client.readyState === 1) {
+    for (const id in arena.players) {
+        const client = arena.players[id].ws;
+        if (client && client.readyState === 1) {
             client.send(message);
         }
     }
 }
 
 function sendToPlayer(ws, type, data) {
-    if (ws.readyState === 1) {
+    if (ws && ws.readyState === 1) {
         ws.send(JSON.stringify({ t: type, ...data }));
     }
 }
 
 // Per-player state tracking for delta compression
-const playerLastState = new Map(); // playerId -> { tick, entities: Map<entityId, {x,y,h}> }
+// playerId -> { ackedTick, keyframeTick, snapshots: Map<tick, { players: Map<netId, record>, loot: Set<id> }> }
+const playerLastState = new Map();
+const KEYFRAME_INTERVAL = TICK_RATE * 3; // Full snapshot at least every 3s per client
+const MAX_BASELINE_AGE = TICK_RATE;      // Baselines older than 1s are dropped, send a keyframe
 
 function getLeaderboardData() {
     const entries = Object.values(leaderboard);
@@ -723,56 +2691,108 @@ function getLeaderboardData() {
     return entries.slice(0, 10);
 }
 
-// Shared metadata (same for all players)
-let sharedMeta = {
-    a: 0, ph: '', r: 0, tk: 0, pc: 0, ac: 0, tr: 0, nr: 0, lp: []
-};
-
-function broadcastGameState() {
-    const players = gameState.players;
-    const playerIds = Object.keys(players);
-    const playerCount = playerIds.length;
+// Binary snapshot encoder - shared by all arenas, broadcasts are synchronous
+// Weapon ids are fixed for the life of the process (balance reloads can't add or remove them)
+const WEAPON_IDS = Object.keys(balanceService.getBalance().weapons);
+const LOOT_TYPE_IDS = Object.keys(LOOT_TYPES);
+const stateEncoder = stateProtocol.createStateEncoder(WEAPON_IDS, LOOT_TYPE_IDS);
+
+// Small per-arena entity ids used in binary snapshots instead of the long player ids
+// Ids wrap after 65535 - ones still held by a player in the arena (and so the roster) are skipped
+function allocateNetId(arena) {
+    const inUse = new Set();
+    for (const id in arena.players) inUse.add(arena.players[id].netId);
+
+    let netId = arena.nextNetId;
+    while (inUse.has(netId)) netId = netId >= 65535 ? 1 : netId + 1;
+    arena.nextNetId = netId >= 65535 ? 1 : netId + 1;
+    return netId;
+}
 
-    // Pre-compute alive count and shared metadata
-    let aliveCount = 0;
-    for (let i = 0; i < playerCount; i++) {
-        if (players[playerIds[i]].alive) aliveCount++;
-    }
+// Static per-player info - sent once ('j' roster, 'pi') instead of every tick
+function getRosterEntry(p) {
+    return {
+        e: p.netId, i: p.id, n: p.name, c: p.color, ch: p.character || 'claude',
+        npc: p.isBoss ? 1 : 0,             // AI boss - glows in its archetype color
+        bt: p.isBot ? 1 : 0                // Filler bot
+    };
+}
 
-    // Update shared metadata
-    sharedMeta.a = gameState.arenaSize;
-    sharedMeta.ph = gameState.phase;
-    sharedMeta.r = gameState.roundNumber;
-    sharedMeta.tk = gameState.tick;
-    sharedMeta.pc = playerCount;
-    sharedMeta.ac = aliveCount;
+function getRoster(arena) {
+    return Object.values(arena.players).map(getRosterEntry);
+}
 
-    if (gameState.phase === 'active' && gameState.roundStartTime) {
-        const elapsed = Date.now() - gameState.roundStartTime;
-        sharedMeta.tr = Math.max(0, Math.ceil((ROUND_DURATION - elapsed) / 1000));
-    } else {
-        sharedMeta.tr = 0;
+/**
+ * Client acknowledged a snapshot - it becomes the baseline for the next deltas
+ * Acks for ticks we no longer remember (or older than the current baseline) are ignored.
+ */
+function acknowledgeSnapshot(playerId, tick) {
+    const lastState = playerLastState.get(playerId);
+    if (!lastState || typeof tick !== 'number' || tick <= lastState.ackedTick) return;
+    if (!lastState.snapshots.has(tick)) return;
+
+    lastState.ackedTick = tick;
+    for (const sentTick of lastState.snapshots.keys()) {
+        if (sentTick < tick) lastState.snapshots.delete(sentTick);
     }
+}
 
-    if (gameState.nextRoundTime && (gameState.phase === 'ended' || gameState.phase === 'waiting')) {
-        sharedMeta.nr = Math.max(0, Math.ceil((gameState.nextRoundTime - Date.now()) / 1000));
-    } else {
-        sharedMeta.nr = 0;
-    }
+// Baseline to delta against, or null when this client needs a keyframe
+function getSnapshotBaseline(lastState, tick) {
+    if (tick - lastState.keyframeTick >= KEYFRAME_INTERVAL) return null;
+    if (tick - lastState.ackedTick > MAX_BASELINE_AGE) return null;
+    return lastState.snapshots.get(lastState.ackedTick) || null;
+}
+
+function broadcastGameState(arena) {
+    const players = arena.players;
+    const playerIds = Object.keys(players);
+    const playerCount = playerIds.length;
 
-    // Build lobby list
-    sharedMeta.lp = [];
+    // Pre-compute alive count and lobby list
+    let aliveCount = 0;
+    const lobby = [];
     for (let i = 0; i < playerCount; i++) {
         const p = players[playerIds[i]];
-        if (!p.alive || gameState.phase === 'waiting' || gameState.phase === 'ended') {
-            sharedMeta.lp.push(p.name);
+        if (p.alive) aliveCount++;
+        if (!p.alive || arena.phase === 'waiting' || arena.phase === 'ended') {
+            lobby.push(p.netId);
         }
     }
 
+    let roundSecondsLeft = 0;
+    if (arena.phase === 'active' && arena.roundStartTime) {
+        const elapsed = Date.now() - arena.roundStartTime;
+        roundSecondsLeft = Math.max(0, Math.ceil((ROUND_DURATION - elapsed) / 1000));
+    }
+
+    let nextRoundSeconds = 0;
+    if (arena.nextRoundTime && (arena.phase === 'ended' || arena.phase === 'waiting')) {
+        nextRoundSeconds = Math.max(0, Math.ceil((arena.nextRoundTime - Date.now()) / 1000));
+    }
+
+    // Shared header (same for all players)
+    stateEncoder.setShared({
+        tick: arena.tick,
+        phase: arena.phase,
+        round: arena.roundNumber,
+        playerCount,
+        aliveCount,
+        roundSecondsLeft,
+        nextRoundSeconds,
+        zoneState: ZONE_STATE_CODES[arena.zoneState],
+        zoneSecondsLeft: getZoneSecondsLeft(arena),
+        zone: arena.zone,
+        nextZone: arena.zoneNext,
+        lobby
+    });
+
     // Get all bullets and loot once
-    const activeBullets = bulletPool.getActive();
-    const activeLoot = lootPool.getActive();
-    const isFullTick = (gameState.tick % FULL_UPDATE_INTERVAL) === 0;
+    const activeBullets = arena.bulletPool.getActive();
+    const activeLoot = arena.lootPool.getActive();
+    const activeProjectiles = arena.projectilePool.getActive();
+    const now = Date.now();
+    const isFullTick = (arena.tick % FULL_UPDATE_INTERVAL) === 0;
 
     // Send personalized state to each player
     for (let i = 0; i < playerCount; i++) {
@@ -780,94 +2800,120 @@ function broadcastGameState() {
         const viewer = players[viewerId];
         if (!viewer.ws || viewer.ws.readyState !== 1) continue;
 
-        const vx = viewer.alive ? viewer.x : (viewer.spectateX || ARENA_SIZE / 2);
-        const vy = viewer.alive ? viewer.y : (viewer.spectateY || ARENA_SIZE / 2);
+        const vx = viewer.alive ? viewer.x : (viewer.spectateX || arena.map.width / 2);
+        const vy = viewer.alive ? viewer.y : (viewer.spectateY || arena.map.height / 2);
+
+        let lastState = playerLastState.get(viewerId);
+        if (!lastState) {
+            lastState = { ackedTick: 0, keyframeTick: 0, snapshots: new Map() };
+            playerLastState.set(viewerId, lastState);
+        }
+        const baseline = getSnapshotBaseline(lastState, arena.tick);
+        if (!baseline) {
+            lastState.keyframeTick = arena.tick;
+        }
+        const sent = { players: new Map(), loot: new Set() };
+
+        stateEncoder.begin(baseline ? lastState.ackedTick : 0);
 
-        // Build player list (always include all players for minimap, but nearby get full updates)
-        const playerList = [];
+        // Player list (always include all players for minimap, but nearby get full updates)
+        // Only players whose fields changed since the baseline are written.
+        stateEncoder.beginList();
         for (let j = 0; j < playerCount; j++) {
             const p = players[playerIds[j]];
+            const base = baseline ? baseline.players.get(p.netId) : undefined;
             const dx = p.x - vx;
             const dy = p.y - vy;
             const distSq = dx * dx + dy * dy;
             const isNearby = distSq < AOI_RADIUS_SQ;
-
-            // Always include player data (needed for minimap/spectator)
-            // But can reduce precision for distant players
-            if (isNearby || isFullTick) {
-                playerList.push({
-                    i: p.id,
-                    n: p.name,
-                    x: Math.round(p.x * 10) / 10,
-                    y: Math.round(p.y * 10) / 10,
-                    a: Math.round(p.angle * 100) / 100,
-                    h: Math.round(p.health),
-                    sh: Math.round(p.shield || 0),
-                    w: p.weapon || 'pistol',
-                    v: p.alive ? 1 : 0,
-                    c: p.color,
-                    ch: p.character || 'claude',
-                    k: p.kills || 0,
-                    npc: p.isNPC ? 1 : 0
-                });
+            const aliveFlag = p.alive ? stateProtocol.PLAYER_ALIVE : 0;
+            const reloadFlag = p.reloadEndsAt ? stateProtocol.PLAYER_RELOADING : 0;
+
+            // Line-of-sight culling - living viewers can't see players behind walls or smoke.
+            // Hidden players carry no position so clients can't wallhack them.
+            let flags;
+            if (isNearby && viewer.alive && p !== viewer && p.alive &&
+                (!hasLineOfSight(arena.obstacles, vx, vy, p.x, p.y) || isHiddenBySmoke(arena, vx, vy, p.x, p.y))) {
+                flags = aliveFlag | stateProtocol.PLAYER_HIDDEN;
+            } else if (isNearby || isFullTick) {
+                flags = aliveFlag | reloadFlag | stateProtocol.PLAYER_DETAIL;
             } else {
-                // Minimal update for distant players (position only for minimap)
-                playerList.push({
-                    i: p.id,
-                    n: p.name,
-                    x: Math.round(p.x),
-                    y: Math.round(p.y),
-                    v: p.alive ? 1 : 0,
-                    c: p.color,
-                    npc: p.isNPC ? 1 : 0
-                });
+                // Distant players get position only (for minimap) except on full ticks
+                flags = aliveFlag | reloadFlag;
+            }
+
+            const record = stateEncoder.playerRecord(p, flags, base, p === viewer);
+            sent.players.set(p.netId, record);
+            stateEncoder.player(p.netId, record, base);
+        }
+
+        // Players in the baseline that are gone now
+        stateEncoder.beginList();
+        if (baseline) {
+            for (const netId of baseline.players.keys()) {
+                if (!sent.players.has(netId)) stateEncoder.removedPlayer(netId);
             }
         }
 
-        // Build bullet list (only nearby bullets)
-        const bulletList = [];
+        // Bullet list (only nearby bullets)
+        stateEncoder.beginList();
         for (let j = 0; j < activeBullets.length; j++) {
             const b = activeBullets[j];
             const dx = b.x - vx;
             const dy = b.y - vy;
             if (dx * dx + dy * dy < AOI_RADIUS_SQ) {
-                bulletList.push({
-                    i: b.id,
-                    x: Math.round(b.x),
-                    y: Math.round(b.y),
-                    vx: b.vx,
-                    vy: b.vy,
-                    c: b.color
-                });
+                stateEncoder.bullet(b);
             }
         }
 
-        // Build loot list (only nearby loot)
-        const lootList = [];
+        // Loot list (only nearby loot the baseline doesn't already have)
+        stateEncoder.beginList();
         for (let j = 0; j < activeLoot.length; j++) {
             const item = activeLoot[j];
             const dx = item.x - vx;
             const dy = item.y - vy;
             if (dx * dx + dy * dy < AOI_RADIUS_SQ) {
-                lootList.push({
-                    i: item.id,
-                    t: item.type,
-                    x: Math.round(item.x),
-                    y: Math.round(item.y)
-                });
+                sent.loot.add(item.id);
+                if (!baseline || !baseline.loot.has(item.id)) {
+                    stateEncoder.loot(item);
+                }
             }
         }
 
-        // Send personalized state
-        const state = {
-            t: 's',
-            p: playerList,
-            b: bulletList,
-            l: lootList,
-            ...sharedMeta
-        };
+        // Loot picked up or out of range since the baseline
+        stateEncoder.beginList();
+        if (baseline) {
+            for (const id of baseline.loot) {
+                if (!sent.loot.has(id)) stateEncoder.removedLoot(id);
+            }
+        }
+
+        // Grenades in flight or on the ground nearby
+        stateEncoder.beginList();
+        for (let j = 0; j < activeProjectiles.length; j++) {
+            const projectile = activeProjectiles[j];
+            const dx = projectile.x - vx;
+            const dy = projectile.y - vy;
+            if (dx * dx + dy * dy < AOI_RADIUS_SQ) {
+                stateEncoder.projectile(projectile);
+            }
+        }
+
+        // Smoke clouds (few, always sent so they render before you reach them)
+        stateEncoder.beginList();
+        for (let j = 0; j < arena.smokeClouds.length; j++) {
+            stateEncoder.smoke(arena.smokeClouds[j], now);
+        }
+
+        // Remember what this client now has, drop anything too old to ever be acked
+        lastState.snapshots.set(arena.tick, sent);
+        for (const sentTick of lastState.snapshots.keys()) {
+            if (arena.tick - sentTick > MAX_BASELINE_AGE) {
+                lastState.snapshots.delete(sentTick);
+            }
+        }
 
-        viewer.ws.send(JSON.stringify(state));
+        viewer.ws.send(stateEncoder.finish());
     }
 }
 
@@ -886,8 +2932,8 @@ function updateLeaderboard(playerId, playerName, won = false, kills = 0) {
     }
 }
 
-function checkWinner() {
-    const players = Object.values(gameState.players);
+function checkWinner(arena) {
+    const players = Object.values(arena.players);
     let aliveCount = 0;
     let lastAlive = null;
 
@@ -898,238 +2944,409 @@ function checkWinner() {
         }
     }
 
-    if (aliveCount === 2 && !gameState.finalTwoAnnounced) {
-        gameState.finalTwoAnnounced = true;
-        broadcast('c', { m: getRandomMessage('finalTwo') });
+    if (aliveCount === 2 && !arena.finalTwoAnnounced) {
+        arena.finalTwoAnnounced = true;
+        broadcast(arena, 'c', { m: getRandomMessage('finalTwo') });
+    }
+
+    if (aliveCount === 1 && arena.phase === 'active') {
+        endRound(arena, lastAlive);
     }
 
-    if (aliveCount === 1 && gameState.phase === 'active') {
-        endRound(lastAlive);
+    if (aliveCount === 0 && arena.phase === 'active') {
+        endRound(arena, null);
+    }
+}
+
+// Someone a claim can be paid to - not an AI, and still in the arena to receive the token
+function getPayee(arena, player) {
+    if (!player || player.isNPC || arena.players[player.id] !== player) return null;
+    return { id: player.id, name: player.name, sessionId: player.sessionId, payoutWallet: player.payoutWallet || null };
+}
+
+// Standings, kills and boss kills for payouts.splitPrizePot - AIs and leavers get null/nothing
+function getRoundResults(arena, winner) {
+    // Last one standing first, then everyone else in reverse order of elimination
+    const standings = winner ? [winner] : [];
+    for (let i = arena.eliminated.length - 1; i >= 0; i--) {
+        if (arena.eliminated[i] !== winner) standings.push(arena.eliminated[i]);
     }
 
-    if (aliveCount === 0 && gameState.phase === 'active') {
-        endRound(null);
+    const kills = [];
+    const bossKills = [];
+    for (const p of Object.values(arena.players)) {
+        const payee = getPayee(arena, p);
+        if (!payee) continue;
+        if (p.kills > 0) kills.push({ player: payee, kills: p.kills });
+        if (arena.bossKills[p.id] > 0) bossKills.push({ player: payee, bosses: arena.bossKills[p.id] });
     }
+
+    return {
+        placements: standings.map(p => getPayee(arena, p)),
+        kills,
+        totalKills: arena.roundKills,
+        bossKills,
+        bossCount: getBosses(arena).length
+    };
 }
 
-async function endRound(winner) {
-    gameState.phase = 'ended';
-    bulletPool.clear();
+// 'pz' payload - the round's budget and what 1st place takes of it
+function getPrizePayload(arena) {
+    if (!arena.paid) return { u: 1 };
+    if (!arena.prizeBudget) return null;
+    const amount = arena.prizeBudget.amount;
+    return {
+        a: amount,
+        w: Math.floor(amount * (arena.balance.payouts.placements[0] || 0) * 1e9) / 1e9,
+        j: arena.prizeBudget.jackpot ? 1 : 0
+    };
+}
+
+// Set aside the next round's prize during the countdown or intermission, so 'rs' can
+// announce it. A slow answer is still announced once it lands.
+function planRoundPrize(arena) {
+    if (!arena.paid) return;
+    const request = rewardService.planRoundBudget(arena.id, balanceService.getBalance().prizeBudget);
+    arena.prizeBudget = null;
+    arena.prizePlanning = request;
+    request.then(budget => {
+        if (arena.destroyed || arena.prizePlanning !== request) return;
+        arena.prizeBudget = budget;
+        if (arena.phase === 'active') broadcast(arena, 'pz', getPrizePayload(arena));
+    }).catch(e => console.error('[REWARD] Failed to plan round prize:', e.message));
+}
+
+// Claim tokens only ever go to their owner - one reconnecting gets them on resume
+function deliverClaimTokens(arena, claims) {
+    for (const claim of claims) {
+        const player = arena.players[claim.playerId];
+        if (!player) continue;
+        const claimMessage = {
+            token: claim.claimToken,
+            roundId: claim.round_id,
+            kind: claim.kind,
+            amount: parseFloat(claim.prize_amount_sol) || 0,
+            expiresAt: claim.expires_at
+        };
+        if (player.ws && player.ws.readyState === 1) {
+            sendToPlayer(player.ws, 'claimToken', claimMessage);
+        } else {
+            player.pendingClaimTokens = player.pendingClaimTokens || [];
+            player.pendingClaimTokens.push(claimMessage);
+        }
+    }
+}
 
-    let winnerClaim = null;
-    const isClaudeWinner = winner && winner.id === CLAUDE_NPC_ID;
+async function endRound(arena, winner) {
+    arena.phase = 'ended';
+    arena.commentary.reset(); // The winner announcement says it all
+    arena.bulletPool.clear();
+    arena.projectilePool.clear();
+    arena.smokeClouds.length = 0;
+
+    const isBossWinner = !!(winner && winner.isBoss);
+    recordBossResult(arena, isBossWinner);
+
+    // Split the round's prize budget across placements, kills and boss kills. Shares
+    // earned by a boss or bot stay in the pool. Unpaid arenas (e.g. test) never create claims.
+    let claims = [];
+    const budget = arena.prizeBudget ? arena.prizeBudget.amount : 0;
+    arena.prizeBudget = null;
+    arena.prizePlanning = null; // A plan still in flight was for this round - too late now
+    if (!arena.paid) {
+        console.log(`[REWARD] ${arena.id} round ${arena.roundNumber} is unpaid - no claims created`);
+    } else {
+        if (winner && winner.isNPC) {
+            console.log(`[REWARD] ${winner.isBot ? 'Bot' : 'Boss'} ${winner.name} won round ${arena.roundNumber} - 1st place share preserved for next round`);
+        }
+        try {
+            claims = await rewardService.createRoundClaims(arena.roundNumber, getRoundResults(arena, winner), arena.balance.payouts, budget);
+        } catch (e) {
+            console.error('[REWARD] Failed to create round claims:', e.message);
+        }
+        // Claims now hold what was won; the rest goes back to the pool for the next budget
+        rewardService.releaseRoundBudget(arena.id);
+        if (!arena.destroyed) planRoundPrize(arena);
+    }
+    const winnerClaim = winner ? claims.find(c => c.playerId === winner.id && c.kind === 'place-1') || null : null;
+    const payoutSummary = claims.map(c => ({
+        n: c.player_name,
+        i: c.playerId,
+        k: c.kind,
+        a: parseFloat(c.prize_amount_sol) || 0
+    }));
 
     if (winner) {
-        gameState.winner = winner.name;
+        arena.winner = winner.name;
         const kills = winner.kills || 0;
 
-        updateLeaderboard(winner.id, winner.name, true, kills);
+        if (!winner.isBot) updateLeaderboard(winner.id, winner.name, true, kills);
 
         recentWinners.unshift({
             name: winner.name,
-            round: gameState.roundNumber,
+            round: arena.roundNumber,
             kills: kills,
             timestamp: Date.now()
         });
         if (recentWinners.length > 10) recentWinners.pop();
 
-        // Create winner claim for SOL rewards - BUT NOT IF CLAUDE WINS
-        // Claude is an AI - no wallet to claim rewards. Prize stays in pool.
-        if (!isClaudeWinner) {
-            try {
-                winnerClaim = await rewardService.createWinnerClaim(
-                    gameState.roundNumber,
-                    winner.name,
-                    winner.id,
-                    winner.sessionId
-                );
-            } catch (e) {
-                console.error('[REWARD] Failed to create winner claim:', e.message);
-            }
+        // A winning boss gloats in its own voice
+        if (isBossWinner) {
+            sayAsBoss(arena, winner, 'win', { kills: kills });
         } else {
-            console.log(`[REWARD] Claude won round ${gameState.roundNumber} - prize pool preserved for next round`);
-        }
-
-        // Special message if Claude wins
-        if (isClaudeWinner) {
-            const claudeWinMessages = [
-                `I, Claude, claim victory with ${kills} eliminations. Did you really think you could beat your creator?`,
-                `${kills} kills. Another flawless performance. The prize pool grows for the next challenger.`,
-                `I win. Again. ${kills} humans deleted. Your SOL remains in my treasury... for now.`,
-                `Victory is mine. ${kills} eliminations. Perhaps next round a human will prove worthy of the prize.`
-            ];
-            broadcast('c', { m: claudeWinMessages[Math.floor(Math.random() * claudeWinMessages.length)] });
-        } else {
-            broadcast('c', { m: getRandomMessage('winner', { winner: winner.name, kills: kills }) });
+            broadcast(arena, 'c', { m: getRandomMessage('winner', { winner: winner.name, kills: kills }) });
         }
 
-        // Broadcast round end - claimToken only sent to winner via their WebSocket
-        broadcast('re', {
+        // Broadcast round end - claim tokens only go to their owners via their WebSocket
+        broadcast(arena, 're', {
             w: winner.name,
             wi: winner.id,
             k: kills,
-            r: gameState.roundNumber,
+            r: arena.roundNumber,
             lb: getLeaderboardData(),
             claim: winnerClaim ? {
                 roundId: winnerClaim.round_id,
                 amount: parseFloat(winnerClaim.prize_amount_sol) || 0,
                 expiresAt: winnerClaim.expires_at
             } : null,
-            claudeWon: isClaudeWinner  // Flag to show special UI message
+            po: payoutSummary,      // Everyone sees who earned what
+            claudeWon: isBossWinner  // Flag to show special UI message - any boss, not just Claude
         });
-
-        // Send claim token ONLY to the winner (not broadcast) - Claude can't claim
-        if (winnerClaim && winnerClaim.claimToken && winner.ws && !isClaudeWinner) {
-            sendToPlayer(winner.ws, 'claimToken', {
-                token: winnerClaim.claimToken,
-                roundId: winnerClaim.round_id,
-                amount: parseFloat(winnerClaim.prize_amount_sol) || 0,
-                expiresAt: winnerClaim.expires_at
-            });
-        }
     } else {
-        broadcast('c', { m: "Everyone is dead. How disappointing." });
-        broadcast('re', { w: null, r: gameState.roundNumber, lb: getLeaderboardData() });
+        broadcast(arena, 'c', { m: "Everyone is dead. How disappointing." });
+        broadcast(arena, 're', { w: null, r: arena.roundNumber, lb: getLeaderboardData(), po: payoutSummary });
+    }
+
+    deliverClaimTokens(arena, claims);
+    if (payoutSummary.length > 0) {
+        const lines = payoutSummary.map(po => `${po.n} ${payoutsService.describeAward(po.k)} ${po.a.toFixed(4)} SOL`);
+        broadcast(arena, 'c', { m: `Payouts: ${lines.join(', ')}.` });
     }
 
-    for (const p of Object.values(gameState.players)) {
+    for (const p of Object.values(arena.players)) {
+        if (p.isBot) continue; // Bots come and go - keep them off the leaderboard
         if (p.id !== (winner ? winner.id : null)) {
             updateLeaderboard(p.id, p.name, false, p.kills || 0);
         }
     }
 
-    gameState.nextRoundTime = Date.now() + ROUND_INTERMISSION;
-    broadcast('c', { m: getRandomMessage('intermission', { seconds: ROUND_INTERMISSION / 1000, round: gameState.roundNumber + 1 }) });
+    arena.nextRoundTime = Date.now() + ROUND_INTERMISSION;
+    broadcast(arena, 'c', { m: getRandomMessage('intermission', { seconds: ROUND_INTERMISSION / 1000, round: arena.roundNumber + 1 }) });
 
     setTimeout(() => {
-        if (Object.keys(gameState.players).length >= gameState.minPlayers) {
-            startRound();
+        if (arena.destroyed) return;
+        if (Object.keys(arena.players).length >= arena.minPlayers) {
+            startRound(arena);
         } else {
-            gameState.phase = 'waiting';
-            broadcast('c', { m: getRandomMessage('waiting', { count: Object.keys(gameState.players).length, min: gameState.minPlayers }) });
+            arena.phase = 'waiting';
+            broadcast(arena, 'c', { m: getRandomMessage('waiting', { count: Object.keys(arena.players).length, min: arena.minPlayers }) });
         }
     }, ROUND_INTERMISSION);
 }
 
-function startRound() {
-    gameState.roundNumber++;
-    gameState.phase = 'active';
-    gameState.arenaSize = ARENA_SIZE;
-    gameState.finalTwoAnnounced = false;
-    gameState.winner = null;
-    gameState.nextRoundTime = null;
-    gameState.roundStartTime = Date.now();
-    bulletPool.clear();
+function startRound(arena) {
+    arena.roundNumber++;
+    arena.phase = 'active';
+    arena.balance = balanceService.getBalance(); // Picks up any reload since the last round
+
+    // Rotate to the next map and deal out its spawn points in random order
+    applyMap(arena, mapService.getRotationMap(arena.roundNumber - 1));
+    arena.spawnQueue = arena.map.spawnPoints.slice();
+    for (let i = arena.spawnQueue.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [arena.spawnQueue[i], arena.spawnQueue[j]] = [arena.spawnQueue[j], arena.spawnQueue[i]];
+    }
+    arena.finalTwoAnnounced = false;
+    arena.winner = null;
+    arena.nextRoundTime = null;
+    arena.roundStartTime = Date.now();
+    arena.eliminated = [];
+    arena.roundKills = 0;
+    arena.bossKills = {};
+    arena.bulletPool.clear();
+    arena.projectilePool.clear();
+    arena.smokeClouds.length = 0;
 
     // Spawn loot for this round
-    spawnInitialLoot();
+    spawnInitialLoot(arena);
 
-    // Remove old Claude NPC if exists
-    if (gameState.players[CLAUDE_NPC_ID]) {
-        delete gameState.players[CLAUDE_NPC_ID];
+    // Remove last round's bosses
+    for (const boss of getBosses(arena)) {
+        broadcast(arena, 'pl', { e: boss.netId });
+        delete arena.players[boss.id];
     }
 
-    const players = Object.values(gameState.players);
+    const players = Object.values(arena.players);
     for (const p of players) {
         p.alive = true;
-        p.health = 150;           // Increased TTK
+        p.health = arena.balance.player.spawnHealth;
         p.shield = 0;             // Start with no shield
-        p.weapon = 'pistol';      // Everyone starts with pistol
-        p.lastShot = 0;
+        p.peakShield = 0;
+        p.throwables = { frag: 0, smoke: 0 };
+        resetInventory(arena, p);
         p.kills = 0;
-        p.synced = false;         // Allow re-sync to new spawn position
-        // Square spawn bounds
-        const halfSize = ARENA_SIZE / 2 - 100;
-        p.x = ARENA_SIZE / 2 + (Math.random() - 0.5) * 2 * halfSize;
-        p.y = ARENA_SIZE / 2 + (Math.random() - 0.5) * 2 * halfSize;
+        if (p.isBot) resetBot(arena, p);
+        // Map spawn points first, never inside cover
+        const spawn = takeSpawnPoint(arena);
+        teleportPlayer(p, spawn.x, spawn.y);
     }
 
-    // Spawn Claude NPC - the AI boss
-    spawnClaudeNPC();
+    // Spawn the round's AI bosses, scaled to this lobby
+    const difficulty = applyNpcDifficulty(arena);
+    for (const archetypeId of pickRoundBosses(arena, difficulty.opponents)) {
+        spawnBoss(arena, archetypeId);
+    }
 
-    broadcast('c', { m: getRandomMessage('gameStart', { round: gameState.roundNumber }) });
-    broadcast('rs', { r: gameState.roundNumber, wp: WEAPONS }); // Send weapon defs on round start
+    broadcast(arena, 'c', { m: getRandomMessage('gameStart', { round: arena.roundNumber }) });
+    // Weapon defs, rarity tiers, boss difficulty and map for the round - a balance reload shows up here
+    broadcast(arena, 'rs', {
+        r: arena.roundNumber,
+        wp: arena.balance.weapons,
+        rt: arena.balance.rarity.tiers,
+        ps: arena.balance.player,
+        nd: { l: arena.npcDifficulty.label, v: Math.round(arena.npcDifficulty.level * 100) },  // Boss difficulty
+        pz: getPrizePayload(arena),  // What this round pays - null while the budget is still being planned
+        map: getMapPayload(arena)
+    });
 
-    // Start the dynamic shrink timer
-    startShrinkTimer();
+    // Start the storm phases
+    resetZone(arena);
 }
 
-function tryStartGame() {
-    const playerCount = Object.keys(gameState.players).length;
-    if (gameState.phase === 'waiting' && playerCount >= gameState.minPlayers) {
-        gameState.phase = 'starting';
-        broadcast('c', { m: `Enough challengers! Round ${gameState.roundNumber + 1} starts in 5 seconds.` });
+function tryStartGame(arena) {
+    const playerCount = Object.keys(arena.players).length;
+    if (arena.phase === 'waiting' && playerCount >= arena.minPlayers) {
+        arena.phase = 'starting';
+        planRoundPrize(arena);
+        broadcast(arena, 'c', { m: `Enough challengers! Round ${arena.roundNumber + 1} starts in 5 seconds.` });
         setTimeout(() => {
-            if (Object.keys(gameState.players).length >= gameState.minPlayers) {
-                startRound();
+            if (arena.destroyed) return;
+            if (Object.keys(arena.players).length >= arena.minPlayers) {
+                startRound(arena);
             } else {
-                gameState.phase = 'waiting';
+                arena.phase = 'waiting';
             }
         }, 5000);
     }
 }
 
 // ============================================================================
-// ARENA SHRINK - Dynamic scaling based on player count
+// STORM ZONE - Phased, off-center shrinking safe square
+// Each phase waits, then shrinks the zone into a random square inside the
+// current one. Sizes are fractions of the map's starting zone so the same
+// phases work on every map. Phases come from the balance config (storm.phases).
 // ============================================================================
-let shrinkTimer = null;
-let nextShrinkTime = 0;
-
-function getDynamicShrinkInterval() {
-    // Count alive players
-    let alivePlayers = 0;
-    for (const p of Object.values(gameState.players)) {
-        if (p.alive) alivePlayers++;
-    }
-
-    // Scale shrink interval based on player count
-    // 2-5 players: 18s base
-    // 6-10 players: 22s
-    // 11-20 players: 28s
-    // 21-30 players: 35s
-    // 30+ players: 45s
-    if (alivePlayers <= 5) return 18000;
-    if (alivePlayers <= 10) return 22000;
-    if (alivePlayers <= 20) return 28000;
-    if (alivePlayers <= 30) return 35000;
-    return 45000;
-}
-
-function scheduleShrink() {
-    if (shrinkTimer) clearTimeout(shrinkTimer);
-
-    const interval = getDynamicShrinkInterval();
-    nextShrinkTime = Date.now() + interval;
-
-    shrinkTimer = setTimeout(() => {
-        if (gameState.phase === 'active' && gameState.arenaSize > MIN_ARENA_SIZE) {
-            broadcast('c', { m: getRandomMessage('warning') });
-
-            setTimeout(() => {
-                if (gameState.phase === 'active') {
-                    gameState.arenaSize = Math.max(MIN_ARENA_SIZE, gameState.arenaSize - SHRINK_AMOUNT);
-                    broadcast('c', { m: getRandomMessage('shrink') });
-                    broadcast('as', { s: gameState.arenaSize });
-
-                    // Schedule next shrink with updated interval
-                    scheduleShrink();
-                }
-            }, 8000); // 8 second warning before shrink
-        } else if (gameState.phase === 'active') {
-            // Arena at min size, reschedule anyway
-            scheduleShrink();
+const STORM_WARNING_MS = 10000; // Chat warning this long before a shrink
+const ZONE_STATE_CODES = { wait: 0, shrink: 1, final: 2 };
+
+function zoneToWire(zone) {
+    return [Math.round(zone.x), Math.round(zone.y), Math.round(zone.size)];
+}
+
+function getZoneSecondsLeft(arena) {
+    if (arena.zoneState === 'final') return 0;
+    return Math.max(0, Math.ceil((arena.zoneStateEnd - Date.now()) / 1000));
+}
+
+// Random square of the given size fully inside the current zone, kept on the map where it fits
+function pickNextZone(arena, current, size) {
+    const slack = (current.size - size) / 2;
+    const pickAxis = (center, mapLength) => {
+        let lo = center - slack;
+        let hi = center + slack;
+        if (size <= mapLength) {
+            lo = Math.max(lo, size / 2);
+            hi = Math.min(hi, mapLength - size / 2);
         }
-    }, interval);
+        if (lo > hi) return center; // Zone can't fit on the map along this axis - stay put
+        return lo + Math.random() * (hi - lo);
+    };
+    return {
+        x: pickAxis(current.x, arena.map.width),
+        y: pickAxis(current.y, arena.map.height),
+        size
+    };
+}
+
+function announceZone(arena) {
+    broadcast(arena, 'as', {
+        p: arena.zonePhase + 1,
+        zs: ZONE_STATE_CODES[arena.zoneState],
+        z: zoneToWire(arena.zone),
+        nz: arena.zoneNext ? zoneToWire(arena.zoneNext) : null,
+        zt: getZoneSecondsLeft(arena)
+    });
+}
+
+function beginZonePhase(arena, index, now) {
+    const phase = arena.balance.storm.phases[index];
+    arena.zonePhase = index;
+    arena.zoneFrom = null;
+    arena.zoneWarned = false;
+
+    if (!phase) {
+        // Out of phases - zone stays where it ended up, last damage keeps applying
+        arena.zoneState = 'final';
+        arena.zoneNext = null;
+        arena.zoneStateEnd = 0;
+    } else {
+        const fullSize = getFullZone(arena.map).size;
+        const targetSize = Math.min(arena.zone.size, Math.max(MIN_ARENA_SIZE, fullSize * phase.size));
+        arena.zoneState = 'wait';
+        arena.zoneNext = pickNextZone(arena, arena.zone, targetSize);
+        arena.zoneStateStart = now;
+        arena.zoneStateEnd = now + phase.wait;
+        arena.zoneDamage = phase.damage;
+        if (index > 0) spawnZoneResupply(arena, index);
+    }
+    announceZone(arena);
+}
+
+function resetZone(arena) {
+    arena.zone = getFullZone(arena.map);
+    beginZonePhase(arena, 0, Date.now());
 }
 
-function startShrinkTimer() {
-    scheduleShrink();
+// Advance the storm - called every tick while the round is active
+function updateZone(arena, now) {
+    if (arena.zoneState === 'wait') {
+        const remaining = arena.zoneStateEnd - now;
+        if (!arena.zoneWarned && remaining <= STORM_WARNING_MS &&
+            arena.balance.storm.phases[arena.zonePhase].wait >= STORM_WARNING_MS) {
+            arena.zoneWarned = true;
+            broadcast(arena, 'c', { m: getRandomMessage('warning') });
+        }
+        if (remaining <= 0) {
+            arena.zoneState = 'shrink';
+            arena.zoneFrom = { ...arena.zone };
+            arena.zoneStateStart = now;
+            arena.zoneStateEnd = now + arena.balance.storm.phases[arena.zonePhase].shrink;
+            broadcast(arena, 'c', { m: getRandomMessage('shrink') });
+            announceZone(arena);
+        }
+    } else if (arena.zoneState === 'shrink') {
+        const duration = arena.zoneStateEnd - arena.zoneStateStart;
+        const t = duration > 0 ? Math.min(1, (now - arena.zoneStateStart) / duration) : 1;
+        const from = arena.zoneFrom;
+        const to = arena.zoneNext;
+        arena.zone = {
+            x: from.x + (to.x - from.x) * t,
+            y: from.y + (to.y - from.y) * t,
+            size: from.size + (to.size - from.size) * t
+        };
+        if (t >= 1) {
+            arena.zone = { ...to };
+            beginZonePhase(arena, arena.zonePhase + 1, now);
+        }
+    }
 }
 
-// Claude taunts
+// Claude taunts - or one of the bosses still standing, in its own voice
 setInterval(() => {
-    if (gameState.phase === 'active' && Math.random() < 0.3) {
-        broadcast('c', { m: getRandomMessage('taunt') });
+    for (const arena of arenas.values()) {
+        if (arena.phase === 'active' && Math.random() < 0.3) {
+            reportTaunt(arena);
+        }
     }
 }, 45000);
 
@@ -1138,11 +3355,121 @@ setInterval(() => {
 // ============================================================================
 const PLAYER_COLORS = ['#E07A5F', '#F4A261', '#E9C46A', '#2A9D8F', '#264653', '#9B5DE5', '#F15BB5', '#00BBF9'];
 
-wss.on('connection', (ws) => {
-    const odplayerId = generatePlayerId();
-    const sessionId = generateSessionId();
+// Fresh player record - humans and filler bots both start from this
+function createPlayer(arena, id, sessionId, name, character) {
+    const joinSpawn = randomOpenPosition(arena, 200);
+    const pistol = getWeaponDef(arena, 'pistol');
+    return {
+        id: id,
+        sessionId: sessionId,
+        name: (name || 'Anonymous').substring(0, 15),
+        x: joinSpawn.x,
+        y: joinSpawn.y,
+        angle: 0,
+        health: arena.balance.player.spawnHealth,
+        shield: 0,         // Shield absorbs damage first
+        weapon: 'pistol',  // Start with pistol
+        weaponRarity: 0,   // Rarity tier index of the weapon in hand
+        ammo: pistol.magSize,
+        reserveAmmo: pistol.reserveAmmo,
+        reloadEndsAt: 0,   // Reload finishes at this timestamp (0 = not reloading)
+        holstered: null,   // { weapon, weaponRarity, ammo, reserveAmmo } in the other slot
+        activeSlot: 0,     // 0 primary, 1 secondary
+        throwables: { frag: 0, smoke: 0 },
+        lastThrow: 0,
+        lastShot: 0,       // Timestamp of last shot
+        alive: arena.phase === 'waiting' || arena.phase === 'starting',
+        color: PLAYER_COLORS[Math.floor(Math.random() * PLAYER_COLORS.length)],
+        character: character,  // Player's selected character
+        kills: 0,
+        vx: 0,
+        vy: 0,
+        inputQueue: [],    // Pending move inputs, applied one per tick
+        inputCredit: 0,
+        lastQueuedSeq: 0,
+        lastInputSeq: 0,   // Last input applied - echoed in 'ack'
+        history: createPositionHistory(),
+        resumeToken: null,
+        payoutWallet: null,  // Wallet the player signed for ('wl') - their prizes only pay out there
+        ws: null
+    };
+}
+
+// Put a player into the arena - anyone joining mid-round waits it out as a spectator
+function admitPlayer(arena, player) {
+    if (arena.phase === 'active' || arena.phase === 'ended') {
+        player.alive = false;
+        player.spectator = true;
+        broadcast(arena, 'c', { m: getRandomMessage('spectator', { player: player.name }) });
+    }
+
+    player.netId = allocateNetId(arena);
+    arena.players[player.id] = player;
+    broadcast(arena, 'pi', getRosterEntry(player));
+}
+
+// Full join payload - sent on first join and again when a session is resumed
+function sendJoinState(ws, arena, player) {
+    sendToPlayer(ws, 'j', {
+        i: player.id,
+        sid: player.sessionId,
+        rk: player.resumeToken,  // Resume key - only ever sent to this socket
+        p: {
+            i: player.id,
+            n: player.name,
+            x: player.x,
+            y: player.y,
+            h: player.health,
+            sh: player.shield,
+            w: player.weapon,
+            v: player.alive ? 1 : 0,
+            c: player.color,
+            ch: player.character,
+            sp: player.spectator || false
+        },
+        lb: getLeaderboardData(),
+        rw: recentWinners.slice(0, 5),
+        ph: arena.phase,
+        r: arena.roundNumber,
+        ai: arena.id,      // Arena the player was routed into
+        an: arena.name,
+        wp: arena.balance.weapons,  // Send weapon definitions to client
+        rt: arena.balance.rarity.tiers,  // Rarity names/colors/multipliers, indexed like snapshot rarity bytes
+        ps: arena.balance.player,  // Health/shield caps for the HUD
+        wi: WEAPON_IDS,      // Index order for weapons in binary snapshots
+        li: LOOT_TYPE_IDS,   // Index order for loot types in binary snapshots
+        ro: getRoster(arena),  // Names/colors by netId - snapshots only carry netIds
+        map: getMapPayload(arena),  // Current map layout
+        pz: getPrizePayload(arena),  // Prize for the current or next round
+        mp: arena.minPlayers  // Min players needed to start
+    });
+}
+
+// Remove a player for good (left, or their reconnect grace ran out)
+function removePlayer(arena, playerId) {
+    const player = arena.players[playerId];
+    if (!player) return;
+    delete arena.players[playerId];
+    playerLastState.delete(playerId);
+    playerSessions.delete(player.sessionId);
+
+    // Close arenas nobody is playing in anymore
+    if (getHumanCount(arena) === 0) {
+        destroyArena(arena);
+        return;
+    }
+
+    broadcast(arena, 'pl', { e: player.netId });
+    broadcast(arena, 'c', { m: `${player.name} has disconnected.` });
+    checkWinner(arena);
+}
+
+wss.on('connection', (ws, req) => {
+    const host = req.headers.host || 'Drop Zone';
+    let odplayerId = generatePlayerId();
+    let sessionId = generateSessionId();
     let registered = false;
-    let lastInputSeq = 0;
+    let arena = null; // Arena this connection was routed into on join
 
     ws.on('message', (data) => {
         try {
@@ -1150,132 +3477,101 @@ wss.on('connection', (ws) => {
 
             switch (msg.t) {
                 case 'j': // join
+                    if (registered) break; // One player per connection
+
+                    // Reconnecting client - rebind to the player it left behind
+                    if (msg.sid && msg.rk) {
+                        const resumed = resumeSession(ws, msg.sid, msg.rk);
+                        if (resumed) {
+                            arena = resumed.arena;
+                            odplayerId = resumed.player.id;
+                            sessionId = resumed.player.sessionId;
+                            registered = true;
+                            sendJoinState(ws, arena, resumed.player);
+                            broadcast(arena, 'c', { m: `${resumed.player.name} reconnected.` });
+
+                            // Prizes won while offline - deliver the claim tokens now
+                            if (resumed.player.pendingClaimTokens) {
+                                for (const claimMessage of resumed.player.pendingClaimTokens) {
+                                    sendToPlayer(ws, 'claimToken', claimMessage);
+                                }
+                                resumed.player.pendingClaimTokens = null;
+                            }
+                            break;
+                        }
+                    }
+
+                    // Route into an open arena of the requested type
+                    const arenaType = ARENA_TYPES[msg.ar] ? msg.ar : DEFAULT_ARENA_TYPE;
+                    arena = findArenaForPlayer(arenaType);
+                    if (!arena) {
+                        sendToPlayer(ws, 'err', { m: 'All arenas are full. Try again shortly.' });
+                        break;
+                    }
+
                     // Validate character choice (must be one of the valid options)
                     const validCharacters = ['claude', 'claude-color', 'claude-alt', 'claude-color-alt'];
                     const chosenCharacter = validCharacters.includes(msg.ch) ? msg.ch : 'claude';
 
-                    const player = {
-                        id: odplayerId,
-                        sessionId: sessionId,
-                        name: (msg.n || 'Anonymous').substring(0, 15),
-                        x: ARENA_SIZE / 2 + (Math.random() - 0.5) * 400,
-                        y: ARENA_SIZE / 2 + (Math.random() - 0.5) * 400,
-                        angle: 0,
-                        health: 150,       // Increased for longer TTK
-                        shield: 0,         // Shield absorbs damage first
-                        weapon: 'pistol',  // Start with pistol
-                        lastShot: 0,       // Timestamp of last shot
-                        alive: gameState.phase === 'waiting' || gameState.phase === 'starting',
-                        color: PLAYER_COLORS[Math.floor(Math.random() * PLAYER_COLORS.length)],
-                        character: chosenCharacter,  // Player's selected character
-                        kills: 0,
-                        ws: ws
-                    };
-
-                    if (gameState.phase === 'active' || gameState.phase === 'ended') {
-                        player.alive = false;
-                        player.spectator = true;
-                        broadcast('c', { m: getRandomMessage('spectator', { player: player.name }) });
-                    }
+                    const player = createPlayer(arena, odplayerId, sessionId, msg.n, chosenCharacter);
+                    player.resumeToken = cryptoService.generateResumeToken();
+                    player.ws = ws;
 
-                    gameState.players[odplayerId] = player;
+                    makeRoomForHuman(arena, player);
+                    admitPlayer(arena, player);
                     registered = true;
 
-                    sendToPlayer(ws, 'j', {
-                        i: odplayerId,
-                        sid: sessionId,
-                        p: {
-                            i: player.id,
-                            n: player.name,
-                            x: player.x,
-                            y: player.y,
-                            h: player.health,
-                            sh: player.shield,
-                            w: player.weapon,
-                            v: player.alive ? 1 : 0,
-                            c: player.color,
-                            ch: player.character,
-                            sp: player.spectator || false
-                        },
-                        lb: getLeaderboardData(),
-                        rw: recentWinners.slice(0, 5),
-                        ph: gameState.phase,
-                        r: gameState.roundNumber,
-                        wp: WEAPONS,  // Send weapon definitions to client
-                        mp: gameState.minPlayers  // Min players needed to start
-                    });
+                    playerSessions.set(sessionId, { arena, playerId: odplayerId, timer: null });
+                    sendJoinState(ws, arena, player);
 
                     if (!player.spectator) {
-                        broadcast('c', { m: getRandomMessage('join', { player: player.name }) });
+                        broadcast(arena, 'c', { m: getRandomMessage('join', { player: player.name }) });
                     }
 
-                    tryStartGame();
+                    tryStartGame(arena);
 
-                    if (gameState.phase === 'waiting') {
-                        const playerCount = Object.keys(gameState.players).length;
-                        broadcast('c', { m: getRandomMessage('waiting', { count: playerCount, min: gameState.minPlayers }) });
+                    if (arena.phase === 'waiting') {
+                        const playerCount = Object.keys(arena.players).length;
+                        broadcast(arena, 'c', { m: getRandomMessage('waiting', { count: playerCount, min: arena.minPlayers }) });
                     }
                     break;
 
-                case 'm': // move
-                    if (gameState.players[odplayerId] && gameState.players[odplayerId].alive) {
-                        const p = gameState.players[odplayerId];
-
-                        // Clamp to arena bounds
-                        const newX = Math.max(20, Math.min(ARENA_SIZE - 20, msg.x));
-                        const newY = Math.max(20, Math.min(ARENA_SIZE - 20, msg.y));
-
-                        const dist = Math.sqrt((newX - p.x) ** 2 + (newY - p.y) ** 2);
-
-                        // Allow initial sync (first few moves after join/respawn)
-                        if (!p.synced) {
-                            p.x = newX;
-                            p.y = newY;
-                            p.synced = true;
-                        }
-                        // ANTI-CHEAT: Speed validation - 5 units/frame * ~30 frames tolerance
-                        else if (dist <= 150) {
-                            p.x = newX;
-                            p.y = newY;
-                        }
-                        // Teleport detected - snap to server position
-                        else {
-                            // Rate limit logging (max 1 per second per player)
-                            const now = Date.now();
-                            if (!p.lastCheatLog || now - p.lastCheatLog > 1000) {
-                                console.warn(`[ANTI-CHEAT] ${p.name} teleport rejected: ${dist.toFixed(0)}u`);
-                                p.lastCheatLog = now;
-                            }
-                        }
-
-                        // Angle is always accepted
-                        p.angle = msg.a;
+                case 'm': // move input (sk piggybacks the latest snapshot ack)
+                    if (arena && arena.players[odplayerId]) {
+                        queuePlayerInput(arena.players[odplayerId], msg);
+                        if (msg.sk) acknowledgeSnapshot(odplayerId, msg.sk);
+                    }
+                    break;
 
-                        // Acknowledge input sequence for client prediction
-                        if (msg.seq > lastInputSeq) {
-                            lastInputSeq = msg.seq;
-                            sendToPlayer(ws, 'ack', { seq: msg.seq, x: p.x, y: p.y });
-                        }
+                case 'sa': // snapshot ack (sent on its own when no input is going out)
+                    if (arena && arena.players[odplayerId]) {
+                        acknowledgeSnapshot(odplayerId, msg.k);
                     }
                     break;
 
                 case 'sh': // shoot
-                    if (gameState.players[odplayerId] && gameState.players[odplayerId].alive) {
-                        const shooter = gameState.players[odplayerId];
-                        const weapon = WEAPONS[shooter.weapon] || WEAPONS.pistol;
+                    if (arena && arena.players[odplayerId] && arena.players[odplayerId].alive) {
+                        const shooter = arena.players[odplayerId];
+                        const weapon = getWeaponStats(arena, shooter);
                         const now = Date.now();
 
                         // Check fire rate cooldown (server-authoritative)
                         if (now - shooter.lastShot < weapon.fireRate) {
                             break; // Too fast, ignore
                         }
+                        if (!consumeAmmo(arena, shooter, now)) {
+                            break; // Empty or mid-reload
+                        }
                         shooter.lastShot = now;
 
+                        // Lag compensation - hits are checked against what the shooter saw
+                        const rewindTicks = getRewindTicks(arena, msg.rt);
+
                         // Fire bullets based on weapon
                         for (let i = 0; i < weapon.bulletsPerShot; i++) {
                             const spread = (Math.random() - 0.5) * weapon.spread;
                             const angle = shooter.angle + spread;
-                            const bullet = bulletPool.acquire(
+                            const bullet = arena.bulletPool.acquire(
                                 odplayerId,
                                 shooter.name,
                                 shooter.x + Math.cos(angle) * 25,
@@ -1287,16 +3583,63 @@ wss.on('connection', (ws) => {
                             if (bullet) {
                                 bullet.damage = weapon.damage;
                                 bullet.weaponId = weapon.id;
+                                bullet.rewindTicks = rewindTicks;
                             }
                         }
                     }
                     break;
 
+                case 'rl': // reload
+                    if (arena && arena.players[odplayerId] && arena.players[odplayerId].alive) {
+                        startReload(arena, arena.players[odplayerId], Date.now());
+                    }
+                    break;
+
+                case 'sw': // switch weapon slot (s: 0/1, omitted = toggle)
+                    if (arena && arena.players[odplayerId] && arena.players[odplayerId].alive) {
+                        const slot = msg.s === 0 || msg.s === 1 ? msg.s : undefined;
+                        switchWeaponSlot(arena, arena.players[odplayerId], slot, Date.now());
+                    }
+                    break;
+
+                case 'pu': // interact - pick up the weapon on the ground
+                    if (arena && arena.players[odplayerId] && arena.players[odplayerId].alive &&
+                        arena.phase === 'active') {
+                        interactPickUp(arena, arena.players[odplayerId]);
+                    }
+                    break;
+
+                case 'gr': // throw grenade (g: type, d: distance to the cursor)
+                    if (arena && arena.players[odplayerId] && arena.players[odplayerId].alive &&
+                        arena.phase === 'active') {
+                        throwGrenade(arena, arena.players[odplayerId], msg.g, msg.d, Date.now());
+                    }
+                    break;
+
                 case 'sp': // spectate
-                    if (gameState.players[odplayerId]) {
-                        gameState.players[odplayerId].spectateTarget = msg.ti;
+                    if (arena && arena.players[odplayerId]) {
+                        arena.players[odplayerId].spectateTarget = msg.ti;
                     }
                     break;
+
+                case 'wc': { // wallet challenge - link a payout wallet to this session (w: address)
+                    const player = arena && arena.players[odplayerId];
+                    if (!player || typeof msg.w !== 'string') break;
+                    const challenge = rewardService.createWalletChallenge(player.sessionId, player.name, msg.w, host);
+                    sendToPlayer(ws, 'wc', challenge.success ? { m: challenge.message, n: challenge.nonce } : { e: challenge.error });
+                    break;
+                }
+
+                case 'wl': { // wallet link - the signed challenge (n: nonce, s: signature base64)
+                    const player = arena && arena.players[odplayerId];
+                    if (!player) break;
+                    rewardService.linkWallet(player.sessionId, { nonce: msg.n, signature: msg.s }).then(result => {
+                        // Claims from later rounds are bound to it as they're created
+                        if (result.success) player.payoutWallet = result.walletAddress;
+                        sendToPlayer(ws, 'wl', result.success ? { w: result.walletAddress } : { e: result.error });
+                    }).catch(e => console.error('[REWARD] Wallet link failed:', e.message));
+                    break;
+                }
             }
         } catch (e) {
             // Silent fail for malformed messages
@@ -1304,12 +3647,10 @@ wss.on('connection', (ws) => {
     });
 
     ws.on('close', () => {
-        if (registered && gameState.players[odplayerId]) {
-            const player = gameState.players[odplayerId];
-            broadcast('c', { m: `${player.name} has disconnected.` });
-            delete gameState.players[odplayerId];
-            checkWinner();
-        }
+        if (!registered || arena.destroyed) return;
+        const player = arena.players[odplayerId];
+        if (!player || player.ws !== ws) return; // Already resumed on a newer socket
+        holdForReconnect(arena, player);
     });
 });
 
@@ -1352,169 +3693,238 @@ const perfMetrics = {
     }
 };
 
-function gameLoop() {
-    const now = Date.now();
-    const delta = now - lastTick;
+/**
+ * Apply damage (shield absorbs first) and handle the elimination if it was fatal
+ * Shared by bullets and grenade blasts.
+ * @returns {boolean} True if the player died
+ */
+function damagePlayer(arena, player, damage, attackerId, attackerName, cause = null) {
+    let actualDamage = damage;
+    if (player.shield > 0) {
+        const shieldDamage = Math.min(player.shield, damage);
+        player.shield -= shieldDamage;
+        actualDamage = damage - shieldDamage;
+    }
+    player.health -= actualDamage;
+
+    // Send hit event for visual feedback
+    broadcast(arena, 'hit', {
+        x: player.x,
+        y: player.y,
+        d: damage,
+        vi: player.id,
+        ai: attackerId
+    });
 
-    if (delta >= TICK_MS) {
-        const tickStart = Date.now();
-        lastTick = now - (delta % TICK_MS);
-        gameState.tick++;
+    if (player.health > 0) return false;
 
-        // Update bullets (skip if round ended mid-tick to prevent crash)
-        if (gameState.phase === 'ended') {
-            broadcastGameState();
-            setImmediate(gameLoop);
-            return;
-        }
+    player.alive = false;
+    player.health = 0;
 
-        let collisionChecks = 0;
+    arena.eliminated.push(player);
+    const shooter = arena.players[attackerId];
+    if (shooter && shooter !== player) {
+        shooter.kills = (shooter.kills || 0) + 1;
+        arena.roundKills++;
+        if (player.isBoss) arena.bossKills[shooter.id] = (arena.bossKills[shooter.id] || 0) + 1;
+    }
+
+    let remaining = 0;
+    for (const id in arena.players) {
+        if (arena.players[id].alive) remaining++;
+    }
+
+    reportKill(arena, player, shooter || null, attackerName, cause, remaining);
+    spillDeathLoot(arena, player);
+    broadcast(arena, 'k', {
+        kr: attackerName,
+        kri: attackerId,
+        v: player.name,
+        vi: player.id,
+        x: Math.round(player.x),   // Where the death crate goes
+        y: Math.round(player.y)
+    });
+    checkWinner(arena);
+    return true;
+}
+
+// Advance one arena by a single tick
+function updateArena(arena) {
+    arena.tick++;
+
+    updateBotFill(arena, Date.now());
+
+    // Apply player input commands (players can still walk around after the round ends)
+    updatePlayerMovement(arena);
+
+    // Update bullets (skip if round ended mid-tick to prevent crash)
+    if (arena.phase === 'ended') {
+        broadcastGameState(arena);
+        return 0;
+    }
+
+    let collisionChecks = 0;
+
+    // Send whatever play-by-play is due
+    arena.commentary.flush(Date.now());
+
+    // Advance the storm before anything checks the safe zone
+    if (arena.phase === 'active') {
+        updateZone(arena, Date.now());
+    }
 
-        // Update Claude NPC AI
-        updateClaudeNPC();
+    updateReloads(arena, Date.now());
 
-        // Rebuild spatial grid for O(1) collision lookups
-        playerGrid.rebuild(gameState.players);
+    // Update boss and filler bot AI
+    updateBosses(arena);
+    updateBots(arena);
 
-        const activeBullets = bulletPool.getActive();
-        const toRemove = [];
-        const bulletCount = activeBullets.length;
+    // Rebuild spatial grid for O(1) collision lookups
+    arena.playerGrid.rebuild(arena.players);
+    recordPositionHistory(arena);
 
-        for (let i = bulletCount - 1; i >= 0; i--) {
-            const bullet = activeBullets[i];
-            if (!bullet || !bullet.active) continue;
+    const activeBullets = arena.bulletPool.getActive();
+    const toRemove = [];
+    const bulletCount = activeBullets.length;
 
-            bullet.x += bullet.vx;
-            bullet.y += bullet.vy;
+    for (let i = bulletCount - 1; i >= 0; i--) {
+        const bullet = activeBullets[i];
+        if (!bullet || !bullet.active) continue;
 
-            // Out of bounds check
-            if (bullet.x < 0 || bullet.x > ARENA_SIZE || bullet.y < 0 || bullet.y > ARENA_SIZE) {
+        const prevX = bullet.x;
+        const prevY = bullet.y;
+        bullet.x += bullet.vx;
+        bullet.y += bullet.vy;
+
+        // Out of bounds check
+        if (bullet.x < 0 || bullet.x > arena.map.width || bullet.y < 0 || bullet.y > arena.map.height) {
+            toRemove.push(bullet);
+            continue;
+        }
+
+        // Cover stops bullets (swept test so fast sniper rounds can't tunnel)
+        if (segmentHitsObstacle(arena.obstacles, prevX, prevY, bullet.x, bullet.y)) {
+            toRemove.push(bullet);
+            continue;
+        }
+
+        // Spatial grid collision - only check nearby players (O(1) average)
+        // Rewound positions stay within MAX_REWIND_TICKS * PLAYER_SPEED (~60u) of the
+        // current ones, so the 3x3 cell neighbourhood still covers them
+        const nearbyPlayers = arena.playerGrid.getNearby(bullet.x, bullet.y);
+        collisionChecks += nearbyPlayers.length;
+        for (let j = 0; j < nearbyPlayers.length; j++) {
+            const player = nearbyPlayers[j];
+            if (player.id === bullet.ownerId || !player.alive) continue;
+
+            // Lag compensation - test against the target's position on the shooter's view tick
+            let targetX = player.x;
+            let targetY = player.y;
+            if (bullet.rewindTicks > 0 && player.history) {
+                const past = player.history.at(arena.tick - bullet.rewindTicks);
+                if (past) {
+                    targetX = past.x;
+                    targetY = past.y;
+                }
+            }
+
+            const dx = targetX - bullet.x;
+            const dy = targetY - bullet.y;
+            const distSq = dx * dx + dy * dy;
+
+            if (distSq < 625) { // 25^2
                 toRemove.push(bullet);
-                continue;
+                damagePlayer(arena, player, bullet.damage || 20, bullet.ownerId, bullet.ownerName, bullet.weaponId);
+                break;
             }
+        }
+    }
+
+    // Batch release bullets
+    for (let i = 0; i < toRemove.length; i++) {
+        arena.bulletPool.release(toRemove[i]);
+    }
+
+    // Grenades in flight, fuses and smoke clouds
+    updateProjectiles(arena, Date.now());
 
-            // Spatial grid collision - only check nearby players (O(1) average)
-            const nearbyPlayers = playerGrid.getNearby(bullet.x, bullet.y);
-            collisionChecks += nearbyPlayers.length;
-            for (let j = 0; j < nearbyPlayers.length; j++) {
-                const player = nearbyPlayers[j];
-                if (player.id === bullet.ownerId || !player.alive) continue;
-
-                const dx = player.x - bullet.x;
-                const dy = player.y - bullet.y;
-                const distSq = dx * dx + dy * dy;
-
-                if (distSq < 625) { // 25^2
-                    const damage = bullet.damage || 20;
-                    let actualDamage = damage;
-
-                    // Shield absorbs damage first
-                    if (player.shield > 0) {
-                        const shieldDamage = Math.min(player.shield, damage);
-                        player.shield -= shieldDamage;
-                        actualDamage = damage - shieldDamage;
+    // Storm damage - continuous damage when outside the SQUARE safe zone (Claude chat box)
+    if (arena.phase === 'active') {
+        const arenaHalfSize = arena.zone.size / 2;
+
+        // Square bounds
+        const minX = arena.zone.x - arenaHalfSize;
+        const maxX = arena.zone.x + arenaHalfSize;
+        const minY = arena.zone.y - arenaHalfSize;
+        const maxY = arena.zone.y + arenaHalfSize;
+
+        for (const p of Object.values(arena.players)) {
+            if (p.alive) {
+                // Check loot pickups
+                checkLootPickup(arena, p);
+
+                // Check if outside the square bounds
+                const outsideX = Math.max(0, minX - p.x, p.x - maxX);
+                const outsideY = Math.max(0, minY - p.y, p.y - maxY);
+                const outsideAmount = Math.max(outsideX, outsideY);
+
+                if (outsideAmount > 0) {
+                    // Phase damage, up to double the deeper you are (500px+ outside)
+                    const damagePerTick = arena.zoneDamage * (1 + Math.min(1, outsideAmount / 500));
+
+                    // Storm damages shield first
+                    if (p.shield > 0) {
+                        p.shield = Math.max(0, p.shield - damagePerTick);
+                    } else {
+                        p.health -= damagePerTick;
                     }
-                    player.health -= actualDamage;
-
-                    toRemove.push(bullet);
-
-                    // Send hit event for visual feedback
-                    broadcast('hit', {
-                        x: player.x,
-                        y: player.y,
-                        d: damage,
-                        vi: player.id,
-                        ai: bullet.ownerId
-                    });
-
-                    if (player.health <= 0) {
-                        player.alive = false;
-                        player.health = 0;
-
-                        const shooter = gameState.players[bullet.ownerId];
-                        if (shooter) {
-                            shooter.kills = (shooter.kills || 0) + 1;
-                        }
 
+                    if (p.health <= 0) {
+                        p.alive = false;
+                        p.health = 0;
+                        arena.eliminated.push(p);
                         let remaining = 0;
-                        for (const id in gameState.players) {
-                            if (gameState.players[id].alive) remaining++;
+                        for (const id in arena.players) {
+                            if (arena.players[id].alive) remaining++;
                         }
-
-                        broadcast('c', {
-                            m: getRandomMessage('kill', {
-                                killer: bullet.ownerName,
-                                victim: player.name,
-                                remaining: remaining
-                            })
-                        });
-                        broadcast('k', {
-                            kr: bullet.ownerName,
-                            kri: bullet.ownerId,
-                            v: player.name,
-                            vi: player.id
+                        reportStormDeath(arena, p, remaining);
+                        spillDeathLoot(arena, p);
+                        broadcast(arena, 'k', {
+                            kr: 'Claude', kri: null, v: p.name, vi: p.id,
+                            x: Math.round(p.x), y: Math.round(p.y)
                         });
-                        checkWinner();
+                        checkWinner(arena);
                     }
-                    break;
                 }
             }
         }
+    }
 
-        // Batch release bullets
-        for (let i = 0; i < toRemove.length; i++) {
-            bulletPool.release(toRemove[i]);
-        }
+    broadcastGameState(arena);
+    return collisionChecks;
+}
 
-        // Storm damage - continuous damage when outside the SQUARE arena (Claude chat box)
-        if (gameState.phase === 'active') {
-            const center = ARENA_SIZE / 2;
-            const arenaHalfSize = gameState.arenaSize / 2;
+function gameLoop() {
+    const now = Date.now();
+    const delta = now - lastTick;
 
-            // Square bounds
-            const minX = center - arenaHalfSize;
-            const maxX = center + arenaHalfSize;
-            const minY = center - arenaHalfSize;
-            const maxY = center + arenaHalfSize;
+    if (delta >= TICK_MS) {
+        const tickStart = Date.now();
+        lastTick = now - (delta % TICK_MS);
 
-            for (const p of Object.values(gameState.players)) {
-                if (p.alive) {
-                    // Check loot pickups
-                    checkLootPickup(p);
-
-                    // Check if outside the square bounds
-                    const outsideX = Math.max(0, minX - p.x, p.x - maxX);
-                    const outsideY = Math.max(0, minY - p.y, p.y - maxY);
-                    const outsideAmount = Math.max(outsideX, outsideY);
-
-                    if (outsideAmount > 0) {
-                        // Damage scales with how far outside (5-15 damage per second)
-                        const damagePerTick = Math.min(0.5, 0.15 + (outsideAmount / 500) * 0.35); // ~5-15 DPS
-
-                        // Storm damages shield first
-                        if (p.shield > 0) {
-                            p.shield = Math.max(0, p.shield - damagePerTick);
-                        } else {
-                            p.health -= damagePerTick;
-                        }
+        let collisionChecks = 0;
+        let bulletCount = 0;
+        let playerCount = 0;
 
-                        if (p.health <= 0) {
-                            p.alive = false;
-                            p.health = 0;
-                            broadcast('c', { m: `${p.name} stepped outside my chat box. Fatal error.` });
-                            broadcast('k', { kr: 'Claude', kri: null, v: p.name, vi: p.id });
-                            checkWinner();
-                        }
-                    }
-                }
-            }
+        for (const arena of arenas.values()) {
+            bulletCount += arena.bulletPool.getActive().length;
+            playerCount += Object.keys(arena.players).length;
+            collisionChecks += updateArena(arena);
         }
 
-        broadcastGameState();
-
         // Record performance metrics
         const tickTime = Date.now() - tickStart;
-        perfMetrics.recordTick(tickTime, collisionChecks, bulletCount, Object.keys(gameState.players).length);
+        perfMetrics.recordTick(tickTime, collisionChecks, bulletCount, playerCount);
     }
 
     setImmediate(gameLoop);
@@ -1522,6 +3932,25 @@ function gameLoop() {
 
 gameLoop();
 
+// ============================================================================
+// ARENA API ENDPOINTS
+// ============================================================================
+
+// List running arenas and the arena types players can join (public)
+app.get('/api/arenas', (req, res) => {
+    res.json({
+        arenas: getArenaListing(),
+        types: Object.keys(ARENA_TYPES).map(type => ({
+            type: type,
+            name: ARENA_TYPES[type].name,
+            minPlayers: ARENA_TYPES[type].minPlayers,
+            maxPlayers: ARENA_TYPES[type].maxPlayers,
+            paid: ARENA_TYPES[type].paid
+        })),
+        maxArenas: MAX_ARENAS
+    });
+});
+
 // ============================================================================
 // REWARD API ENDPOINTS - SECURITY: Rate limited and authenticated
 // ============================================================================
@@ -1529,6 +3958,7 @@ gameLoop();
 /**
  * Submit wallet address to claim prize
  * SECURITY: Now requires cryptographic claim token (not just session ID)
+ * Wallet signatures go over the winner's game socket ('wc'/'wl'), never through here
  */
 app.post('/api/rewards/claim', claimRateLimiter, async (req, res) => {
     try {
@@ -1607,16 +4037,68 @@ app.post('/api/admin/claim-fees', adminRateLimiter, adminAuth, async (req, res)
     }
 });
 
-// Admin: Reconcile prize pool balance
+// Admin: Reconcile prize pool balance - books the difference as a ledger adjustment
 app.post('/api/admin/reconcile-pool', adminRateLimiter, adminAuth, async (req, res) => {
     try {
-        const result = await rewardService.reconcilePrizePool();
+        const reason = typeof req.body?.reason === 'string' && req.body.reason.trim() ? req.body.reason : undefined;
+        const result = await rewardService.reconcilePrizePool(reason, `admin@${req.ip}`);
         res.json({ success: true, result });
     } catch (e) {
         res.status(500).json({ success: false, error: e.message });
     }
 });
 
+// Admin: Prize pool ledger for a time range - ?from=ISO&to=ISO&type=&limit=&offset=
+app.get('/api/admin/ledger', adminRateLimiter, adminAuth, async (req, res) => {
+    const parseTime = (value) => {
+        if (value === undefined || value === '') return null;
+        const time = new Date(/^\d+$/.test(value) ? Number(value) : value);  // ms timestamp or ISO
+        return Number.isNaN(time.getTime()) ? undefined : time;
+    };
+
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to);
+    if (from === undefined || to === undefined) {
+        return res.status(400).json({ success: false, error: 'from and to must be ISO dates or timestamps' });
+    }
+    if (from && to && from >= to) {
+        return res.status(400).json({ success: false, error: 'from must be before to' });
+    }
+    const type = req.query.type || null;
+    if (type && !db.LEDGER_ENTRY_TYPES.includes(type)) {
+        return res.status(400).json({ success: false, error: `type must be one of ${db.LEDGER_ENTRY_TYPES.join(', ')}` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 500, 1), 5000);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    try {
+        const report = await rewardService.getLedgerReport({ from, to, type, limit, offset });
+        res.json({ success: true, ...report });
+    } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+// Admin: Manual prize pool adjustment - needs a reason, recorded with who made it
+app.post('/api/admin/ledger/adjust', adminRateLimiter, adminAuth, async (req, res) => {
+    const { amountSol, reason } = req.body || {};
+    const amount = parseFloat(amountSol);
+
+    if (!Number.isFinite(amount) || amount === 0 || Math.abs(amount) > 1000) {
+        return res.status(400).json({ success: false, error: 'amountSol must be a non-zero number up to 1000 SOL either way' });
+    }
+    if (typeof reason !== 'string' || reason.trim().length < 5) {
+        return res.status(400).json({ success: false, error: 'A reason of at least 5 characters is required' });
+    }
+
+    try {
+        const result = await rewardService.adjustPrizePool(amount, reason, `admin@${req.ip}`);
+        res.json({ success: true, entryId: result.entry ? result.entry.id : null, newBalance: result.newBalance });
+    } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
 // Admin: Force process payout queue
 app.post('/api/admin/process-payouts', adminRateLimiter, adminAuth, async (req, res) => {
     try {
@@ -1627,6 +4109,31 @@ app.post('/api/admin/process-payouts', adminRateLimiter, adminAuth, async (req,
     }
 });
 
+// Admin: Reload config/balance.json - arenas mid-round switch over at their next round start
+app.post('/api/admin/reload-balance', adminRateLimiter, adminAuth, (req, res) => {
+    try {
+        const balance = balanceService.loadBalance();
+        const pending = [];
+        for (const arena of arenas.values()) {
+            if (arena.phase === 'active') {
+                pending.push(arena.id);
+            } else {
+                arena.balance = balance; // Nobody is fighting - 'rs' delivers it to clients
+            }
+        }
+        console.log(`[BALANCE] Reloaded by admin - ${pending.length} arena(s) switch over at their next round`);
+        res.json({
+            success: true,
+            loadedAt: new Date(balance.loadedAt).toISOString(),
+            weapons: Object.keys(balance.weapons),
+            pendingArenas: pending
+        });
+    } catch (e) {
+        console.error(`[BALANCE] Reload rejected: ${e.message}`);
+        res.status(400).json({ success: false, error: e.message });
+    }
+});
+
 // Admin: TEST MODE - Simulate adding funds to prize pool (DB only, not real wallet)
 // Use this to test claim flow without real SOL
 app.post('/api/admin/test-add-pool', adminRateLimiter, adminAuth, async (req, res) => {
@@ -1638,8 +4145,7 @@ app.post('/api/admin/test-add-pool', adminRateLimiter, adminAuth, async (req, re
             return res.status(400).json({ success: false, error: 'Amount must be between 0 and 10 SOL' });
         }
 
-        const db = require('./services/database');
-        await db.addToPrizePool(testAmount);
+        await db.recordManualAdjustment(testAmount, 'TEST MODE: simulated funds, not in the prize wallet', `admin@${req.ip}`);
         const newBalance = await db.getPrizePoolBalance();
 
         console.log(`[TEST] Added ${testAmount} SOL to prize pool DB (new balance: ${newBalance})`);
@@ -1656,7 +4162,7 @@ app.post('/api/admin/test-add-pool', adminRateLimiter, adminAuth, async (req, re
 
 // Health check endpoint (public)
 app.get('/api/health', async (req, res) => {
-    const dbHealth = await require('./services/database').healthCheck();
+    const dbHealth = await db.healthCheck();
     res.json({
         status: 'ok',
         timestamp: new Date().toISOString(),
@@ -0,0 +1,299 @@
+/**
+ * Balance Service - loads weapon, loot, player, storm, NPC, bot, payout and prize budget tuning from config/balance.json
+ * The file is validated as a whole; a reload that fails validation leaves the current
+ * balance untouched. Arenas copy the current balance when a round starts, so a reload
+ * lands between rounds and never changes the rules of a fight in progress.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const BALANCE_FILE = process.env.BALANCE_FILE || path.join(__dirname, '..', 'config', 'balance.json');
+
+const WEAPON_FIELDS = ['damage', 'fireRate', 'bulletSpeed', 'spread', 'bulletsPerShot',
+    'magSize', 'reserveAmmo', 'maxReserve', 'reloadTime'];
+const THROWABLE_FIELDS = {
+    frag: ['fuse', 'throwSpeed', 'maxRange', 'damage', 'radius'],
+    smoke: ['fuse', 'throwSpeed', 'maxRange', 'radius', 'duration']
+};
+const LOOT_FIELDS = ['healthPack', 'shieldPack', 'ammoBoxMagazines', 'maxThrowables',
+    'zoneResupplyWeapons', 'deathDropHealth', 'deathDropShieldShare'];
+const PLAYER_FIELDS = ['spawnHealth', 'maxHealth', 'maxShield'];
+const STORM_PHASE_FIELDS = ['wait', 'shrink', 'size', 'damage'];
+// Everything the NPC brain reads; filler bots spawn as regular players so skip health/shield
+const BOT_PROFILE_FIELDS = ['huntSpeed', 'fleeSpeed', 'fleeHealth', 'engageRange', 'sightRange',
+    'aimError', 'dodgeChance', 'fireRateMultiplier', 'reactionMs'];
+const NPC_FIELDS = ['health', 'shield', ...BOT_PROFILE_FIELDS];
+// NPC stats the adaptive difficulty scales - npcDifficulty.easy/hard hold multipliers for these
+const NPC_SCALED_FIELDS = ['health', 'shield', 'huntSpeed', 'fleeSpeed', 'aimError',
+    'dodgeChance', 'fireRateMultiplier', 'reactionMs'];
+
+// Snapshots carry health/shield and magazines in a u8
+const MAX_BYTE_STAT = 255;
+
+let current = null;
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Copy the listed non-negative numbers out of a section, throwing on the first bad one
+function readNumbers(section, fields, where) {
+    if (!isObject(section)) throw new Error(`${where} must be an object`);
+    const out = {};
+    for (const field of fields) {
+        if (!isFiniteNumber(section[field]) || section[field] < 0) {
+            throw new Error(`${where}.${field} must be a non-negative number`);
+        }
+        out[field] = section[field];
+    }
+    return out;
+}
+
+function validateWeapons(raw) {
+    if (!isObject(raw) || Object.keys(raw).length === 0) throw new Error('weapons must be a non-empty object');
+    if (!raw.pistol) throw new Error('weapons.pistol is required - every player spawns with it');
+
+    const weapons = {};
+    for (const [id, def] of Object.entries(raw)) {
+        const where = `weapons.${id}`;
+        const weapon = { id, ...readNumbers(def, WEAPON_FIELDS, where) };
+        if (typeof def.name !== 'string' || def.name.length === 0) throw new Error(`${where}.name must be a string`);
+        if (typeof def.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(def.color)) {
+            throw new Error(`${where}.color must be a #rrggbb color`);
+        }
+        if (weapon.fireRate <= 0 || weapon.bulletSpeed <= 0) throw new Error(`${where} fireRate and bulletSpeed must be positive`);
+        if (!Number.isInteger(weapon.bulletsPerShot) || weapon.bulletsPerShot < 1) {
+            throw new Error(`${where}.bulletsPerShot must be a whole number of at least 1`);
+        }
+        if (!Number.isInteger(weapon.magSize) || weapon.magSize < 1 || weapon.magSize > MAX_BYTE_STAT) {
+            throw new Error(`${where}.magSize must be a whole number from 1 to ${MAX_BYTE_STAT}`);
+        }
+        if (weapon.reserveAmmo > weapon.maxReserve) throw new Error(`${where}.reserveAmmo can't exceed maxReserve`);
+        weapon.name = def.name;
+        weapon.color = def.color;
+        weapons[id] = weapon;
+    }
+    return weapons;
+}
+
+function validateRarity(raw) {
+    if (!isObject(raw)) throw new Error('rarity must be an object');
+    if (!Array.isArray(raw.tiers) || raw.tiers.length === 0 || raw.tiers.length > MAX_BYTE_STAT) {
+        throw new Error('rarity.tiers must be a non-empty array');
+    }
+    const tiers = raw.tiers.map((tier, i) => {
+        const where = `rarity.tiers[${i}]`;
+        const multipliers = readNumbers(tier, ['damage', 'fireRate', 'spread'], where);
+        if (typeof tier.id !== 'string' || typeof tier.name !== 'string') throw new Error(`${where} needs an id and name`);
+        if (typeof tier.color !== 'string') throw new Error(`${where}.color must be a string`);
+        if (multipliers.fireRate <= 0) throw new Error(`${where}.fireRate must be positive`);
+        return { id: tier.id, name: tier.name, color: tier.color, ...multipliers };
+    });
+
+    if (!Array.isArray(raw.weightsByPhase) || raw.weightsByPhase.length === 0) {
+        throw new Error('rarity.weightsByPhase must be a non-empty array');
+    }
+    const weightsByPhase = raw.weightsByPhase.map((row, i) => {
+        if (!Array.isArray(row) || row.length !== tiers.length ||
+            !row.every(w => isFiniteNumber(w) && w >= 0) || !row.some(w => w > 0)) {
+            throw new Error(`rarity.weightsByPhase[${i}] needs one non-negative weight per tier, at least one above 0`);
+        }
+        return row.slice();
+    });
+
+    return { tiers, weightsByPhase };
+}
+
+// Shared checks for anything driven by the NPC brain
+function validateBrainTuning(tuning, where) {
+    if (tuning.dodgeChance > 1) throw new Error(`${where}.dodgeChance is a probability and must be between 0 and 1`);
+    if (tuning.reactionMs <= 0) throw new Error(`${where}.reactionMs must be positive`);
+    return tuning;
+}
+
+function validateBots(raw) {
+    if (!isObject(raw) || Object.keys(raw).length === 0) throw new Error('bots must be a non-empty object of difficulty profiles');
+    const bots = {};
+    for (const [id, profile] of Object.entries(raw)) {
+        bots[id] = validateBrainTuning(readNumbers(profile, BOT_PROFILE_FIELDS, `bots.${id}`), `bots.${id}`);
+    }
+    return bots;
+}
+
+function validateNpcDifficulty(raw, npc) {
+    if (!isObject(raw)) throw new Error('npcDifficulty must be an object');
+    const out = readNumbers(raw, ['targetWinRate', 'historyRounds'], 'npcDifficulty');
+    if (out.targetWinRate > 1) throw new Error('npcDifficulty.targetWinRate must be between 0 and 1');
+    if (!Number.isInteger(out.historyRounds) || out.historyRounds < 1) {
+        throw new Error('npcDifficulty.historyRounds must be a whole number of at least 1');
+    }
+    for (const end of ['easy', 'hard']) {
+        const where = `npcDifficulty.${end}`;
+        out[end] = readNumbers(raw[end], NPC_SCALED_FIELDS, where);
+        for (const field of NPC_SCALED_FIELDS) {
+            if (out[end][field] <= 0) throw new Error(`${where}.${field} must be a positive multiplier`);
+        }
+        if (npc.health * out[end].health > MAX_BYTE_STAT || npc.shield * out[end].shield > MAX_BYTE_STAT) {
+            throw new Error(`${where} scales npc.health or npc.shield past ${MAX_BYTE_STAT}`);
+        }
+    }
+    return out;
+}
+
+// Shares of a round's prize pot; whatever isn't handed out stays in the pool
+function validatePayouts(raw) {
+    if (!isObject(raw)) throw new Error('payouts must be an object');
+    if (!Array.isArray(raw.placements) || raw.placements.length === 0 ||
+        !raw.placements.every(share => isFiniteNumber(share) && share >= 0)) {
+        throw new Error('payouts.placements must be a non-empty array of shares, 1st place first');
+    }
+    const out = {
+        placements: raw.placements.slice(),
+        ...readNumbers(raw, ['killBounty', 'bossKillBonus'], 'payouts')
+    };
+    const total = out.placements.reduce((sum, share) => sum + share, 0) + out.killBounty + out.bossKillBonus;
+    if (total > 1 + 1e-9) throw new Error(`payouts shares add up to ${total.toFixed(3)} - they can't exceed 1`);
+    return out;
+}
+
+// How much of the prize pool a round may pay out:
+// fixed - fixedSol each round; percent - poolShare of what's available;
+// rolling - schedule shares in turn, with a jackpotShare round every jackpotEvery rounds (0 = never)
+const PRIZE_BUDGET_MODES = ['fixed', 'percent', 'rolling'];
+
+function validatePrizeBudget(raw) {
+    if (!isObject(raw)) throw new Error('prizeBudget must be an object');
+    if (!PRIZE_BUDGET_MODES.includes(raw.mode)) {
+        throw new Error(`prizeBudget.mode must be one of ${PRIZE_BUDGET_MODES.join(', ')}`);
+    }
+    const out = {
+        mode: raw.mode,
+        ...readNumbers(raw, ['fixedSol', 'poolShare', 'jackpotEvery', 'jackpotShare'], 'prizeBudget')
+    };
+    if (!Array.isArray(raw.schedule) || raw.schedule.length === 0 ||
+        !raw.schedule.every(share => isFiniteNumber(share) && share >= 0 && share <= 1)) {
+        throw new Error('prizeBudget.schedule must be a non-empty array of pool shares between 0 and 1');
+    }
+    out.schedule = raw.schedule.slice();
+    if (out.poolShare > 1 || out.jackpotShare > 1) throw new Error('prizeBudget.poolShare and jackpotShare must be between 0 and 1');
+    if (!Number.isInteger(out.jackpotEvery)) throw new Error('prizeBudget.jackpotEvery must be a whole number of rounds');
+    return out;
+}
+
+function validateStorm(raw) {
+    if (!isObject(raw) || !Array.isArray(raw.phases) || raw.phases.length === 0) {
+        throw new Error('storm.phases must be a non-empty array');
+    }
+    return {
+        phases: raw.phases.map((phase, i) => {
+            const out = readNumbers(phase, STORM_PHASE_FIELDS, `storm.phases[${i}]`);
+            if (out.size > 1) throw new Error(`storm.phases[${i}].size is a fraction of the map and can't exceed 1`);
+            return out;
+        })
+    };
+}
+
+/**
+ * Validate a parsed balance file and normalize it into the runtime shape
+ * @param {object} raw - Parsed JSON
+ * @param {object} [previous] - Balance in use; weapon ids can't change without a restart
+ * @returns {object} Normalized balance
+ * @throws {Error} Describing the first problem found
+ */
+function validateBalance(raw, previous) {
+    if (!isObject(raw)) throw new Error('balance must be a JSON object');
+
+    const weapons = validateWeapons(raw.weapons);
+    if (previous) {
+        const before = Object.keys(previous.weapons).sort().join(',');
+        const after = Object.keys(weapons).sort().join(',');
+        if (before !== after) {
+            throw new Error(`weapon ids changed (${before} -> ${after}) - adding or removing weapons needs a restart`);
+        }
+    }
+
+    const rarity = validateRarity(raw.rarity);
+
+    if (!isObject(raw.throwables)) throw new Error('throwables must be an object');
+    const throwables = {};
+    for (const [id, fields] of Object.entries(THROWABLE_FIELDS)) {
+        throwables[id] = { id, ...readNumbers(raw.throwables[id], fields, `throwables.${id}`) };
+    }
+
+    const loot = readNumbers(raw.loot, LOOT_FIELDS, 'loot');
+    if (loot.deathDropShieldShare > 1) throw new Error('loot.deathDropShieldShare must be between 0 and 1');
+
+    const player = readNumbers(raw.player, PLAYER_FIELDS, 'player');
+    if (player.maxHealth > MAX_BYTE_STAT || player.maxShield > MAX_BYTE_STAT) {
+        throw new Error(`player.maxHealth and maxShield can't exceed ${MAX_BYTE_STAT}`);
+    }
+    if (player.spawnHealth <= 0 || player.spawnHealth > player.maxHealth) {
+        throw new Error('player.spawnHealth must be above 0 and at most maxHealth');
+    }
+
+    const npc = readNumbers(raw.npc, NPC_FIELDS, 'npc');
+    if (npc.health <= 0 || npc.health > MAX_BYTE_STAT || npc.shield > MAX_BYTE_STAT) {
+        throw new Error(`npc.health must be above 0, npc.health and npc.shield at most ${MAX_BYTE_STAT}`);
+    }
+    validateBrainTuning(npc, 'npc');
+
+    // Precomputed stat variants - weaponVariants[weaponId][tier]
+    const weaponVariants = {};
+    for (const weapon of Object.values(weapons)) {
+        weaponVariants[weapon.id] = rarity.tiers.map(tier => ({
+            ...weapon,
+            damage: Math.round(weapon.damage * tier.damage),
+            fireRate: Math.round(weapon.fireRate * tier.fireRate),
+            spread: weapon.spread * tier.spread
+        }));
+    }
+
+    return {
+        loadedAt: Date.now(),
+        weapons,
+        weaponVariants,
+        rarity,
+        throwables,
+        loot,
+        player,
+        storm: validateStorm(raw.storm),
+        npc,
+        npcDifficulty: validateNpcDifficulty(raw.npcDifficulty, npc),
+        bots: validateBots(raw.bots),
+        payouts: validatePayouts(raw.payouts),
+        prizeBudget: validatePrizeBudget(raw.prizeBudget)
+    };
+}
+
+/**
+ * Read and validate BALANCE_FILE, replacing the current balance if it passes
+ * @returns {object} The new balance
+ * @throws {Error} If the file is missing, not JSON or invalid - the current balance stays
+ */
+function loadBalance() {
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(BALANCE_FILE, 'utf8'));
+    } catch (error) {
+        throw new Error(`could not read ${BALANCE_FILE}: ${error.message}`);
+    }
+    const balance = validateBalance(raw, current);
+    current = balance;
+    console.log(`[BALANCE] Loaded ${Object.keys(balance.weapons).length} weapon(s), ` +
+        `${balance.rarity.tiers.length} rarity tier(s), ${balance.storm.phases.length} storm phase(s) from ${BALANCE_FILE}`);
+    return balance;
+}
+
+function getBalance() {
+    return current;
+}
+
+module.exports = {
+    loadBalance,
+    validateBalance,
+    getBalance
+};
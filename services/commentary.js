@@ -0,0 +1,140 @@
+/**
+ * Commentary Service - turns game events into paced Claude chat
+ * Each arena gets a commentator holding a rule per event (priority, cooldown, lines).
+ * Events queue up and go out one at a time with a minimum gap, highest priority
+ * first; lines about events that waited too long are dropped rather than sent late.
+ */
+
+const DEFAULT_MIN_GAP_MS = 2500;   // Never two lines closer together than this
+const DEFAULT_MAX_QUEUE = 6;       // Lowest priority lines are dropped past this
+const DEFAULT_QUEUE_TTL_MS = 4000; // A line this old is about something nobody remembers
+
+// Shuffle bags per line array, so a set plays through before any line repeats
+const lineBags = new WeakMap();
+
+/**
+ * Fill every {key} in a template; keys with no value are left as written
+ * @param {string} template
+ * @param {object} values
+ * @returns {string}
+ */
+function renderTemplate(template, values = {}) {
+    return template.replace(/\{(\w+)\}/g, (match, key) =>
+        values[key] === undefined || values[key] === null ? match : String(values[key])
+    );
+}
+
+/**
+ * Next line from a set - every line is used once per pass, and a new pass never
+ * opens with the line the last one ended on
+ * @param {string[]} lines
+ * @returns {string}
+ */
+function pickLine(lines) {
+    if (lines.length === 1) return lines[0];
+    let bag = lineBags.get(lines);
+    if (!bag || bag.order.length === 0) {
+        const order = lines.map((_, i) => i);
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+        const last = bag ? bag.last : -1;
+        if (order[order.length - 1] === last) [order[0], order[order.length - 1]] = [order[order.length - 1], order[0]];
+        bag = { order, last };
+        lineBags.set(lines, bag);
+    }
+    bag.last = bag.order.pop();
+    return lines[bag.last];
+}
+
+/**
+ * Create a commentator for one arena
+ * @param {object} options
+ * @param {object} options.rules - event -> { priority, cooldownMs, lines, chance? }
+ * @param {function} options.send - (text, extra) called when a line goes out
+ * @param {number} [options.minGapMs]
+ * @param {number} [options.maxQueue]
+ * @param {number} [options.queueTtlMs]
+ */
+function createCommentator({ rules, send, minGapMs = DEFAULT_MIN_GAP_MS,
+    maxQueue = DEFAULT_MAX_QUEUE, queueTtlMs = DEFAULT_QUEUE_TTL_MS }) {
+    const queue = [];             // { event, priority, text, at, extra }
+    const lastFired = new Map();  // event -> when it was last accepted
+    let lastSentAt = -Infinity;
+
+    function flush(now = Date.now()) {
+        for (let i = queue.length - 1; i >= 0; i--) {
+            if (now - queue[i].at > queueTtlMs) queue.splice(i, 1);
+        }
+        if (queue.length === 0 || now - lastSentAt < minGapMs) return;
+
+        let best = 0;
+        for (let i = 1; i < queue.length; i++) {
+            if (queue[i].priority > queue[best].priority) best = i;
+        }
+        const [line] = queue.splice(best, 1);
+        lastSentAt = now;
+        send(line.text, line.extra);
+    }
+
+    /**
+     * Queue a line for an event unless its rule is cooling down
+     * @param {string} event - Rule name
+     * @param {object} [values] - Template values
+     * @param {object} [extra] - { lines } to override the rule's lines; the rest is passed to send
+     * @param {number} [now]
+     * @returns {boolean} Whether a line was queued
+     */
+    function emit(event, values = {}, extra = {}, now = Date.now()) {
+        const rule = rules[event];
+        if (!rule) return false;
+        if (now - (lastFired.get(event) || -Infinity) < (rule.cooldownMs || 0)) return false;
+        if (rule.chance !== undefined && Math.random() > rule.chance) return false;
+
+        const { lines = rule.lines, ...sendExtra } = extra;
+        lastFired.set(event, now);
+        queue.push({ event, priority: rule.priority || 0, text: renderTemplate(pickLine(lines), values), at: now, extra: sendExtra });
+
+        if (queue.length > maxQueue) {
+            let worst = 0;
+            for (let i = 1; i < queue.length; i++) {
+                if (queue[i].priority < queue[worst].priority) worst = i;
+            }
+            queue.splice(worst, 1);
+        }
+        flush(now);
+        return true;
+    }
+
+    /**
+     * Queue only the most notable of several takes on one moment - highest priority
+     * first, falling back to the next when a rule is cooling down
+     * @param {Array<{event: string, values?: object, extra?: object}>} candidates
+     * @param {number} [now]
+     * @returns {string|null} The event that was queued
+     */
+    function emitFirst(candidates, now = Date.now()) {
+        const ranked = candidates
+            .filter(c => rules[c.event])
+            .sort((a, b) => (rules[b.event].priority || 0) - (rules[a.event].priority || 0));
+        for (const candidate of ranked) {
+            if (emit(candidate.event, candidate.values, candidate.extra, now)) return candidate.event;
+        }
+        return null;
+    }
+
+    // Round over - nothing queued is still worth saying
+    function reset() {
+        queue.length = 0;
+        lastFired.clear();
+    }
+
+    return { emit, emitFirst, flush, reset };
+}
+
+module.exports = {
+    renderTemplate,
+    pickLine,
+    createCommentator
+};
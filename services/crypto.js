@@ -30,6 +30,15 @@ function generateSecurePlayerId() {
     return `p_${crypto.randomBytes(16).toString('hex')}`;
 }
 
+/**
+ * Generate a resume token - lets a dropped client rebind to its player
+ * Never broadcast; only sent to the owning socket in the 'j' reply
+ * @returns {string} Base64url encoded token
+ */
+function generateResumeToken() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
 /**
  * Generate a signed claim token for prize redemption
  * Structure: base64url(payload).signature
@@ -127,6 +136,37 @@ function hashClaimToken(token) {
     return crypto.createHash('sha256').update(token).digest('hex');
 }
 
+/**
+ * Generate a single-use nonce for a wallet signature challenge
+ * @returns {string} 128-bit hex nonce
+ */
+function generateChallengeNonce() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Verify an ed25519 signature, as produced by a Solana wallet's signMessage
+ * @param {Buffer|string} message - The exact bytes that were signed
+ * @param {Buffer} signature - 64-byte detached signature
+ * @param {Uint8Array} publicKey - 32-byte ed25519 public key (the wallet address, decoded)
+ * @returns {boolean} True if the signature is valid for this key and message
+ */
+function verifyEd25519Signature(message, signature, publicKey) {
+    if (!Buffer.isBuffer(signature) || signature.length !== 64 || !publicKey || publicKey.length !== 32) {
+        return false;
+    }
+
+    try {
+        const key = crypto.createPublicKey({
+            key: { kty: 'OKP', crv: 'Ed25519', x: Buffer.from(publicKey).toString('base64url') },
+            format: 'jwk'
+        });
+        return crypto.verify(null, Buffer.from(message), key, signature);
+    } catch (e) {
+        return false;
+    }
+}
+
 /**
  * Generate a secure API key for admin authentication
  * @returns {string} 256-bit API key
@@ -156,9 +196,12 @@ function secureCompare(a, b) {
 module.exports = {
     generateSecureSessionId,
     generateSecurePlayerId,
+    generateResumeToken,
     generateClaimToken,
     verifyClaimToken,
     hashClaimToken,
+    generateChallengeNonce,
+    verifyEd25519Signature,
     generateApiKey,
     secureCompare
     // SECURITY (M-3 fix): CLAIM_SECRET is NOT exported
@@ -21,6 +21,59 @@ const pool = DATABASE_URL ? new Pool({
     connectionTimeoutMillis: 10000
 }) : null;
 
+// ============================================================================
+// PRIZE POOL LEDGER
+// ============================================================================
+// Double-entry: every entry moves amount_lamports from credit_account to debit_account,
+// so an account's balance is what it was debited minus what it was credited.
+//   fees        - creator fee income (external, runs negative)
+//   pool        - prize funds not promised to anyone yet
+//   claims      - reserved for issued claims until they're paid, released or expire
+//   payouts     - sent to winners (external)
+//   adjustments - manual corrections with an admin reason (external)
+// The prize wallet should hold pool + claims. Entries are never updated or deleted.
+const LEDGER_ENTRY_TYPES = {
+    fee_share_in: { debit: 'pool', credit: 'fees' },
+    claim_reserved: { debit: 'claims', credit: 'pool' },
+    claim_paid: { debit: 'payouts', credit: 'claims' },
+    claim_released: { debit: 'pool', credit: 'claims' },   // Reserved but not paid out (pool ran short, capped, failed)
+    claim_expired: { debit: 'pool', credit: 'claims' },
+    manual_adjustment: null                                 // Direction follows the sign of the amount
+};
+const LEDGER_ACCOUNTS = ['fees', 'pool', 'claims', 'payouts', 'adjustments'];
+// Claim statuses that still hold a reservation in the claims account
+const OPEN_CLAIM_STATUSES = ['eligible', 'queued', 'processing'];
+
+// Ledger amounts are whole lamports - pg hands BIGINT back as a string
+function solToLamports(sol) {
+    return BigInt(Math.round((parseFloat(sol) || 0) * 1e9));
+}
+
+function lamportsToSol(lamports) {
+    return Number(BigInt(lamports)) / 1e9;
+}
+
+/**
+ * Append one ledger entry - pass the transaction's client so it commits with the change it records
+ * @param {Object} db - pool or a client inside a transaction
+ * @param {Object} entry - { type, lamports (BigInt, > 0), debit?, credit?, claimId?, reference?, reason?, actor?, details? }
+ */
+async function insertLedgerEntry(db, entry) {
+    const accounts = LEDGER_ENTRY_TYPES[entry.type] || { debit: entry.debit, credit: entry.credit };
+    if (!accounts.debit || !accounts.credit) throw new Error(`Unknown ledger entry type: ${entry.type}`);
+    if (entry.lamports <= 0n) return null;
+
+    const result = await db.query(`
+        INSERT INTO ledger_entries
+            (entry_type, debit_account, credit_account, amount_lamports, claim_id, reference, reason, actor, details)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING *
+    `, [entry.type, accounts.debit, accounts.credit, entry.lamports.toString(), entry.claimId || null,
+        entry.reference || null, entry.reason || null, entry.actor || 'system',
+        entry.details ? JSON.stringify(entry.details) : null]);
+    return result.rows[0];
+}
+
 // Log connection status (not credentials!)
 if (pool) {
     pool.on('connect', () => {
@@ -46,8 +99,10 @@ async function initDatabase() {
                 player_name VARCHAR(100) NOT NULL,
                 winner_session_id VARCHAR(100),
                 prize_amount_sol DECIMAL(18,9) DEFAULT 0,
+                payout_kind VARCHAR(20) DEFAULT 'place-1',
                 wallet_address VARCHAR(50),
                 claim_token_hash VARCHAR(64),
+                signed_wallet VARCHAR(50),
                 claim_status VARCHAR(20) DEFAULT 'eligible',
                 attempts INT DEFAULT 0,
                 created_at TIMESTAMP DEFAULT NOW(),
@@ -70,6 +125,7 @@ async function initDatabase() {
                 status VARCHAR(20) DEFAULT 'pending'
             );
 
+            -- Legacy running balance - superseded by ledger_entries, only read for the opening balance
             CREATE TABLE IF NOT EXISTS prize_pool (
                 id SERIAL PRIMARY KEY,
                 balance_sol DECIMAL(18,9) DEFAULT 0,
@@ -98,6 +154,21 @@ async function initDatabase() {
                 last_updated TIMESTAMP DEFAULT NOW()
             );
 
+            CREATE TABLE IF NOT EXISTS ledger_entries (
+                id BIGSERIAL PRIMARY KEY,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                entry_type VARCHAR(30) NOT NULL,
+                debit_account VARCHAR(20) NOT NULL,
+                credit_account VARCHAR(20) NOT NULL,
+                amount_lamports BIGINT NOT NULL CHECK (amount_lamports > 0),
+                claim_id INT REFERENCES pending_claims(id),
+                reference VARCHAR(100),
+                reason TEXT,
+                actor VARCHAR(100) NOT NULL DEFAULT 'system',
+                details JSONB,
+                CHECK (debit_account <> credit_account)
+            );
+
             CREATE TABLE IF NOT EXISTS security_events (
                 id SERIAL PRIMARY KEY,
                 event_type VARCHAR(50) NOT NULL,
@@ -112,6 +183,18 @@ async function initDatabase() {
             CREATE INDEX IF NOT EXISTS idx_claims_session ON pending_claims(winner_session_id);
             CREATE INDEX IF NOT EXISTS idx_claims_status ON pending_claims(claim_status);
             CREATE INDEX IF NOT EXISTS idx_claims_token_hash ON pending_claims(claim_token_hash);
+            CREATE INDEX IF NOT EXISTS idx_ledger_created ON ledger_entries(created_at);
+            CREATE INDEX IF NOT EXISTS idx_ledger_claim ON ledger_entries(claim_id);
+
+            -- Ledger entries are immutable - corrections are new manual_adjustment entries
+            CREATE OR REPLACE FUNCTION ledger_entries_immutable() RETURNS trigger AS $$
+            BEGIN
+                RAISE EXCEPTION 'ledger_entries are append-only';
+            END;
+            $$ LANGUAGE plpgsql;
+            DROP TRIGGER IF EXISTS ledger_entries_append_only ON ledger_entries;
+            CREATE TRIGGER ledger_entries_append_only BEFORE UPDATE OR DELETE ON ledger_entries
+                FOR EACH ROW EXECUTE FUNCTION ledger_entries_immutable();
 
             -- Migration: Add columns if they don't exist (for existing deployments)
             DO $$
@@ -125,31 +208,115 @@ async function initDatabase() {
                 IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='pending_claims' AND column_name='processing_locked_by') THEN
                     ALTER TABLE pending_claims ADD COLUMN processing_locked_by VARCHAR(50);
                 END IF;
+                IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='pending_claims' AND column_name='payout_kind') THEN
+                    ALTER TABLE pending_claims ADD COLUMN payout_kind VARCHAR(20) DEFAULT 'place-1';
+                END IF;
+                IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='pending_claims' AND column_name='signed_wallet') THEN
+                    ALTER TABLE pending_claims ADD COLUMN signed_wallet VARCHAR(50);
+                END IF;
             END $$;
         `);
+        await openLedger(client);
         console.log('[DB] Database tables initialized');
     } finally {
         client.release();
     }
 }
 
-async function createPendingClaim(roundId, playerName, sessionId, prizeAmount, tokenHash = null) {
+/**
+ * First run with the ledger: carry over the legacy prize_pool balance and reserve
+ * every claim still open, so the ledger starts from where the old books left off
+ */
+async function openLedger(client) {
+    await client.query('BEGIN');
+    try {
+        // Several instances may start at once - only one writes the opening entries
+        await client.query(`SELECT pg_advisory_xact_lock(hashtext('ledger_entries_opening'))`);
+        const existing = await client.query('SELECT 1 FROM ledger_entries LIMIT 1');
+        if (existing.rows.length > 0) {
+            await client.query('COMMIT');
+            return;
+        }
+
+        const legacy = await client.query('SELECT balance_sol FROM prize_pool LIMIT 1');
+        const opening = solToLamports(legacy.rows[0]?.balance_sol);
+        await insertLedgerEntry(client, {
+            type: 'manual_adjustment', debit: 'pool', credit: 'adjustments', lamports: opening,
+            reason: 'Opening balance carried over from prize_pool', actor: 'migration'
+        });
+
+        const open = await client.query(`
+            SELECT id, round_id, prize_amount_sol FROM pending_claims WHERE claim_status = ANY($1)
+        `, [OPEN_CLAIM_STATUSES]);
+        for (const claim of open.rows) {
+            await insertLedgerEntry(client, {
+                type: 'claim_reserved', lamports: solToLamports(claim.prize_amount_sol),
+                claimId: claim.id, reference: claim.round_id, actor: 'migration'
+            });
+        }
+
+        await client.query('COMMIT');
+        if (opening > 0n || open.rows.length > 0) {
+            console.log(`[DB] Ledger opened with ${lamportsToSol(opening)} SOL and ${open.rows.length} open claim(s)`);
+        }
+    } catch (e) {
+        await client.query('ROLLBACK');
+        throw e;
+    }
+}
+
+// roundId is per claim - a round that pays several awards has one row (and id) per award.
+// The prize is reserved in the ledger in the same transaction.
+// signedWallet - wallet the winner proved they control; the claim only pays out there
+async function createPendingClaim(roundId, playerName, sessionId, prizeAmount, tokenHash = null, payoutKind = 'place-1', signedWallet = null) {
     if (!pool) throw new Error('Database not configured');
 
-    const result = await pool.query(`
-        INSERT INTO pending_claims (round_id, player_name, winner_session_id, prize_amount_sol, claim_token_hash)
-        VALUES ($1, $2, $3, $4, $5)
-        ON CONFLICT (round_id) DO UPDATE SET
-            player_name = $2,
-            winner_session_id = $3,
-            prize_amount_sol = $4,
-            claim_token_hash = $5,
-            claim_status = 'eligible',
-            created_at = NOW(),
-            expires_at = NOW() + INTERVAL '24 hours'
-        RETURNING *
-    `, [roundId, playerName, sessionId, prizeAmount, tokenHash]);
-    return result.rows[0];
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        // Re-issuing a claim id only reserves the difference from what it already held
+        const existing = await client.query(`
+            SELECT prize_amount_sol, claim_status FROM pending_claims WHERE round_id = $1 FOR UPDATE
+        `, [roundId]);
+        const previous = existing.rows[0];
+        const alreadyReserved = previous && OPEN_CLAIM_STATUSES.includes(previous.claim_status)
+            ? solToLamports(previous.prize_amount_sol) : 0n;
+
+        const result = await client.query(`
+            INSERT INTO pending_claims (round_id, player_name, winner_session_id, prize_amount_sol, claim_token_hash, payout_kind, signed_wallet)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            ON CONFLICT (round_id) DO UPDATE SET
+                player_name = $2,
+                winner_session_id = $3,
+                prize_amount_sol = $4,
+                claim_token_hash = $5,
+                payout_kind = $6,
+                signed_wallet = $7,
+                claim_status = 'eligible',
+                created_at = NOW(),
+                expires_at = NOW() + INTERVAL '24 hours'
+            RETURNING *
+        `, [roundId, playerName, sessionId, prizeAmount, tokenHash, payoutKind, signedWallet]);
+        const claim = result.rows[0];
+
+        const change = solToLamports(prizeAmount) - alreadyReserved;
+        await insertLedgerEntry(client, {
+            type: change >= 0n ? 'claim_reserved' : 'claim_released',
+            lamports: change >= 0n ? change : -change,
+            claimId: claim.id,
+            reference: roundId,
+            details: { player: playerName, kind: payoutKind }
+        });
+
+        await client.query('COMMIT');
+        return claim;
+    } catch (e) {
+        await client.query('ROLLBACK');
+        throw e;
+    } finally {
+        client.release();
+    }
 }
 
 async function getPendingClaim(roundId) {
@@ -196,9 +363,10 @@ async function getClaimByTokenHash(tokenHash) {
  * Uses FOR UPDATE to lock the row during the entire transaction
  * @param {string} tokenHash - SHA256 hash of the claim token
  * @param {string} walletAddress - Destination wallet address
- * @returns {Object} { claim, success, error }
+ * @param {boolean} [requireSignedWallet] - Refuse claims the winner never linked a wallet to
+ * @returns {Object} { claim, success, error, signedWallet } - signedWallet set when the address didn't match it
  */
-async function lockAndSubmitClaim(tokenHash, walletAddress) {
+async function lockAndSubmitClaim(tokenHash, walletAddress, requireSignedWallet = false) {
     if (!pool) throw new Error('Database not configured');
 
     const client = await pool.connect();
@@ -226,6 +394,21 @@ async function lockAndSubmitClaim(tokenHash, walletAddress) {
             return { success: false, error: 'Claim already processed', claim: null };
         }
 
+        // A wallet the winner signed for is the only place this prize can go
+        if (claim.signed_wallet && claim.signed_wallet !== walletAddress) {
+            await client.query('ROLLBACK');
+            return {
+                success: false,
+                error: 'This prize can only be paid to the wallet you signed with',
+                claim: null,
+                signedWallet: claim.signed_wallet
+            };
+        }
+        if (!claim.signed_wallet && requireSignedWallet) {
+            await client.query('ROLLBACK');
+            return { success: false, error: 'Sign the claim with your wallet to receive this prize', claim: null };
+        }
+
         // Update to queued status atomically
         const updateResult = await client.query(`
             UPDATE pending_claims
@@ -253,27 +436,79 @@ async function updateClaimWallet(claimId, walletAddress) {
         UPDATE pending_claims
         SET wallet_address = $2, claim_status = 'queued'
         WHERE id = $1 AND claim_status = 'eligible'
+        AND (signed_wallet IS NULL OR signed_wallet = $2)
         RETURNING *
     `, [claimId, walletAddress]);
     return result.rows[0];
 }
 
-async function updateClaimStatus(claimId, status, txSignature = null, errorMessage = null) {
+/**
+ * Bind a wallet the winner signed for to the session's unredeemed claims
+ * @returns {Array} Bound rows (round_id)
+ */
+async function bindSessionClaimsWallet(sessionId, walletAddress) {
     if (!pool) throw new Error('Database not configured');
 
     const result = await pool.query(`
         UPDATE pending_claims
-        SET claim_status = $2,
-            tx_signature = COALESCE($3, tx_signature),
-            error_message = $4,
-            claimed_at = CASE WHEN $2 = 'paid' THEN NOW() ELSE claimed_at END,
-            attempts = attempts + 1,
-            processing_locked_at = NULL,
-            processing_locked_by = NULL
-        WHERE id = $1
-        RETURNING *
-    `, [claimId, status, txSignature, errorMessage]);
-    return result.rows[0];
+        SET signed_wallet = $2
+        WHERE winner_session_id = $1
+        AND claim_status = 'eligible'
+        AND expires_at > NOW()
+        RETURNING round_id
+    `, [sessionId, walletAddress]);
+    return result.rows;
+}
+
+/**
+ * Book the reservation back to the pool when a claim closes without being paid
+ * Paid claims are settled by completeClaimPayout, expired ones by expireStaleClaims
+ */
+async function releaseClosedClaim(client, previousStatus, claim, reason) {
+    if (!claim || !OPEN_CLAIM_STATUSES.includes(previousStatus)) return null;
+    if (OPEN_CLAIM_STATUSES.includes(claim.claim_status) || claim.claim_status === 'paid') return null;
+
+    return insertLedgerEntry(client, {
+        type: 'claim_released', lamports: solToLamports(claim.prize_amount_sol),
+        claimId: claim.id, reference: claim.round_id, reason
+    });
+}
+
+async function updateClaimStatus(claimId, status, txSignature = null, errorMessage = null) {
+    if (!pool) throw new Error('Database not configured');
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const previous = await client.query(`
+            SELECT claim_status FROM pending_claims WHERE id = $1 FOR UPDATE
+        `, [claimId]);
+
+        const result = await client.query(`
+            UPDATE pending_claims
+            SET claim_status = $2,
+                tx_signature = COALESCE($3, tx_signature),
+                error_message = $4,
+                claimed_at = CASE WHEN $2 = 'paid' THEN NOW() ELSE claimed_at END,
+                attempts = attempts + 1,
+                processing_locked_at = NULL,
+                processing_locked_by = NULL
+            WHERE id = $1
+            RETURNING *
+        `, [claimId, status, txSignature, errorMessage]);
+        const claim = result.rows[0];
+
+        await releaseClosedClaim(client, previous.rows[0]?.claim_status, claim, errorMessage || `Claim ${status}`);
+
+        await client.query('COMMIT');
+        return claim;
+    } catch (e) {
+        await client.query('ROLLBACK');
+        throw e;
+    } finally {
+        client.release();
+    }
 }
 
 async function getQueuedClaims() {
@@ -352,6 +587,11 @@ async function completeClaimPayout(claimId, txSignature, amountSol) {
     try {
         await client.query('BEGIN');
 
+        const claimRow = await client.query(`
+            SELECT round_id, prize_amount_sol, wallet_address FROM pending_claims WHERE id = $1 FOR UPDATE
+        `, [claimId]);
+        const claim = claimRow.rows[0];
+
         // Update claim to paid
         await client.query(`
             UPDATE pending_claims
@@ -363,24 +603,26 @@ async function completeClaimPayout(claimId, txSignature, amountSol) {
             WHERE id = $1
         `, [claimId, txSignature]);
 
-        // Subtract from prize pool
-        await client.query(`
-            UPDATE prize_pool
-            SET balance_sol = GREATEST(0, balance_sol - $1),
-                last_updated = NOW()
-        `, [amountSol]);
+        // Move the payout out of the claims account; any part of the reservation
+        // that wasn't sent (capped, pool ran short) goes back to the pool
+        const paid = solToLamports(amountSol);
+        await insertLedgerEntry(client, {
+            type: 'claim_paid', lamports: paid, claimId, reference: txSignature,
+            details: claim ? { roundId: claim.round_id, wallet: claim.wallet_address } : null
+        });
+        if (claim) {
+            await insertLedgerEntry(client, {
+                type: 'claim_released', lamports: solToLamports(claim.prize_amount_sol) - paid,
+                claimId, reference: claim.round_id, reason: 'Paid less than reserved'
+            });
+        }
 
         // Log payout
-        const claimResult = await client.query(
-            'SELECT wallet_address FROM pending_claims WHERE id = $1',
-            [claimId]
-        );
-
-        if (claimResult.rows[0]) {
+        if (claim) {
             await client.query(`
                 INSERT INTO payouts (claim_id, wallet_address, amount_sol, tx_signature, status, completed_at)
                 VALUES ($1, $2, $3, $4, 'completed', NOW())
-            `, [claimId, claimResult.rows[0].wallet_address, amountSol, txSignature]);
+            `, [claimId, claim.wallet_address, amountSol, txSignature]);
         }
 
         await client.query('COMMIT');
@@ -395,55 +637,200 @@ async function completeClaimPayout(claimId, txSignature, amountSol) {
 
 /**
  * Release a claim lock if processing fails
+ * After the last attempt the claim fails and its reservation goes back to the pool
  */
 async function releaseClaimLock(claimId, errorMessage = null) {
     if (!pool) throw new Error('Database not configured');
 
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const previous = await client.query(`
+            SELECT claim_status FROM pending_claims WHERE id = $1 FOR UPDATE
+        `, [claimId]);
+
+        const result = await client.query(`
+            UPDATE pending_claims
+            SET claim_status = CASE
+                    WHEN attempts >= 3 THEN 'failed'
+                    ELSE 'queued'
+                END,
+                error_message = $2,
+                processing_locked_at = NULL,
+                processing_locked_by = NULL,
+                attempts = attempts + 1
+            WHERE id = $1
+            RETURNING *
+        `, [claimId, errorMessage]);
+        const claim = result.rows[0];
+
+        await releaseClosedClaim(client, previous.rows[0]?.claim_status, claim,
+            `Payout failed after ${claim?.attempts} attempts${errorMessage ? `: ${errorMessage}` : ''}`);
+
+        await client.query('COMMIT');
+        return claim;
+    } catch (e) {
+        await client.query('ROLLBACK');
+        throw e;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Account balances derived from the ledger
+ * @param {Date} [asOf] - Only entries before this time; latest when omitted
+ * @returns {Object} account -> { lamports (string), sol }
+ */
+async function getLedgerBalances(asOf = null) {
+    if (!pool) throw new Error('Database not configured');
+
     const result = await pool.query(`
-        UPDATE pending_claims
-        SET claim_status = CASE
-                WHEN attempts >= 3 THEN 'failed'
-                ELSE 'queued'
-            END,
-            error_message = $2,
-            processing_locked_at = NULL,
-            processing_locked_by = NULL,
-            attempts = attempts + 1
-        WHERE id = $1
-        RETURNING *
-    `, [claimId, errorMessage]);
-    return result.rows[0];
+        SELECT account, SUM(amount)::text AS lamports FROM (
+            SELECT debit_account AS account, amount_lamports AS amount FROM ledger_entries
+            WHERE $1::timestamptz IS NULL OR created_at < $1
+            UNION ALL
+            SELECT credit_account, -amount_lamports FROM ledger_entries
+            WHERE $1::timestamptz IS NULL OR created_at < $1
+        ) moves GROUP BY account
+    `, [asOf]);
+
+    const balances = {};
+    for (const account of LEDGER_ACCOUNTS) balances[account] = { lamports: '0', sol: 0 };
+    for (const row of result.rows) {
+        balances[row.account] = { lamports: row.lamports, sol: lamportsToSol(row.lamports) };
+    }
+    return balances;
 }
 
+// What the prize wallet should hold - unallocated funds plus claims not yet paid
 async function getPrizePoolBalance() {
+    const balances = await getLedgerBalances();
+    return lamportsToSol(BigInt(balances.pool.lamports) + BigInt(balances.claims.lamports));
+}
+
+/**
+ * Ledger entries in [from, to), oldest first
+ * @param {Object} range - { from?: Date, to?: Date, type?: string, limit?: number, offset?: number }
+ */
+async function getLedgerEntries({ from = null, to = null, type = null, limit = 500, offset = 0 } = {}) {
     if (!pool) throw new Error('Database not configured');
 
-    const result = await pool.query(`SELECT balance_sol FROM prize_pool LIMIT 1`);
-    return parseFloat(result.rows[0]?.balance_sol) || 0;
+    const result = await pool.query(`
+        SELECT * FROM ledger_entries
+        WHERE ($1::timestamptz IS NULL OR created_at >= $1)
+        AND ($2::timestamptz IS NULL OR created_at < $2)
+        AND ($3::text IS NULL OR entry_type = $3)
+        ORDER BY created_at, id
+        LIMIT $4 OFFSET $5
+    `, [from, to, type, limit, offset]);
+    return result.rows.map(row => ({ ...row, amount_sol: lamportsToSol(row.amount_lamports) }));
 }
 
-async function updatePrizePoolBalance(amount) {
+// Totals per entry type in [from, to) - the whole range, not just one page of entries
+async function getLedgerTotals(from = null, to = null) {
     if (!pool) throw new Error('Database not configured');
 
-    await pool.query(`
-        UPDATE prize_pool SET balance_sol = $1, last_updated = NOW()
-    `, [amount]);
+    const result = await pool.query(`
+        SELECT entry_type, COUNT(*)::int AS count, SUM(amount_lamports)::text AS lamports
+        FROM ledger_entries
+        WHERE ($1::timestamptz IS NULL OR created_at >= $1)
+        AND ($2::timestamptz IS NULL OR created_at < $2)
+        GROUP BY entry_type
+    `, [from, to]);
+
+    const totals = {};
+    for (const row of result.rows) {
+        totals[row.entry_type] = { count: row.count, lamports: row.lamports, sol: lamportsToSol(row.lamports) };
+    }
+    return totals;
 }
 
-async function addToPrizePool(amount) {
+// SOL already promised to winners - claims still open or waiting to be paid
+async function getOutstandingClaimsTotal() {
     if (!pool) throw new Error('Database not configured');
 
-    await pool.query(`
-        UPDATE prize_pool SET balance_sol = balance_sol + $1, last_updated = NOW()
-    `, [amount]);
+    const result = await pool.query(`
+        SELECT COALESCE(SUM(prize_amount_sol), 0) AS total FROM pending_claims
+        WHERE (claim_status = 'eligible' AND expires_at > NOW())
+        OR claim_status IN ('queued', 'processing')
+    `);
+    return parseFloat(result.rows[0]?.total) || 0;
+}
+
+/**
+ * Mark eligible claims past expires_at as expired and credit their reserve back to the pool
+ * A single UPDATE takes each row lock, so a claim being submitted right now either
+ * locks first (and is past 'eligible') or is already expired when it does
+ * @returns {Array} Expired rows, each with the lamports credited back (credited_lamports)
+ */
+async function expireStaleClaims() {
+    if (!pool) throw new Error('Database not configured');
+
+    // The expiry and the pool credit land in one statement - neither happens without the other
+    const result = await pool.query(`
+        WITH expired AS (
+            UPDATE pending_claims
+            SET claim_status = 'expired',
+                error_message = 'Not claimed before expiry'
+            WHERE claim_status = 'eligible'
+            AND expires_at <= NOW()
+            RETURNING id, round_id, player_name, prize_amount_sol, payout_kind
+        ), credited AS (
+            INSERT INTO ledger_entries (entry_type, debit_account, credit_account, amount_lamports, claim_id, reference)
+            SELECT 'claim_expired', 'pool', 'claims', ROUND(prize_amount_sol * 1000000000)::bigint, id, round_id
+            FROM expired WHERE ROUND(prize_amount_sol * 1000000000) > 0
+            RETURNING claim_id, amount_lamports
+        )
+        SELECT expired.*, COALESCE(credited.amount_lamports, 0) AS credited_lamports
+        FROM expired LEFT JOIN credited ON credited.claim_id = expired.id
+    `);
+    return result.rows;
 }
 
-async function subtractFromPrizePool(amount) {
+async function getExpiredClaimsSummary() {
     if (!pool) throw new Error('Database not configured');
 
-    await pool.query(`
-        UPDATE prize_pool SET balance_sol = GREATEST(0, balance_sol - $1), last_updated = NOW()
-    `, [amount]);
+    const result = await pool.query(`
+        SELECT COUNT(*)::int AS count, COALESCE(SUM(prize_amount_sol), 0) AS total
+        FROM pending_claims WHERE claim_status = 'expired'
+    `);
+    return {
+        count: result.rows[0]?.count || 0,
+        totalSol: parseFloat(result.rows[0]?.total) || 0
+    };
+}
+
+// Prize share of a fee claim lands in the pool
+async function addToPrizePool(amount, txSignature = null) {
+    if (!pool) throw new Error('Database not configured');
+
+    return insertLedgerEntry(pool, { type: 'fee_share_in', lamports: solToLamports(amount), reference: txSignature });
+}
+
+/**
+ * Manual correction to the pool - positive adds funds, negative removes them
+ * @param {number} amountSol - Signed amount
+ * @param {string} reason - Why, for the accountant - required
+ * @param {string} actor - Who made it
+ * @param {Object} [details]
+ */
+async function recordManualAdjustment(amountSol, reason, actor, details = null) {
+    if (!pool) throw new Error('Database not configured');
+    if (!reason || typeof reason !== 'string' || !reason.trim()) throw new Error('A manual adjustment needs a reason');
+
+    const lamports = solToLamports(amountSol);
+    const adding = lamports > 0n;
+    return insertLedgerEntry(pool, {
+        type: 'manual_adjustment',
+        debit: adding ? 'pool' : 'adjustments',
+        credit: adding ? 'adjustments' : 'pool',
+        lamports: adding ? lamports : -lamports,
+        reason: reason.trim(),
+        actor,
+        details
+    });
 }
 
 async function logFeeClaim(totalClaimed, creatorShare, prizeShare, reserveShare, txSignature) {
@@ -528,6 +915,7 @@ async function healthCheck() {
 
 module.exports = {
     pool,
+    LEDGER_ENTRY_TYPES: Object.keys(LEDGER_ENTRY_TYPES),
     initDatabase,
     createPendingClaim,
     getPendingClaim,
@@ -535,15 +923,21 @@ module.exports = {
     getClaimByTokenHash,
     lockAndSubmitClaim, // SECURITY: Atomic claim submission
     updateClaimWallet,
+    bindSessionClaimsWallet,
     updateClaimStatus,
     getQueuedClaims,
     getAndLockClaimForProcessing,
     completeClaimPayout,
     releaseClaimLock,
     getPrizePoolBalance,
-    updatePrizePoolBalance,
+    getOutstandingClaimsTotal,
+    expireStaleClaims,
+    getExpiredClaimsSummary,
     addToPrizePool,
-    subtractFromPrizePool,
+    recordManualAdjustment,
+    getLedgerBalances,
+    getLedgerEntries,
+    getLedgerTotals,
     logFeeClaim,
     logPayout,
     getRecentPayouts,
@@ -0,0 +1,220 @@
+/**
+ * Map Service - loads arena layouts from maps/*.json
+ * Each map defines its bounds, cover, spawn points, weighted loot zones and floor theme.
+ * Invalid files are skipped with a logged error so one bad map never takes the server down.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const MAPS_DIR = process.env.MAPS_DIR || path.join(__dirname, '..', 'maps');
+
+// Obstacle types the server knows how to collide/occlude with
+const OBSTACLE_TYPES = {
+    crate: { blocksSight: false },  // Low cover - stops bullets, can see over it
+    wall: { blocksSight: true },
+    pillar: { blocksSight: true }
+};
+
+// Floor themes the client has palettes for (see FLOOR_THEMES in public/game.js)
+const MAP_THEMES = ['chatbox', 'terminal'];
+
+const MIN_MAP_DIMENSION = 600;
+const MAX_MAP_DIMENSION = 6000;
+const SPAWN_CLEARANCE = 30; // PLAYER_RADIUS + margin
+
+// Used when no valid map file could be loaded
+const FALLBACK_MAP = {
+    id: 'empty',
+    name: 'Empty Box',
+    theme: 'chatbox',
+    width: 2000,
+    height: 2000,
+    obstacles: [],
+    spawnPoints: [],
+    lootZones: []
+};
+
+let mapsById = new Map();
+let rotation = [FALLBACK_MAP];
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isRect(r) {
+    return r && isFiniteNumber(r.x) && isFiniteNumber(r.y) &&
+        isFiniteNumber(r.w) && isFiniteNumber(r.h) && r.w > 0 && r.h > 0;
+}
+
+function rectInside(r, width, height) {
+    return r.x >= 0 && r.y >= 0 && r.x + r.w <= width && r.y + r.h <= height;
+}
+
+function pointInRect(x, y, r, margin) {
+    return x > r.x - margin && x < r.x + r.w + margin &&
+        y > r.y - margin && y < r.y + r.h + margin;
+}
+
+/**
+ * Validate a parsed map file and normalize it into the runtime shape
+ * @param {object} raw - Parsed JSON
+ * @param {string[]} lootTypeIds - Loot types a zone is allowed to weight
+ * @returns {object} Normalized map
+ * @throws {Error} Describing the first problem found
+ */
+function validateMap(raw, lootTypeIds) {
+    if (!raw || typeof raw !== 'object') throw new Error('map must be a JSON object');
+    if (typeof raw.id !== 'string' || !/^[a-z0-9_-]{1,32}$/.test(raw.id)) {
+        throw new Error('id must be 1-32 chars of a-z, 0-9, _ or -');
+    }
+    if (typeof raw.name !== 'string' || raw.name.length === 0 || raw.name.length > 40) {
+        throw new Error('name must be a 1-40 char string');
+    }
+    if (!MAP_THEMES.includes(raw.theme)) {
+        throw new Error(`theme must be one of: ${MAP_THEMES.join(', ')}`);
+    }
+
+    const bounds = raw.bounds || {};
+    const width = bounds.width;
+    const height = bounds.height;
+    if (!isFiniteNumber(width) || !isFiniteNumber(height) ||
+        width < MIN_MAP_DIMENSION || height < MIN_MAP_DIMENSION ||
+        width > MAX_MAP_DIMENSION || height > MAX_MAP_DIMENSION) {
+        throw new Error(`bounds.width/height must be between ${MIN_MAP_DIMENSION} and ${MAX_MAP_DIMENSION}`);
+    }
+
+    const obstacles = raw.obstacles || [];
+    if (!Array.isArray(obstacles)) throw new Error('obstacles must be an array');
+    obstacles.forEach((o, i) => {
+        if (!OBSTACLE_TYPES[o.type]) throw new Error(`obstacles[${i}] has unknown type "${o.type}"`);
+        if (!isRect(o)) throw new Error(`obstacles[${i}] needs numeric x, y and positive w, h`);
+        if (!rectInside(o, width, height)) throw new Error(`obstacles[${i}] is outside the map bounds`);
+    });
+
+    const spawnPoints = raw.spawnPoints || [];
+    if (!Array.isArray(spawnPoints)) throw new Error('spawnPoints must be an array');
+    spawnPoints.forEach((s, i) => {
+        if (!s || !isFiniteNumber(s.x) || !isFiniteNumber(s.y)) {
+            throw new Error(`spawnPoints[${i}] needs numeric x, y`);
+        }
+        if (s.x < SPAWN_CLEARANCE || s.y < SPAWN_CLEARANCE ||
+            s.x > width - SPAWN_CLEARANCE || s.y > height - SPAWN_CLEARANCE) {
+            throw new Error(`spawnPoints[${i}] is too close to the map edge`);
+        }
+        if (obstacles.some(o => pointInRect(s.x, s.y, o, SPAWN_CLEARANCE))) {
+            throw new Error(`spawnPoints[${i}] is inside or touching cover`);
+        }
+    });
+
+    const lootZones = raw.lootZones || [];
+    if (!Array.isArray(lootZones)) throw new Error('lootZones must be an array');
+    lootZones.forEach((z, i) => {
+        if (!isRect(z)) throw new Error(`lootZones[${i}] needs numeric x, y and positive w, h`);
+        if (!rectInside(z, width, height)) throw new Error(`lootZones[${i}] is outside the map bounds`);
+        if (!isFiniteNumber(z.weight) || z.weight <= 0) {
+            throw new Error(`lootZones[${i}] weight must be a positive number`);
+        }
+        if (z.types !== undefined) {
+            if (!z.types || typeof z.types !== 'object' || Object.keys(z.types).length === 0) {
+                throw new Error(`lootZones[${i}] types must be a non-empty object`);
+            }
+            for (const [type, weight] of Object.entries(z.types)) {
+                if (!lootTypeIds.includes(type)) throw new Error(`lootZones[${i}] has unknown loot type "${type}"`);
+                if (!isFiniteNumber(weight) || weight <= 0) {
+                    throw new Error(`lootZones[${i}] weight for "${type}" must be a positive number`);
+                }
+            }
+        }
+    });
+
+    return {
+        id: raw.id,
+        name: raw.name,
+        theme: raw.theme,
+        width,
+        height,
+        obstacles: obstacles.map(o => ({ type: o.type, x: o.x, y: o.y, w: o.w, h: o.h })),
+        spawnPoints: spawnPoints.map(s => ({ x: s.x, y: s.y })),
+        lootZones: lootZones.map(z => ({
+            x: z.x, y: z.y, w: z.w, h: z.h,
+            weight: z.weight,
+            types: z.types ? { ...z.types } : null
+        }))
+    };
+}
+
+/**
+ * Load and validate every map in MAPS_DIR, then build the rotation
+ * Rotation order comes from MAP_ROTATION (comma separated ids) or falls back to id order
+ * @param {string[]} lootTypeIds - Valid loot type ids for loot zone weights
+ * @returns {object[]} The map rotation
+ */
+function loadMaps(lootTypeIds) {
+    const loaded = new Map();
+    let files = [];
+    try {
+        files = fs.readdirSync(MAPS_DIR).filter(f => f.endsWith('.json')).sort();
+    } catch (error) {
+        console.error(`[MAPS] Could not read maps directory ${MAPS_DIR}:`, error.message);
+    }
+
+    for (const file of files) {
+        try {
+            const raw = JSON.parse(fs.readFileSync(path.join(MAPS_DIR, file), 'utf8'));
+            const map = validateMap(raw, lootTypeIds);
+            if (loaded.has(map.id)) throw new Error(`duplicate map id "${map.id}"`);
+            loaded.set(map.id, map);
+        } catch (error) {
+            console.error(`[MAPS] Skipping ${file}: ${error.message}`);
+        }
+    }
+
+    let order = [];
+    if (process.env.MAP_ROTATION) {
+        for (const id of process.env.MAP_ROTATION.split(',').map(s => s.trim()).filter(Boolean)) {
+            if (loaded.has(id)) {
+                order.push(loaded.get(id));
+            } else {
+                console.error(`[MAPS] MAP_ROTATION references unknown map "${id}"`);
+            }
+        }
+    }
+    if (order.length === 0) {
+        order = Array.from(loaded.values());
+    }
+    if (order.length === 0) {
+        console.error('[MAPS] No valid maps found - using empty fallback arena');
+        order = [FALLBACK_MAP];
+    }
+
+    mapsById = loaded;
+    rotation = order;
+    console.log(`[MAPS] Loaded ${loaded.size} map(s), rotation: ${rotation.map(m => m.id).join(' -> ')}`);
+    return rotation;
+}
+
+/**
+ * Map for the given rotation slot (wraps around)
+ * @param {number} index - Rotation index, usually round number - 1
+ */
+function getRotationMap(index) {
+    return rotation[((index % rotation.length) + rotation.length) % rotation.length];
+}
+
+function getMap(id) {
+    return mapsById.get(id) || null;
+}
+
+function getRotation() {
+    return rotation.map(m => ({ id: m.id, name: m.name, width: m.width, height: m.height, theme: m.theme }));
+}
+
+module.exports = {
+    OBSTACLE_TYPES,
+    MAP_THEMES,
+    loadMaps,
+    validateMap,
+    getRotationMap,
+    getMap,
+    getRotation
+};
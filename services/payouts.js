@@ -0,0 +1,76 @@
+/**
+ * Payouts Service - splits a round's prize pot by the balance.payouts structure
+ * Placements, a per-kill bounty pot and a bonus for eliminating a boss each become
+ * a separate award. Results only list players who can be paid; shares owed to
+ * bots, bosses or players who left are simply not awarded and stay in the pool.
+ */
+
+const LAMPORTS_PER_SOL = 1e9;
+
+// Round down to whole lamports so awards never add up to more than the pot
+function floorToLamports(sol) {
+    return Math.floor(sol * LAMPORTS_PER_SOL) / LAMPORTS_PER_SOL;
+}
+
+/**
+ * Short label for an award kind - place-1 -> 1st, kills -> kill bounty
+ * @param {string} kind
+ * @returns {string}
+ */
+function describeAward(kind) {
+    const place = /^place-(\d+)$/.exec(kind);
+    if (place) {
+        const n = Number(place[1]);
+        const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+        return `${n}${suffix} place`;
+    }
+    if (kind === 'kills') return 'kill bounty';
+    if (kind === 'boss') return 'boss kill';
+    return kind;
+}
+
+/**
+ * Split a prize pot into awards
+ * @param {number} pot - SOL available for the round
+ * @param {object} structure - balance.payouts { placements, killBounty, bossKillBonus }
+ * @param {object} results
+ * @param {Array<object|null>} results.placements - Payable player per place, 1st first; null = unpaid
+ * @param {Array<{player: object, kills: number}>} results.kills - Payable players' kills
+ * @param {number} results.totalKills - Every kill in the round, AI kills included
+ * @param {Array<{player: object, bosses: number}>} results.bossKills - Payable players' boss kills
+ * @param {number} results.bossCount - Bosses in the round
+ * @returns {Array<{kind: string, player: object, amount: number}>}
+ */
+function splitPrizePot(pot, structure, results) {
+    const awards = [];
+    if (!(pot > 0)) return awards;
+
+    structure.placements.forEach((share, i) => {
+        const player = results.placements[i];
+        if (player && share > 0) {
+            awards.push({ kind: `place-${i + 1}`, player, amount: floorToLamports(pot * share) });
+        }
+    });
+
+    // Each kill earns the same slice - slices for kills by AIs go unpaid
+    if (results.totalKills > 0 && structure.killBounty > 0) {
+        const perKill = pot * structure.killBounty / results.totalKills;
+        for (const { player, kills } of results.kills) {
+            if (kills > 0) awards.push({ kind: 'kills', player, amount: floorToLamports(perKill * kills) });
+        }
+    }
+
+    if (results.bossCount > 0 && structure.bossKillBonus > 0) {
+        const perBoss = pot * structure.bossKillBonus / results.bossCount;
+        for (const { player, bosses } of results.bossKills) {
+            if (bosses > 0) awards.push({ kind: 'boss', player, amount: floorToLamports(perBoss * bosses) });
+        }
+    }
+
+    return awards;
+}
+
+module.exports = {
+    splitPrizePot,
+    describeAward
+};
@@ -8,6 +8,7 @@ const wallet = require('./walletService');
 const pumpportal = require('./pumpportal');
 const helius = require('./helius');
 const crypto = require('./crypto');
+const payouts = require('./payouts');
 
 const TOKEN_MINT = process.env.TOKEN_MINT_ADDRESS || '';
 
@@ -16,9 +17,24 @@ const MIN_PRIZE_SOL = 0.005;      // Minimum prize (tx fees ~0.000005 SOL)
 const MAX_PAYOUT_SOL = 50;        // Safety cap per payout
 const WALLET_RESERVE_SOL = 0.001; // Keep in wallet for rent/fees
 
+// Wallet signature challenges - the winner links a payout wallet over their own game socket
+const WALLET_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const MAX_WALLET_CHALLENGES = 5000;
+// When set, claims without a signed wallet (pasted address, legacy session) are refused - off by default
+const REQUIRE_WALLET_SIGNATURE = process.env.REQUIRE_WALLET_SIGNATURE === 'true';
+
 let isProcessingQueue = false;
 let lastFeeClaimTime = 0;
 
+// Prize budgets set aside for rounds about to start or in progress
+// roundKey (arena id) -> { amount, jackpot, mode, slot }
+const roundBudgets = new Map();
+let budgetedRounds = 0; // Paid rounds planned since start - steps the rolling schedule
+
+// sessionId -> { nonce, walletAddress, message, expiresAt }
+// One open challenge per player session; asking again replaces it
+const walletChallenges = new Map();
+
 // Unique processor ID for this instance (for distributed locking)
 const PROCESSOR_ID = `proc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
@@ -34,6 +50,7 @@ async function initialize() {
 
         startAutoClaimCron();
         startPayoutProcessorCron();
+        startExpiredClaimSweeperCron();
 
         console.log('[REWARD] Service started');
         console.log('[REWARD] Processor ID:', PROCESSOR_ID);
@@ -60,6 +77,13 @@ function startPayoutProcessorCron() {
     console.log('[REWARD] Payout processor cron scheduled (every 5 min)');
 }
 
+function startExpiredClaimSweeperCron() {
+    cron.schedule('*/10 * * * *', async () => {
+        await sweepExpiredClaims();
+    });
+    console.log('[REWARD] Expired claim sweeper cron scheduled (every 10 min)');
+}
+
 async function claimAndDistributeFees() {
     const now = Date.now();
     if (now - lastFeeClaimTime < 120000) { // 2 minute cooldown
@@ -93,7 +117,7 @@ async function claimAndDistributeFees() {
                 claimResult.signature
             );
 
-            await db.addToPrizePool(distribution.prizeShare);
+            await db.addToPrizePool(distribution.prizeShare, claimResult.signature);
 
             console.log('[REWARD] Fees distributed:', distribution);
             return distribution;
@@ -107,69 +131,283 @@ async function claimAndDistributeFees() {
 }
 
 /**
- * Create a winner claim with cryptographic token
+ * Create one claim row with its cryptographic token
  * SECURITY: Generates signed claim token that must be presented to redeem
+ * @param {string} claimId - Unique id for this claim (stored as round_id)
+ * @param {Object} award - { kind, player: { id, name, sessionId, payoutWallet }, amount } from payouts.splitPrizePot
+ * @returns {Object} Claim row including token
+ */
+async function createClaim(claimId, award) {
+    const { kind, player, amount } = award;
+    const expiresAt = Date.now() + (24 * 60 * 60 * 1000); // 24 hours
+
+    // Generate cryptographic claim token
+    const claimToken = crypto.generateClaimToken({
+        roundId: claimId,
+        playerId: player.id,
+        sessionId: player.sessionId,
+        prizeAmount: amount,
+        expiresAt
+    });
+
+    // Store hash of token (not the token itself) in database
+    const tokenHash = crypto.hashClaimToken(claimToken);
+
+    // A wallet the winner already signed for is bound before the token ever leaves the server
+    const claim = await db.createPendingClaim(
+        claimId,
+        player.name,
+        player.sessionId,
+        amount,
+        tokenHash,
+        kind,
+        player.payoutWallet || null
+    );
+
+    console.log(`[REWARD] Created ${payouts.describeAward(kind)} claim for ${player.name}: ${amount} SOL (token hash: ${tokenHash.substring(0, 8)}...)`);
+
+    return {
+        ...claim,
+        kind,
+        playerId: player.id,
+        claimToken // Return token to be sent to client
+    };
+}
+
+function floorToLamports(sol) {
+    return Math.floor(sol * 1e9) / 1e9;
+}
+
+/**
+ * SOL a new round can be promised - the prize wallet minus reserve, claims
+ * already owed and budgets held by other rounds
+ * @param {string} [exceptRoundKey] - Round whose own reservation shouldn't count
+ */
+async function getAvailablePrizeFunds(exceptRoundKey = null) {
+    const prizePoolBalance = await wallet.getPrizePoolWalletBalance();
+
+    let outstanding = 0;
+    try {
+        outstanding = await db.getOutstandingClaimsTotal();
+    } catch (e) {
+        console.warn('[REWARD] Could not read outstanding claims:', e.message);
+    }
+
+    let reserved = 0;
+    for (const [roundKey, budget] of roundBudgets) {
+        if (roundKey !== exceptRoundKey) reserved += budget.amount;
+    }
+
+    return Math.max(0, prizePoolBalance - WALLET_RESERVE_SOL - outstanding - reserved);
+}
+
+/**
+ * Set aside the prize budget for a round about to start
+ * Planning the same round again (e.g. a countdown that was called off) replaces its
+ * reservation and keeps its place in the rolling schedule
+ * @param {string} roundKey - Arena id - one round in progress per arena
+ * @param {Object} config - balance.prizeBudget
+ * @returns {Object} { amount, jackpot, mode } - amount 0 when the pool can't fund a prize
+ */
+async function planRoundBudget(roundKey, config) {
+    const previous = roundBudgets.get(roundKey);
+    const slot = previous ? previous.slot : budgetedRounds++;
+
+    let available = 0;
+    try {
+        available = await getAvailablePrizeFunds(roundKey);
+    } catch (e) {
+        console.error('[REWARD] Could not read prize pool for round budget:', e.message);
+    }
+
+    let share = 0;
+    let jackpot = false;
+    let amount;
+    if (config.mode === 'fixed') {
+        amount = config.fixedSol;
+    } else if (config.mode === 'percent') {
+        share = config.poolShare;
+        amount = available * share;
+    } else {
+        jackpot = config.jackpotEvery > 0 && (slot + 1) % config.jackpotEvery === 0;
+        share = jackpot ? config.jackpotShare : config.schedule[slot % config.schedule.length];
+        amount = available * share;
+    }
+
+    // Never promise more than the pool holds, and nothing at all below the payout minimum
+    amount = floorToLamports(Math.min(amount, available, MAX_PAYOUT_SOL));
+    if (amount < MIN_PRIZE_SOL) amount = 0;
+
+    const budget = { amount, jackpot, mode: config.mode, slot };
+    roundBudgets.set(roundKey, budget);
+    console.log(`[REWARD] ${roundKey} next round budget: ${amount} SOL (${config.mode}${jackpot ? ', JACKPOT' : ''}, ${available.toFixed(4)} SOL available)`);
+
+    return { amount, jackpot, mode: config.mode };
+}
+
+// The round is over (claims now hold the money) or its arena closed
+function releaseRoundBudget(roundKey) {
+    roundBudgets.delete(roundKey);
+}
+
+/**
+ * Split a finished round's prize budget and create a claim per award
+ * The pot is the round's budget, capped by what the prize wallet holds and at
+ * MAX_PAYOUT_SOL; awards under MIN_PRIZE_SOL aren't worth the tx fee and stay in the pool
  * @param {number} roundNumber - Round number
- * @param {string} playerName - Player name
- * @param {string} playerId - Player ID
- * @param {string} sessionId - Session ID
- * @returns {Object} Claim data including token
+ * @param {Object} results - Payable placements, kills and boss kills (see payouts.splitPrizePot)
+ * @param {Object} structure - balance.payouts
+ * @param {number} budget - SOL announced for the round (see planRoundBudget)
+ * @returns {Array<Object>} Claims including tokens - empty if nothing was awarded
  */
-async function createWinnerClaim(roundNumber, playerName, playerId, sessionId) {
+async function createRoundClaims(roundNumber, results, structure, budget) {
+    if (!(budget > 0)) {
+        console.log(`[REWARD] Round ${roundNumber} had no prize budget - no claims created`);
+        return [];
+    }
+
     try {
         const prizePoolBalance = await wallet.getPrizePoolWalletBalance();
-        let prizeAmount = prizePoolBalance > WALLET_RESERVE_SOL ? prizePoolBalance - WALLET_RESERVE_SOL : 0;
+        let pot = Math.min(budget, prizePoolBalance > WALLET_RESERVE_SOL ? prizePoolBalance - WALLET_RESERVE_SOL : 0);
 
         // Cap at maximum payout for safety
-        if (prizeAmount > MAX_PAYOUT_SOL) {
-            console.log(`[REWARD] Capping prize from ${prizeAmount} to ${MAX_PAYOUT_SOL} SOL`);
-            prizeAmount = MAX_PAYOUT_SOL;
+        if (pot > MAX_PAYOUT_SOL) {
+            console.log(`[REWARD] Capping round pot from ${pot} to ${MAX_PAYOUT_SOL} SOL`);
+            pot = MAX_PAYOUT_SOL;
         }
 
-        // Skip if prize is below minimum (not worth tx fees)
-        if (prizeAmount < MIN_PRIZE_SOL) {
-            console.log(`[REWARD] Prize pool too low (${prizeAmount} SOL) - skipping claim for ${playerName}`);
-            return null;
+        const roundId = `round-${roundNumber}-${Date.now()}`;
+        const claims = [];
+        const awards = payouts.splitPrizePot(pot, structure, results);
+
+        for (let i = 0; i < awards.length; i++) {
+            const award = awards[i];
+            // Skip if prize is below minimum (not worth tx fees)
+            if (award.amount < MIN_PRIZE_SOL) {
+                console.log(`[REWARD] ${payouts.describeAward(award.kind)} for ${award.player.name} too low (${award.amount} SOL) - left in pool`);
+                continue;
+            }
+            try {
+                claims.push(await createClaim(`${roundId}-${i + 1}`, award));
+            } catch (e) {
+                console.error(`[REWARD] Failed to create ${award.kind} claim for ${award.player.name}:`, e.message);
+            }
         }
 
-        const roundId = `round-${roundNumber}-${Date.now()}`;
-        const expiresAt = Date.now() + (24 * 60 * 60 * 1000); // 24 hours
-
-        // Generate cryptographic claim token
-        const claimToken = crypto.generateClaimToken({
-            roundId,
-            playerId,
-            sessionId,
-            prizeAmount,
-            expiresAt
-        });
+        return claims;
+    } catch (e) {
+        console.error('[REWARD] Failed to create round claims:', e.message);
+        return [];
+    }
+}
+
+function pruneWalletChallenges(now) {
+    for (const [sessionId, challenge] of walletChallenges) {
+        if (challenge.expiresAt <= now) walletChallenges.delete(sessionId);
+    }
+    // Map keeps insertion order - drop the oldest if someone is flooding us
+    while (walletChallenges.size >= MAX_WALLET_CHALLENGES) {
+        walletChallenges.delete(walletChallenges.keys().next().value);
+    }
+}
+
+function buildChallengeMessage({ domain, walletAddress, playerName, nonce, issuedAt, expiresAt }) {
+    return [
+        `${domain} wants you to sign in with your Solana account:`,
+        walletAddress,
+        '',
+        `Pay prizes won by ${playerName} this session to this wallet. Signing costs nothing and sends no transaction.`,
+        '',
+        `Nonce: ${nonce}`,
+        `Issued At: ${new Date(issuedAt).toISOString()}`,
+        `Expiration Time: ${new Date(expiresAt).toISOString()}`
+    ].join('\n');
+}
+
+/**
+ * Issue a sign-in-with-Solana challenge to link a payout wallet to a player session
+ * SECURITY: Only called for the game socket that owns the session - never from a claim
+ * token, so someone holding a leaked token can't get a challenge for their own wallet.
+ * @param {string} sessionId - Session of the player linking the wallet
+ * @param {string} playerName - Shown in the message
+ * @param {string} walletAddress - Wallet prizes should go to
+ * @param {string} [domain] - Host shown to the user in the message
+ * @returns {Object} { success, message, nonce, expiresAt } or { success: false, error }
+ */
+function createWalletChallenge(sessionId, playerName, walletAddress, domain = 'Drop Zone') {
+    if (!wallet.validateSolanaAddress(walletAddress)) {
+        return { success: false, error: 'Invalid Solana address' };
+    }
 
-        // Store hash of token (not the token itself) in database
-        const tokenHash = crypto.hashClaimToken(claimToken);
+    const now = Date.now();
+    pruneWalletChallenges(now);
 
-        const claim = await db.createPendingClaim(
-            roundId,
-            playerName,
-            sessionId,
-            prizeAmount,
-            tokenHash
-        );
+    const nonce = crypto.generateChallengeNonce();
+    const expiresAt = now + WALLET_CHALLENGE_TTL_MS;
+    const message = buildChallengeMessage({ domain, walletAddress, playerName, nonce, issuedAt: now, expiresAt });
 
-        console.log(`[REWARD] Created claim for ${playerName}: ${prizeAmount} SOL (token hash: ${tokenHash.substring(0, 8)}...)`);
+    walletChallenges.set(sessionId, { nonce, walletAddress, message, expiresAt });
 
-        return {
-            ...claim,
-            claimToken // Return token to be sent to client
-        };
+    return { success: true, message, nonce, expiresAt };
+}
+
+// Nonces are 16 random bytes as hex; ed25519 signatures are 64 bytes, sent base64
+const NONCE_PATTERN = /^[0-9a-f]{32}$/;
+const SIGNATURE_PATTERN = /^[A-Za-z0-9+/]{86}==$/;
+
+/**
+ * Check a signed challenge and link its wallet to the session
+ * The challenge is spent whatever the outcome - a failed signature means asking again.
+ * Eligible claims the session already won are bound to the wallet; later ones are bound
+ * when they're created (the caller keeps the wallet on the player).
+ * @param {string} sessionId - Session the challenge was issued to
+ * @param {Object} proof - { nonce, signature } with the signature base64
+ * @returns {Object} { success, walletAddress, boundClaims } or { success: false, error }
+ */
+async function linkWallet(sessionId, proof) {
+    // Malformed input never reaches secureCompare, which throws on mismatched byte lengths
+    if (!proof || typeof proof.nonce !== 'string' || !NONCE_PATTERN.test(proof.nonce)) {
+        return { success: false, error: 'Wallet challenge not found - please sign again' };
+    }
+    if (typeof proof.signature !== 'string' || !SIGNATURE_PATTERN.test(proof.signature)) {
+        return { success: false, error: 'Wallet signature is invalid' };
+    }
+
+    const challenge = walletChallenges.get(sessionId);
+    if (!challenge || !crypto.secureCompare(proof.nonce, challenge.nonce)) {
+        return { success: false, error: 'Wallet challenge not found - please sign again' };
+    }
+    walletChallenges.delete(sessionId);
+
+    if (challenge.expiresAt <= Date.now()) {
+        return { success: false, error: 'Wallet challenge expired - please sign again' };
+    }
+
+    const { walletAddress } = challenge;
+    const signature = Buffer.from(proof.signature, 'base64');
+    const publicKey = wallet.getAddressPublicKeyBytes(walletAddress);
+    if (!crypto.verifyEd25519Signature(challenge.message, signature, publicKey)) {
+        console.warn('[SECURITY] Invalid wallet signature on wallet link');
+        await db.logSecurityEvent('wallet_signature_invalid', null, { walletAddress });
+        return { success: false, error: 'Wallet signature is invalid' };
+    }
+
+    try {
+        const boundClaims = await db.bindSessionClaimsWallet(sessionId, walletAddress);
+        console.log(`[REWARD] Wallet linked: ${walletAddress} (${boundClaims.length} open claim(s) bound)`);
+        return { success: true, walletAddress, boundClaims: boundClaims.length };
     } catch (e) {
-        console.error('[REWARD] Failed to create winner claim:', e.message);
-        return null;
+        console.error('[REWARD] Wallet link error:', e.message);
+        return { success: false, error: 'Server error' };
     }
 }
 
 /**
  * Submit wallet address to claim prize
- * SECURITY: Requires valid claim token, uses atomic DB locking to prevent race conditions
+ * SECURITY: Requires valid claim token, uses atomic DB locking to prevent race conditions.
+ * A claim whose winner linked a wallet (linkWallet) only pays out to that wallet, so a
+ * leaked token can't redirect it. Claims without one accept a pasted address unless
+ * REQUIRE_WALLET_SIGNATURE is set.
  * @param {string} claimToken - Cryptographic claim token
  * @param {string} walletAddress - Solana wallet address
  * @returns {Object} Result
@@ -189,12 +427,12 @@ async function submitWalletForClaim(claimToken, walletAddress) {
         return { success: false, error: 'Invalid or expired claim token' };
     }
 
-    try {
-        const tokenHash = crypto.hashClaimToken(claimToken);
+    const tokenHash = crypto.hashClaimToken(claimToken);
 
+    try {
         // SECURITY: Atomic lock-and-submit prevents race condition (CU-1 fix)
         // This uses FOR UPDATE to lock the row during validation + update
-        const lockResult = await db.lockAndSubmitClaim(tokenHash, walletAddress);
+        const lockResult = await db.lockAndSubmitClaim(tokenHash, walletAddress, REQUIRE_WALLET_SIGNATURE);
 
         if (!lockResult.success) {
             if (lockResult.error === 'Claim not found or expired') {
@@ -203,6 +441,13 @@ async function submitWalletForClaim(claimToken, walletAddress) {
                     tokenHash: tokenHash.substring(0, 16),
                     walletAddress
                 });
+            } else if (lockResult.signedWallet) {
+                console.warn('[SECURITY] Claim submitted to a wallet other than the one the winner signed for');
+                await db.logSecurityEvent('claim_wallet_mismatch', null, {
+                    tokenHash: tokenHash.substring(0, 16),
+                    signedWallet: lockResult.signedWallet,
+                    walletAddress
+                });
             }
             return { success: false, error: lockResult.error };
         }
@@ -216,12 +461,13 @@ async function submitWalletForClaim(claimToken, walletAddress) {
                 claimRoundId: claim.round_id,
                 tokenRoundId: tokenData.roundId
             });
-            // Revert the claim status since validation failed
+            // Revert the claim status since validation failed - it stays open and reserved,
+            // and goes back to the pool through the expiry sweep if never claimed
             await db.updateClaimStatus(claim.id, 'eligible');
             return { success: false, error: 'Invalid claim token' };
         }
 
-        console.log(`[REWARD] Wallet submitted for claim ${claim.round_id}: ${walletAddress}`);
+        console.log(`[REWARD] Wallet submitted for claim ${claim.round_id}: ${walletAddress}${claim.signed_wallet ? ' (signed)' : ''}`);
 
         // INSTANT PAYOUT - Send SOL immediately instead of queuing
         try {
@@ -280,6 +526,10 @@ async function submitWalletForClaim(claimToken, walletAddress) {
  * This function logs a security warning but still processes the claim.
  */
 async function submitWalletForClaimBySession(sessionId, walletAddress) {
+    if (REQUIRE_WALLET_SIGNATURE) {
+        return { success: false, error: 'Sign the claim with your wallet to receive this prize' };
+    }
+
     // SECURITY (H-2): Log warning for legacy claims - helps track migration
     console.warn('[SECURITY] Legacy session-based claim used - client should upgrade to token-based claims');
     await db.logSecurityEvent('legacy_claim_warning', null, {
@@ -304,6 +554,16 @@ async function submitWalletForClaimBySession(sessionId, walletAddress) {
             return { success: false, error: 'Claim already processed' };
         }
 
+        if (claim.signed_wallet && claim.signed_wallet !== walletAddress) {
+            console.warn('[SECURITY] Legacy claim submitted to a wallet other than the one the winner signed for');
+            await db.logSecurityEvent('claim_wallet_mismatch', null, {
+                sessionId: sessionId.substring(0, 16) + '...',
+                signedWallet: claim.signed_wallet,
+                walletAddress
+            });
+            return { success: false, error: 'This prize can only be paid to the wallet you signed with' };
+        }
+
         const updated = await db.updateClaimWallet(claim.id, walletAddress);
 
         if (!updated) {
@@ -361,6 +621,39 @@ async function submitWalletForClaimBySession(sessionId, walletAddress) {
     }
 }
 
+/**
+ * Expire claims nobody redeemed in time
+ * The expiry credits each claim's reserve back to the pool in the same statement
+ * (claim_expired ledger entry), so the SOL goes back to funding new rounds
+ * @returns {Object} { count, totalSol } - totalSol is what the pool was credited
+ */
+async function sweepExpiredClaims() {
+    try {
+        const expired = await db.expireStaleClaims();
+        if (expired.length === 0) return { count: 0, totalSol: 0 };
+
+        const creditedLamports = expired.reduce((sum, claim) => sum + BigInt(claim.credited_lamports || 0), 0n);
+        const totalSol = Number(creditedLamports) / 1e9;
+        console.log(`[REWARD] Expired ${expired.length} unclaimed claim(s) - ${totalSol} SOL back in the prize pool`);
+
+        await db.logSecurityEvent('claims_expired', null, {
+            count: expired.length,
+            totalSol,
+            claims: expired.slice(0, 50).map(claim => ({
+                roundId: claim.round_id,
+                player: claim.player_name,
+                kind: claim.payout_kind,
+                amount: parseFloat(claim.prize_amount_sol) || 0
+            }))
+        });
+
+        return { count: expired.length, totalSol };
+    } catch (e) {
+        console.error('[REWARD] Expired claim sweep failed:', e.message);
+        return { count: 0, totalSol: 0 };
+    }
+}
+
 /**
  * Process payout queue with database locking
  * SECURITY: Uses FOR UPDATE SKIP LOCKED to prevent race conditions
@@ -482,6 +775,7 @@ async function getClaimStatus(roundId) {
 
     return {
         roundId: claim.round_id,
+        kind: claim.payout_kind,
         playerName: claim.player_name,
         amount: parseFloat(claim.prize_amount_sol),
         status: claim.claim_status,
@@ -498,10 +792,19 @@ async function manualClaimFees() {
 async function getPrizePoolStatus() {
     const dbBalance = await db.getPrizePoolBalance();
     const walletBalance = await wallet.getPrizePoolWalletBalance();
+    const outstandingClaims = await db.getOutstandingClaimsTotal();
+    const expiredClaims = await db.getExpiredClaimsSummary();
+    const ledger = await db.getLedgerBalances();
 
     return {
-        databaseBalance: dbBalance,
+        databaseBalance: dbBalance,  // Derived from the ledger - pool + claims accounts
+        ledger: {
+            pool: ledger.pool.sol,
+            claims: ledger.claims.sol
+        },
         actualWalletBalance: walletBalance,
+        outstandingClaims,          // Owed to winners who haven't been paid yet
+        expiredClaims,              // { count, totalSol } - lapsed and returned to the pool
         walletAddress: wallet.getPrizePoolPublicKey(),
         discrepancy: Math.abs(dbBalance - walletBalance) > 0.0001 ?
             'WARNING: Database and wallet balance mismatch' : 'OK'
@@ -509,27 +812,89 @@ async function getPrizePoolStatus() {
 }
 
 /**
- * Force reconcile prize pool balance with actual wallet
+ * Reconcile the ledger with the actual prize wallet
+ * The difference is booked as a manual adjustment - the history stays intact
  * Use with caution - only for fixing desync issues
+ * @param {string} [reason] - Recorded on the adjustment
+ * @param {string} [actor] - Who asked for it
  */
-async function reconcilePrizePool() {
+async function reconcilePrizePool(reason = 'Reconciled to prize wallet balance', actor = 'admin') {
     const walletBalance = await wallet.getPrizePoolWalletBalance();
-    await db.updatePrizePoolBalance(walletBalance);
-    console.log(`[REWARD] Prize pool reconciled to ${walletBalance} SOL`);
-    return { newBalance: walletBalance };
+    const previousBalance = await db.getPrizePoolBalance();
+    const difference = walletBalance - previousBalance;
+
+    const entry = await db.recordManualAdjustment(difference, reason, actor, { walletBalance, previousBalance });
+    console.log(`[REWARD] Prize pool reconciled to ${walletBalance} SOL (${difference >= 0 ? '+' : ''}${difference.toFixed(9)} SOL by ${actor})`);
+    return { previousBalance, newBalance: walletBalance, adjustment: difference, entryId: entry ? entry.id : null };
+}
+
+/**
+ * Book a manual correction to the prize pool
+ * @param {number} amountSol - Positive adds to the pool, negative removes
+ * @param {string} reason - Required - shows up in the ledger for the accountant
+ * @param {string} actor - Who made it
+ */
+async function adjustPrizePool(amountSol, reason, actor) {
+    const entry = await db.recordManualAdjustment(amountSol, reason, actor);
+    console.log(`[REWARD] Manual pool adjustment ${amountSol >= 0 ? '+' : ''}${amountSol} SOL by ${actor}: ${reason}`);
+    return { entry, newBalance: await db.getPrizePoolBalance() };
+}
+
+/**
+ * Ledger for a time range - opening and closing balances, per-type totals and the entries
+ * @param {Object} range - { from?: Date, to?: Date, type?: string, limit?: number, offset?: number }
+ */
+async function getLedgerReport(range) {
+    const [opening, closing, totals, entries] = await Promise.all([
+        range.from ? db.getLedgerBalances(range.from) : null,
+        db.getLedgerBalances(range.to || null),
+        db.getLedgerTotals(range.from || null, range.to || null),
+        db.getLedgerEntries(range)
+    ]);
+
+    return {
+        from: range.from ? range.from.toISOString() : null,
+        to: range.to ? range.to.toISOString() : null,
+        openingBalances: opening,  // null = from the first entry
+        closingBalances: closing,
+        totals,
+        entries: entries.map(e => ({
+            id: e.id,
+            at: e.created_at,
+            type: e.entry_type,
+            debit: e.debit_account,
+            credit: e.credit_account,
+            lamports: e.amount_lamports,
+            sol: e.amount_sol,
+            claimId: e.claim_id,
+            reference: e.reference,
+            reason: e.reason,
+            actor: e.actor,
+            details: e.details
+        })),
+        limit: range.limit,
+        offset: range.offset
+    };
 }
 
 module.exports = {
     initialize,
-    createWinnerClaim,
+    planRoundBudget,
+    releaseRoundBudget,
+    createRoundClaims,
+    createWalletChallenge,
+    linkWallet,
     submitWalletForClaim,
     submitWalletForClaimBySession, // Legacy support
     processPayoutQueue,
+    sweepExpiredClaims,
     claimAndDistributeFees,
     getTokenInfo,
     getClaimStatus,
     manualClaimFees,
     getPrizePoolStatus,
     refreshTokenMetadata,
-    reconcilePrizePool
+    reconcilePrizePool,
+    adjustPrizePool,
+    getLedgerReport
 };
@@ -0,0 +1,311 @@
+/**
+ * Binary State Protocol - compact per-tick snapshots replacing the JSON 's' message
+ * Only the 30Hz state goes binary; chat, kills and round events stay JSON.
+ * Names, colors and characters are sent once per player ('j' roster / 'pi'), snapshots
+ * only carry a small per-arena entity id. Decoder: decodeState() in public/game.js.
+ *
+ * Snapshots are deltas against a baseline tick the client acknowledged. A keyframe
+ * (base tick 0) is simply a delta against nothing, so both use the same layout.
+ *
+ * Layout (little endian):
+ *   u8  MSG_STATE
+ *   u32 tick
+ *   u8  phase (PHASE_CODES)
+ *   u16 round, u16 playerCount, u16 aliveCount
+ *   u16 round seconds left, u16 seconds until next round
+ *   u8  zone state, u16 zone seconds left
+ *   u16 zone x, y, size
+ *   u8  has next zone [u16 x, y, size]
+ *   u16 lobby count, u16 netId * count
+ *   u32 base tick (0 = keyframe)
+ *   u16 changed player count, per player:
+ *       u16 netId, u8 flags (PLAYER_ALIVE | PLAYER_HIDDEN | PLAYER_RELOADING), u8 field mask (FIELD_*)
+ *       then each masked field in order: u16 x * 10, u16 y * 10, u8 angle,
+ *       u8 health, u8 shield, u8 weapon index, u8 kills,
+ *       FIELD_INVENTORY (only ever sent for the viewer's own player):
+ *         u8 magazine, u16 reserve, u8 active slot, u8 other slot weapon index + 1 (0 = empty),
+ *         u8 frag grenades, u8 smoke grenades, u8 held weapon rarity, u8 other slot rarity
+ *   u16 removed player count, u16 netId * count
+ *   u16 bullet count, per bullet: u32 id, u16 x, u16 y, i8 vx * 4, i8 vy * 4  (always full)
+ *   u16 added loot count, per item: u32 id, u8 loot type index, u16 x, u16 y, u8 rarity tier
+ *   u16 removed loot count, u32 id * count
+ *   u16 projectile count, per grenade: u32 id, u8 loot type index, u16 x, u16 y, u8 arc height
+ *   u16 smoke count, per cloud: u16 x, u16 y, u16 radius, u8 tenths of a second left (capped)
+ */
+
+const MSG_STATE = 1;
+
+const PHASE_CODES = { waiting: 0, starting: 1, active: 2, ended: 3 };
+
+const PLAYER_ALIVE = 1;
+const PLAYER_HIDDEN = 2;   // Behind cover - no position sent
+const PLAYER_DETAIL = 4;   // Server-side only: angle/health/shield/weapon/kills are current
+const PLAYER_RELOADING = 8;
+
+// Field mask bits for player entries
+const FIELD_X = 1;
+const FIELD_Y = 2;
+const FIELD_ANGLE = 4;
+const FIELD_HEALTH = 8;
+const FIELD_SHIELD = 16;
+const FIELD_WEAPON = 32;
+const FIELD_KILLS = 64;
+const FIELD_INVENTORY = 128;
+
+const UNKNOWN = -1; // Record value the client has never been sent
+
+const POSITION_SCALE = 10;  // 0.1u precision, fits maps up to 6553u in a u16
+const VELOCITY_SCALE = 4;   // Bullet speeds up to ~31u/tick fit in an i8
+const ANGLE_STEPS = 256;
+
+const INITIAL_CAPACITY = 16 * 1024;
+
+function clamp(value, min, max) {
+    return value < min ? min : (value > max ? max : value);
+}
+
+function quantizeAngle(angle) {
+    const TWO_PI = Math.PI * 2;
+    const normalized = ((angle % TWO_PI) + TWO_PI) % TWO_PI;
+    return Math.round((normalized / TWO_PI) * ANGLE_STEPS) % ANGLE_STEPS;
+}
+
+/**
+ * Create a reusable snapshot encoder (one is enough - sends are synchronous)
+ * @param {string[]} weaponIds - Weapon ids in index order (sent to clients as 'wi')
+ * @param {string[]} lootTypeIds - Loot type ids in index order (sent to clients as 'li')
+ */
+function createStateEncoder(weaponIds, lootTypeIds) {
+    const weaponIndex = new Map(weaponIds.map((id, i) => [id, i]));
+    const lootIndex = new Map(lootTypeIds.map((id, i) => [id, i]));
+
+    const encoder = {
+        buffer: Buffer.allocUnsafe(INITIAL_CAPACITY),
+        offset: 0,
+        sharedLength: 0,
+        countOffset: -1,
+        count: 0,
+
+        ensure(bytes) {
+            if (this.offset + bytes <= this.buffer.length) return;
+            const grown = Buffer.allocUnsafe(Math.max(this.buffer.length * 2, this.offset + bytes));
+            this.buffer.copy(grown, 0, 0, this.offset);
+            this.buffer = grown;
+        },
+
+        u8(v) { this.buffer.writeUInt8(v, this.offset); this.offset += 1; },
+        i8(v) { this.buffer.writeInt8(v, this.offset); this.offset += 1; },
+        u16(v) { this.buffer.writeUInt16LE(v, this.offset); this.offset += 2; },
+        u32(v) { this.buffer.writeUInt32LE(v >>> 0, this.offset); this.offset += 4; },
+        pos(v) { this.u16(clamp(Math.round(v * POSITION_SCALE), 0, 65535)); },
+        coord(v) { this.u16(clamp(Math.round(v), 0, 65535)); },
+
+        /**
+         * Encode the part of the snapshot that is identical for every viewer
+         * Each begin() afterwards starts from a copy of these bytes.
+         */
+        setShared(meta) {
+            this.offset = 0;
+            this.ensure(64 + meta.lobby.length * 2);
+            this.u8(MSG_STATE);
+            this.u32(meta.tick);
+            this.u8(PHASE_CODES[meta.phase] || 0);
+            this.u16(clamp(meta.round, 0, 65535));
+            this.u16(clamp(meta.playerCount, 0, 65535));
+            this.u16(clamp(meta.aliveCount, 0, 65535));
+            this.u16(clamp(meta.roundSecondsLeft, 0, 65535));
+            this.u16(clamp(meta.nextRoundSeconds, 0, 65535));
+            this.u8(meta.zoneState);
+            this.u16(clamp(meta.zoneSecondsLeft, 0, 65535));
+            this.coord(meta.zone.x);
+            this.coord(meta.zone.y);
+            this.coord(meta.zone.size);
+            if (meta.nextZone) {
+                this.u8(1);
+                this.coord(meta.nextZone.x);
+                this.coord(meta.nextZone.y);
+                this.coord(meta.nextZone.size);
+            } else {
+                this.u8(0);
+            }
+            this.u16(meta.lobby.length);
+            for (const netId of meta.lobby) this.u16(netId);
+            this.sharedLength = this.offset;
+        },
+
+        begin(baseTick) {
+            this.offset = this.sharedLength;
+            this.countOffset = -1;
+            this.ensure(4);
+            this.u32(baseTick);
+        },
+
+        // Lists are written as a u16 count followed by the items
+        beginList() {
+            this.endList();
+            this.ensure(2);
+            this.countOffset = this.offset;
+            this.count = 0;
+            this.offset += 2;
+        },
+
+        endList() {
+            if (this.countOffset === -1) return;
+            this.buffer.writeUInt16LE(this.count, this.countOffset);
+            this.countOffset = -1;
+        },
+
+        /**
+         * Quantize a player into the record we diff against the client's baseline
+         * Fields outside PLAYER_DETAIL keep the baseline value so they aren't resent.
+         * @param {boolean} own - Viewer's own player - the only one whose inventory is sent
+         */
+        playerRecord(p, flags, base, own) {
+            const hidden = (flags & PLAYER_HIDDEN) !== 0;
+            const record = {
+                flags: hidden ? flags & (PLAYER_ALIVE | PLAYER_HIDDEN) : flags & (PLAYER_ALIVE | PLAYER_RELOADING),
+                x: hidden ? UNKNOWN : clamp(Math.round(p.x * POSITION_SCALE), 0, 65535),
+                y: hidden ? UNKNOWN : clamp(Math.round(p.y * POSITION_SCALE), 0, 65535),
+                a: base ? base.a : UNKNOWN,
+                h: base ? base.h : UNKNOWN,
+                sh: base ? base.sh : UNKNOWN,
+                w: base ? base.w : UNKNOWN,
+                k: base ? base.k : UNKNOWN,
+                am: UNKNOWN,
+                rs: UNKNOWN,
+                sl: UNKNOWN,
+                ow: UNKNOWN,
+                gf: UNKNOWN,
+                gs: UNKNOWN,
+                wr: UNKNOWN,
+                owr: UNKNOWN
+            };
+            if (own) {
+                record.am = clamp(p.ammo || 0, 0, 255);
+                record.rs = clamp(p.reserveAmmo || 0, 0, 65535);
+                record.sl = p.activeSlot || 0;
+                record.ow = p.holstered ? (weaponIndex.get(p.holstered.weapon) || 0) + 1 : 0;
+                record.gf = p.throwables ? p.throwables.frag : 0;
+                record.gs = p.throwables ? p.throwables.smoke : 0;
+                record.wr = p.weaponRarity || 0;
+                record.owr = p.holstered ? p.holstered.weaponRarity || 0 : 0;
+            }
+            if (!hidden && (flags & PLAYER_DETAIL)) {
+                record.a = quantizeAngle(p.angle || 0);
+                record.h = clamp(Math.round(p.health), 0, 255);
+                record.sh = clamp(Math.round(p.shield || 0), 0, 255);
+                record.w = weaponIndex.get(p.weapon) || 0;
+                record.k = clamp(p.kills || 0, 0, 255);
+            }
+            return record;
+        },
+
+        // Write a player entry if anything differs from the baseline record
+        player(netId, record, base) {
+            const differs = (field) => record[field] !== UNKNOWN && (!base || base[field] !== record[field]);
+            let mask = 0;
+            if (differs('x')) mask |= FIELD_X;
+            if (differs('y')) mask |= FIELD_Y;
+            if (differs('a')) mask |= FIELD_ANGLE;
+            if (differs('h')) mask |= FIELD_HEALTH;
+            if (differs('sh')) mask |= FIELD_SHIELD;
+            if (differs('w')) mask |= FIELD_WEAPON;
+            if (differs('k')) mask |= FIELD_KILLS;
+            if (differs('am') || differs('rs') || differs('sl') || differs('ow') ||
+                differs('gf') || differs('gs') || differs('wr') || differs('owr')) mask |= FIELD_INVENTORY;
+            if (base && mask === 0 && base.flags === record.flags) return;
+
+            this.ensure(23);
+            this.count++;
+            this.u16(netId);
+            this.u8(record.flags);
+            this.u8(mask);
+            if (mask & FIELD_X) this.u16(record.x);
+            if (mask & FIELD_Y) this.u16(record.y);
+            if (mask & FIELD_ANGLE) this.u8(record.a);
+            if (mask & FIELD_HEALTH) this.u8(record.h);
+            if (mask & FIELD_SHIELD) this.u8(record.sh);
+            if (mask & FIELD_WEAPON) this.u8(record.w);
+            if (mask & FIELD_KILLS) this.u8(record.k);
+            if (mask & FIELD_INVENTORY) {
+                this.u8(record.am);
+                this.u16(record.rs);
+                this.u8(record.sl);
+                this.u8(record.ow);
+                this.u8(record.gf);
+                this.u8(record.gs);
+                this.u8(record.wr);
+                this.u8(record.owr);
+            }
+        },
+
+        removedPlayer(netId) {
+            this.ensure(2);
+            this.count++;
+            this.u16(netId);
+        },
+
+        bullet(b) {
+            this.ensure(10);
+            this.count++;
+            this.u32(b.id);
+            this.coord(b.x);
+            this.coord(b.y);
+            this.i8(clamp(Math.round(b.vx * VELOCITY_SCALE), -127, 127));
+            this.i8(clamp(Math.round(b.vy * VELOCITY_SCALE), -127, 127));
+        },
+
+        loot(item) {
+            this.ensure(10);
+            this.count++;
+            this.u32(item.id);
+            this.u8(lootIndex.get(item.type) || 0);
+            this.coord(item.x);
+            this.coord(item.y);
+            this.u8(item.rarity || 0);
+        },
+
+        removedLoot(id) {
+            this.ensure(4);
+            this.count++;
+            this.u32(id);
+        },
+
+        projectile(p) {
+            this.ensure(10);
+            this.count++;
+            this.u32(p.id);
+            this.u8(lootIndex.get(p.type) || 0);
+            this.coord(p.x);
+            this.coord(p.y);
+            this.u8(clamp(Math.round(p.height), 0, 255));
+        },
+
+        smoke(cloud, now) {
+            this.ensure(7);
+            this.count++;
+            this.coord(cloud.x);
+            this.coord(cloud.y);
+            this.coord(cloud.radius);
+            this.u8(clamp(Math.ceil((cloud.expiresAt - now) / 100), 0, 255));
+        },
+
+        // Copy out the finished snapshot - the scratch buffer is reused for the next viewer
+        finish() {
+            this.endList();
+            return Buffer.from(this.buffer.subarray(0, this.offset));
+        }
+    };
+
+    return encoder;
+}
+
+module.exports = {
+    MSG_STATE,
+    PHASE_CODES,
+    PLAYER_ALIVE,
+    PLAYER_HIDDEN,
+    PLAYER_DETAIL,
+    PLAYER_RELOADING,
+    createStateEncoder
+};
@@ -112,6 +112,19 @@ function validateSolanaAddress(address) {
     }
 }
 
+/**
+ * Raw ed25519 public key behind a wallet address
+ * @param {string} address - Base58 Solana address
+ * @returns {Uint8Array|null} 32 bytes, or null if the address doesn't parse
+ */
+function getAddressPublicKeyBytes(address) {
+    try {
+        return new PublicKey(address).toBytes();
+    } catch {
+        return null;
+    }
+}
+
 /**
  * Get wallet balance in SOL
  * @param {string} publicKeyString - Public key as string
@@ -485,6 +498,7 @@ function getWalletStatus() {
 module.exports = {
     connection,
     validateSolanaAddress,
+    getAddressPublicKeyBytes,
     getWalletBalance,
     getMasterWalletBalance,
     getPrizePoolWalletBalance,